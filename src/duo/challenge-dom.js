@@ -0,0 +1,273 @@
+import { isArray, isNumber, isString } from '../utils/functions';
+import { setInputValue } from '../utils/ui';
+
+import {
+  ANSWER_TYPE_CHOICE,
+  ANSWER_TYPE_MULTIPLE_CHOICES,
+  ANSWER_TYPE_TEXT,
+  ANSWER_TYPE_TOKENS,
+  getChallengeTypeAnswerType,
+} from './challenges';
+
+import { CONTEXT_CHALLENGE, getChallengeWrapper, getCurrentContext } from './context';
+
+import {
+  ELEMENT_ANSWER_INPUT,
+  ELEMENT_CHECK_BUTTON,
+  ELEMENT_CHOICE,
+  ELEMENT_CONTINUE_BUTTON,
+  ELEMENT_SKIP_BUTTON,
+  ELEMENT_TAP_TOKEN,
+  ELEMENT_WORD_BANK,
+  queryAllElements,
+  queryElement,
+} from './selectors';
+
+/**
+ * @typedef {object} ChallengeElements
+ * @property {Element|null} wrapper The wrapper of the challenge.
+ * @property {Array<HTMLInputElement|HTMLTextAreaElement>} answerInputs The inputs usable to type an answer.
+ * @property {Element|null} wordBank The word bank.
+ * @property {Element[]} wordBankTiles The tiles of the word bank.
+ * @property {Element[]} selectedTiles The tiles that were moved from the word bank to the answer area, in order.
+ * @property {Element[]} choices The choices, in order.
+ * @property {Element|null} checkButton The button usable to check the answer.
+ * @property {Element|null} skipButton The button usable to skip the challenge.
+ * @property {Element|null} continueButton The button usable to continue to the next challenge.
+ */
+
+/**
+ * @typedef {object} ChallengeAnswer
+ * @property {string} answerType The type of the answer.
+ * @property {string[]} texts The values of the answer inputs, in order.
+ * @property {string|null} text The values of the answer inputs joined by spaces, if there is any input.
+ * @property {string[]} tokens The texts of the selected tiles, in order.
+ * @property {number|null} choiceIndex The index of the first selected choice, if any.
+ * @property {number[]} choiceIndices The indices of all the selected choices.
+ */
+
+/**
+ * @returns {string|null} The type of the current challenge, if any.
+ */
+const getCurrentChallengeType = () => {
+  const context = getCurrentContext();
+  return (CONTEXT_CHALLENGE === context.type) ? context.challengeType : null;
+};
+
+/**
+ * @param {Element} element A tile or a choice.
+ * @returns {string} The text of the given element.
+ */
+const getElementText = element => String(element.textContent || '').trim();
+
+/**
+ * @param {Element} element A tile or a button.
+ * @returns {boolean} Whether the given element is disabled.
+ */
+const isElementDisabled = element => (
+  !!element.disabled
+  || ('true' === element.getAttribute('aria-disabled'))
+);
+
+/**
+ * @param {Element} element A choice.
+ * @returns {boolean} Whether the given choice is selected.
+ */
+const isChoiceSelected = element => [ 'aria-checked', 'aria-pressed', 'aria-selected' ]
+  .some(attribute => ('true' === element.getAttribute(attribute)));
+
+/**
+ * @param {string|null} challengeType A challenge type. Defaults to the type of the current challenge.
+ * @returns {ChallengeElements|null}
+ * The elements usable to answer the current challenge, if any.
+ * Only the elements that are relevant to the given challenge type are looked up.
+ */
+export const getChallengeElements = (challengeType = getCurrentChallengeType()) => {
+  const wrapper = getChallengeWrapper();
+
+  if (!wrapper) {
+    return null;
+  }
+
+  const answerType = getChallengeTypeAnswerType(challengeType);
+  const hasInputs = (ANSWER_TYPE_TEXT === answerType);
+  const hasTiles = (ANSWER_TYPE_TOKENS === answerType);
+  const hasChoices = [ ANSWER_TYPE_CHOICE, ANSWER_TYPE_MULTIPLE_CHOICES ].indexOf(answerType) >= 0;
+
+  const wordBank = hasTiles ? queryElement(ELEMENT_WORD_BANK, wrapper) : null;
+  const tiles = hasTiles ? queryAllElements(ELEMENT_TAP_TOKEN, wrapper) : [];
+
+  return {
+    wrapper,
+    answerInputs: hasInputs ? queryAllElements(ELEMENT_ANSWER_INPUT, wrapper) : [],
+    wordBank,
+    wordBankTiles: !wordBank ? tiles : tiles.filter(tile => wordBank.contains(tile)),
+    selectedTiles: !wordBank ? [] : tiles.filter(tile => !wordBank.contains(tile)),
+    choices: hasChoices ? queryAllElements(ELEMENT_CHOICE, wrapper) : [],
+    checkButton: queryElement(ELEMENT_CHECK_BUTTON),
+    skipButton: queryElement(ELEMENT_SKIP_BUTTON),
+    continueButton: queryElement(ELEMENT_CONTINUE_BUTTON),
+  };
+};
+
+/**
+ * @param {string|null} challengeType A challenge type. Defaults to the type of the current challenge.
+ * @returns {ChallengeAnswer|null}
+ * The answer currently given by the user to the current challenge, if any,
+ * and if the corresponding answer type is supported (pairs are not, since they are matched one at a time).
+ */
+export const readChallengeAnswer = (challengeType = getCurrentChallengeType()) => {
+  const elements = getChallengeElements(challengeType);
+
+  if (!elements) {
+    return null;
+  }
+
+  const answer = {
+    answerType: getChallengeTypeAnswerType(challengeType),
+    texts: [],
+    text: null,
+    tokens: [],
+    choiceIndex: null,
+    choiceIndices: [],
+  };
+
+  if (elements.answerInputs.length > 0) {
+    answer.answerType = ANSWER_TYPE_TEXT;
+    answer.texts = elements.answerInputs.map(input => String(input.value));
+    answer.text = answer.texts.join(' ');
+  } else if (elements.wordBank) {
+    answer.answerType = ANSWER_TYPE_TOKENS;
+    answer.tokens = elements.selectedTiles.map(getElementText);
+  } else if (elements.choices.length > 0) {
+    answer.choiceIndices = elements.choices
+      .map((choice, index) => (isChoiceSelected(choice) ? index : -1))
+      .filter(index => (index >= 0));
+
+    answer.choiceIndex = (answer.choiceIndices.length > 0) ? answer.choiceIndices[0] : null;
+  } else {
+    return null;
+  }
+
+  return answer;
+};
+
+/**
+ * Tiles are moved between the word bank and the answer area when they are tapped, and may be re-rendered,
+ * hence they are looked up again after each tap.
+ * @param {string|null} challengeType The type of the current challenge.
+ * @param {string[]} tokens The texts of the tiles to select, in order.
+ * @returns {boolean} Whether all the tiles could be selected.
+ */
+const writeTokensAnswer = (challengeType, tokens) => {
+  let elements = getChallengeElements(challengeType);
+
+  // Tiles are removed from the answer area when they are tapped, so start from the end.
+  for (let i = elements?.selectedTiles.length || 0; i > 0; i--) {
+    const selectedTiles = elements?.selectedTiles || [];
+
+    if (0 === selectedTiles.length) {
+      break;
+    }
+
+    selectedTiles[selectedTiles.length - 1].click();
+    elements = getChallengeElements(challengeType);
+  }
+
+  for (const token of tokens) {
+    const tile = elements?.wordBankTiles.find(candidate => (
+      !isElementDisabled(candidate)
+      && (getElementText(candidate) === String(token).trim())
+    ));
+
+    if (!tile) {
+      return false;
+    }
+
+    tile.click();
+    elements = getChallengeElements(challengeType);
+  }
+
+  return true;
+};
+
+/**
+ * @param {ChallengeElements} elements The elements of a challenge.
+ * @param {number} index The index of the choice to select.
+ * @returns {boolean} Whether the choice could be selected.
+ */
+const writeChoiceAnswer = (elements, index) => {
+  const choice = elements.choices[index];
+
+  if (!choice) {
+    return false;
+  }
+
+  if (!isChoiceSelected(choice)) {
+    choice.click();
+  }
+
+  return true;
+};
+
+/**
+ * @param {ChallengeElements} elements The elements of a challenge.
+ * @param {number[]} indices The indices of the choices that should be selected. The other choices are unselected.
+ * @returns {boolean} Whether all the choices could be (un)selected.
+ */
+const writeChoicesAnswer = (elements, indices) => {
+  if (indices.some(index => !elements.choices[index])) {
+    return false;
+  }
+
+  elements.choices.forEach((choice, index) => {
+    if ((indices.indexOf(index) >= 0) !== isChoiceSelected(choice)) {
+      choice.click();
+    }
+  });
+
+  return true;
+};
+
+/**
+ * Writes an answer to the current challenge, as if it had been given by the user.
+ *
+ * Native UI events are used, so that the changes are picked up by the UI.
+ * @param {object} answer
+ * The answer to write, using the same properties as a ChallengeAnswer:
+ * - "texts" or "text" for challenges that are answered by typing text,
+ * - "tokens" for challenges that are answered by tapping tiles,
+ * - "choiceIndex" or "choiceIndices" for challenges that are answered by selecting one or more choices.
+ * @param {string|null} challengeType A challenge type. Defaults to the type of the current challenge.
+ * @returns {boolean} Whether the answer could be fully written.
+ */
+export const writeChallengeAnswer = (answer, challengeType = getCurrentChallengeType()) => {
+  const elements = getChallengeElements(challengeType);
+
+  if (!elements) {
+    return false;
+  }
+
+  if (elements.answerInputs.length > 0) {
+    const texts = isArray(answer.texts) ? answer.texts : (isString(answer.text) ? [ answer.text ] : null);
+
+    if (texts && (texts.length === elements.answerInputs.length)) {
+      elements.answerInputs.forEach((input, index) => setInputValue(input, String(texts[index])));
+      return true;
+    }
+  }
+
+  if (elements.wordBank && isArray(answer.tokens)) {
+    return writeTokensAnswer(challengeType, answer.tokens);
+  }
+
+  if (elements.choices.length > 0) {
+    if (isArray(answer.choiceIndices)) {
+      return writeChoicesAnswer(elements, answer.choiceIndices);
+    } else if (isNumber(answer.choiceIndex)) {
+      return writeChoiceAnswer(elements, answer.choiceIndex);
+    }
+  }
+
+  return false;
+};
@@ -1,4 +1,5 @@
 import { _ } from 'one-liner.macro';
+import { isArray, isNumber, isObject, isString } from '../utils/functions';
 
 /**
  * @type {string}
@@ -315,3 +316,823 @@ export const RESULT_CORRECT = 'correct';
  * @type {string}
  */
 export const RESULT_INCORRECT = 'incorrect';
+
+/**
+ * The signal based on the request made to save the progress of the current session when a challenge is graded.
+ *
+ * The format of the corresponding responses is not documented, hence this signal is the least reliable one.
+ * @type {string}
+ */
+export const RESULT_SIGNAL_SESSION_PROGRESS = 'session_progress';
+
+/**
+ * The signal based on the sound effect played when a challenge is graded.
+ * @type {string}
+ */
+export const RESULT_SIGNAL_SOUND_EFFECT = 'sound_effect';
+
+/**
+ * The signal based on the ARIA live regions announcing the result banner when a challenge is graded.
+ * @type {string}
+ */
+export const RESULT_SIGNAL_LIVE_REGION = 'live_region';
+
+/**
+ * The signal based on the banner displayed in the challenge footer when a challenge is graded.
+ * @type {string}
+ */
+export const RESULT_SIGNAL_RESULT_BANNER = 'result_banner';
+
+/**
+ * The signals usable to detect the results of challenges, from the most to the least reliable.
+ * @type {string[]}
+ */
+export const RESULT_SIGNALS = [
+  RESULT_SIGNAL_SOUND_EFFECT,
+  RESULT_SIGNAL_LIVE_REGION,
+  RESULT_SIGNAL_RESULT_BANNER,
+  RESULT_SIGNAL_SESSION_PROGRESS,
+];
+
+/**
+ * The signals that are not reliable enough to give more than a low confidence when they are the only ones available.
+ * @type {string[]}
+ */
+const WEAK_RESULT_SIGNALS = [
+  RESULT_SIGNAL_RESULT_BANNER,
+  RESULT_SIGNAL_SESSION_PROGRESS,
+];
+
+/**
+ * The confidence of results that could not be detected.
+ * @type {string}
+ */
+export const RESULT_CONFIDENCE_NONE = 'none';
+
+/**
+ * The confidence of results that were detected using conflicting signals, or only using a weak signal.
+ * @type {string}
+ */
+export const RESULT_CONFIDENCE_LOW = 'low';
+
+/**
+ * The confidence of results that were detected using a single reliable signal.
+ * @type {string}
+ */
+export const RESULT_CONFIDENCE_MEDIUM = 'medium';
+
+/**
+ * The confidence of results that were confirmed by several signals, none of them conflicting.
+ * @type {string}
+ */
+export const RESULT_CONFIDENCE_HIGH = 'high';
+
+/**
+ * @typedef {object} ResultDetection
+ * @property {string} result The detected result.
+ * @property {string} confidence The confidence level of the detection.
+ * @property {string|null} signal The signal that decided the result, if any.
+ * @property {{[key: string]: string}} signals The results given by each available signal.
+ */
+
+/**
+ * Cross-checks the results given by different signals, and decides on a single result.
+ *
+ * The most reliable signal always decides,
+ * and the others only affect the confidence level of the detection.
+ * @param {{[key: string]: string}} signals The results given by each available signal.
+ * @returns {ResultDetection} The detected result.
+ */
+export const resolveChallengeResult = signals => {
+  const availableSignals = RESULT_SIGNALS.filter(signal => (
+    (RESULT_CORRECT === signals[signal])
+    || (RESULT_INCORRECT === signals[signal])
+  ));
+
+  if (0 === availableSignals.length) {
+    return {
+      result: RESULT_NONE,
+      confidence: RESULT_CONFIDENCE_NONE,
+      signal: null,
+      signals: {},
+    };
+  }
+
+  const [ signal ] = availableSignals;
+  const result = signals[signal];
+  const agreeingCount = availableSignals.filter(key => (signals[key] === result)).length;
+
+  let confidence;
+
+  if (agreeingCount < availableSignals.length) {
+    confidence = RESULT_CONFIDENCE_LOW;
+  } else if (agreeingCount > 1) {
+    confidence = RESULT_CONFIDENCE_HIGH;
+  } else {
+    confidence = WEAK_RESULT_SIGNALS.includes(signal) ? RESULT_CONFIDENCE_LOW : RESULT_CONFIDENCE_MEDIUM;
+  }
+
+  return {
+    result,
+    confidence,
+    signal,
+    signals: Object.fromEntries(availableSignals.map(key => [ key, signals[key] ])),
+  };
+};
+
+/**
+ * The type of answers consisting in selecting a single choice.
+ * @type {string}
+ */
+export const ANSWER_TYPE_CHOICE = 'choice';
+
+/**
+ * The type of answers consisting in selecting one or more choices, regardless of their order.
+ * @type {string}
+ */
+export const ANSWER_TYPE_MULTIPLE_CHOICES = 'multiple_choices';
+
+/**
+ * The type of answers consisting in selecting a sequence of choices (e.g. from a word bank), in order.
+ * @type {string}
+ */
+export const ANSWER_TYPE_TOKENS = 'tokens';
+
+/**
+ * The type of answers consisting in matching pairs of items.
+ * @type {string}
+ */
+export const ANSWER_TYPE_PAIRS = 'pairs';
+
+/**
+ * The type of answers consisting in typing some text.
+ * @type {string}
+ */
+export const ANSWER_TYPE_TEXT = 'text';
+
+/**
+ * The type of answers consisting in speaking out loud.
+ * @type {string}
+ */
+export const ANSWER_TYPE_SPEECH = 'speech';
+
+/**
+ * The type of answers consisting in drawing some character.
+ * @type {string}
+ */
+export const ANSWER_TYPE_DRAWING = 'drawing';
+
+/**
+ * The type of answers for challenges that do not require any (e.g. introductions).
+ * @type {string}
+ */
+export const ANSWER_TYPE_NONE = 'none';
+
+/**
+ * @type {string[]}
+ */
+export const ANSWER_TYPES = [
+  ANSWER_TYPE_CHOICE,
+  ANSWER_TYPE_MULTIPLE_CHOICES,
+  ANSWER_TYPE_TOKENS,
+  ANSWER_TYPE_PAIRS,
+  ANSWER_TYPE_TEXT,
+  ANSWER_TYPE_SPEECH,
+  ANSWER_TYPE_DRAWING,
+  ANSWER_TYPE_NONE,
+];
+
+/**
+ * The reason given for challenges that could not be parsed because they are not even objects.
+ * @type {string}
+ */
+export const UNSUPPORTED_REASON_INVALID_DATA = 'invalid_data';
+
+/**
+ * The reason given for challenges that could not be parsed because their type is not known.
+ * @type {string}
+ */
+export const UNSUPPORTED_REASON_UNKNOWN_TYPE = 'unknown_type';
+
+/**
+ * The reason given for challenges that could not be parsed because they lack some data, or have an unexpected shape.
+ * @type {string}
+ */
+export const UNSUPPORTED_REASON_UNEXPECTED_SHAPE = 'unexpected_shape';
+
+/**
+ * @typedef {object} ChallengeToken
+ * @property {string} text The text of the token.
+ * @property {boolean} isBlank Whether the token is a blank that must be filled in by the user.
+ * @property {string[]} hints The hints available for the token.
+ * @property {string|null} tts The URL of the TTS sound for the token, if any.
+ */
+
+/**
+ * @typedef {object} ChallengeChoice
+ * @property {string} text The text of the choice.
+ * @property {string|null} tts The URL of the TTS sound for the choice, if any.
+ * @property {string|null} image The URL of the image illustrating the choice, if any.
+ * @property {string|null} transliteration The transliteration of the choice, if any.
+ */
+
+/**
+ * @typedef {object} ChallengePair
+ * @property {string} learningText The side of the pair that uses the language being learned.
+ * @property {string|null} fromText The other side of the pair (a translation or a transliteration), if any.
+ * @property {string|null} tts The URL of the TTS sound for the pair, if any.
+ */
+
+/**
+ * @typedef {object} ChallengeDialogueLine
+ * @property {string} text The text of the line.
+ * @property {string|null} speaker The name of the speaker, if any.
+ * @property {ChallengeToken[]} tokens The tokens making up the line, with their hints.
+ * @property {string|null} tts The URL of the TTS sound for the line, if any.
+ */
+
+/**
+ * @typedef {object} ChallengeTts
+ * @property {string|null} normal The URL of the TTS sound for the statement, if any.
+ * @property {string|null} slow The URL of the slowed down TTS sound for the statement, if any.
+ * @property {string|null} solution The URL of the TTS sound for the solution, if any.
+ */
+
+/**
+ * @typedef {object} ParsedChallenge
+ * @property {true} isSupported Whether the challenge could be parsed.
+ * @property {string|null} id The ID of the challenge.
+ * @property {string} type The type of the challenge.
+ * @property {string} answerType The type of the answers expected by the challenge.
+ * @property {string|null} prompt The statement of the challenge.
+ * @property {string|null} question The question asked about the statement, for comprehension challenges.
+ * @property {ChallengeToken[]} promptTokens The tokens making up the statement, with their hints.
+ * @property {ChallengeToken[][][]} promptTable The rows of cells of tokens making up the statement of table challenges.
+ * @property {ChallengeChoice[]} choices The choices available to the user.
+ * @property {number[]} correctIndices The indices of the correct choices, in the expected order.
+ * @property {ChallengePair[]} pairs The pairs that must be matched.
+ * @property {ChallengeDialogueLine[]} dialogue The lines making up the dialogue, for dialogue challenges.
+ * @property {string[]} solutions The accepted solutions, as given by the challenge or derived from the correct choices.
+ * @property {ChallengeTts} tts The URLs of the TTS sounds for the statement and the solution.
+ * @property {string|null} sourceLanguage The language used by the statement of the challenge.
+ * @property {string|null} targetLanguage The language used by the solution of the challenge.
+ * @property {object} challenge The raw challenge.
+ */
+
+/**
+ * @typedef {object} UnsupportedChallenge
+ * @property {false} isSupported Whether the challenge could be parsed.
+ * @property {string|null} type The type of the challenge, if any.
+ * @property {string} reason The reason why the challenge could not be parsed.
+ * @property {string[]} invalidFields The fields of the challenge that were missing or could not be parsed.
+ * @property {*} challenge The raw challenge.
+ */
+
+/**
+ * @param {*} value A value.
+ * @returns {string|null} The given value if it is a non-empty string. Otherwise, null.
+ */
+const getNonEmptyString = value => (isString(value) && ('' !== value.trim())) ? value : null;
+
+/**
+ * @param {*} hintTable A raw hint table.
+ * @returns {string[]} The hints contained in the given table.
+ */
+const parseHintTable = hintTable => (
+  !isArray(hintTable?.rows)
+    ? []
+    : hintTable.rows
+      .flatMap(row => isArray(row?.cells) ? row.cells : [])
+      .map(cell => cell?.hint)
+      .filter(isString)
+);
+
+/**
+ * @param {*} token A raw token.
+ * @returns {ChallengeToken|null} The parsed token, if it is valid. Otherwise, null.
+ */
+const parseToken = token => {
+  if (isString(token)) {
+    return { text: token, isBlank: false, hints: [], tts: null };
+  }
+
+  if (!isObject(token)) {
+    return null;
+  }
+
+  // Display tokens wrap their hint data in a "hintToken" property.
+  const hintToken = isObject(token.hintToken) ? token.hintToken : token;
+  const text = [ token.text, token.value, hintToken.value ].find(isString);
+
+  if (!isString(text)) {
+    return null;
+  }
+
+  return {
+    text,
+    isBlank: !!token.isBlank,
+    hints: parseHintTable(hintToken.hintTable).concat(isArray(hintToken.hints) ? hintToken.hints.filter(isString) : []),
+    tts: getNonEmptyString(hintToken.tts) || getNonEmptyString(token.tts),
+  };
+};
+
+/**
+ * @param {*} tokens A list of raw tokens.
+ * @returns {ChallengeToken[]} The valid tokens from the list, parsed.
+ */
+const parseTokens = tokens => isArray(tokens) ? tokens.map(parseToken).filter(isObject) : [];
+
+/**
+ * @param {*} table A list of rows of cells of raw tokens.
+ * @returns {ChallengeToken[][][]} The parsed table.
+ */
+const parseTokenTable = table => (
+  !isArray(table)
+    ? []
+    : table.filter(isArray).map(row => row.map(parseTokens))
+);
+
+/**
+ * @param {*} choice A raw choice.
+ * @param {*} transliteration The transliteration of the choice, when it is given separately.
+ * @returns {ChallengeChoice|null} The parsed choice, if it is valid. Otherwise, null.
+ */
+const parseChoice = (choice, transliteration = null) => {
+  if (isString(choice)) {
+    return { text: choice, tts: null, image: null, transliteration: getNonEmptyString(transliteration) };
+  }
+
+  if (!isObject(choice)) {
+    return null;
+  }
+
+  const text = [ choice.text, choice.phrase, choice.character, choice.value ].find(isString);
+
+  if (!isString(text)) {
+    return null;
+  }
+
+  return {
+    text,
+    tts: getNonEmptyString(choice.tts),
+    image: getNonEmptyString(choice.image) || getNonEmptyString(choice.svg),
+    transliteration: getNonEmptyString(choice.transliteration) || getNonEmptyString(transliteration),
+  };
+};
+
+/**
+ * @param {*} choices A list of raw choices.
+ * @param {*} transliterations The transliterations of the choices, when they are given separately.
+ * @returns {ChallengeChoice[]|null}
+ * The parsed choices, or null if any choice is invalid (skipping a choice would shift the indices of the others).
+ */
+const parseChoices = (choices, transliterations = null) => {
+  if (!isArray(choices)) {
+    return null;
+  }
+
+  const parsed = choices.map((choice, index) => parseChoice(choice, transliterations?.[index]?.text));
+
+  return parsed.every(isObject) ? parsed : null;
+};
+
+/**
+ * @param {*} pair A raw pair.
+ * @returns {ChallengePair|null} The parsed pair, if it is valid. Otherwise, null.
+ */
+const parsePair = pair => {
+  if (!isObject(pair)) {
+    return null;
+  }
+
+  const learningText = [ pair.learningToken, pair.learningWord, pair.character ].find(isString);
+
+  return !isString(learningText)
+    ? null
+    : {
+      learningText,
+      fromText: [ pair.fromToken, pair.translation, pair.transliteration ].find(isString) || null,
+      tts: getNonEmptyString(pair.tts),
+    };
+};
+
+/**
+ * @param {*} line A raw dialogue line.
+ * @returns {ChallengeDialogueLine|null} The parsed line, if it is valid. Otherwise, null.
+ */
+const parseDialogueLine = line => (
+  isObject(line)
+  && isString(line.text)
+  && {
+    text: line.text,
+    speaker: getNonEmptyString(line.speaker),
+    tokens: parseTokens(line.hintTokens),
+    tts: getNonEmptyString(line.tts),
+  }
+  || null
+);
+
+/**
+ * @param {object} challenge A raw challenge.
+ * @returns {number[]} The indices of the correct choices of the given challenge.
+ */
+const getCorrectIndices = challenge => (
+  isArray(challenge.correctIndices)
+    ? challenge.correctIndices.filter(isNumber)
+    : (isNumber(challenge.correctIndex) ? [ challenge.correctIndex ] : [])
+);
+
+/**
+ * @param {ChallengeToken[]} tokens A list of tokens.
+ * @returns {string} The text formed by the given tokens.
+ */
+const getTokensText = tokens => tokens.map(token => token.text).join('');
+
+/**
+ * @param {ChallengeToken[]} tokens A list of tokens that include blanks.
+ * @param {string[]} values The values to use to fill in the blanks, in order.
+ * @returns {string|null} The text formed by the given tokens, once filled in, or null if the values do not fit.
+ */
+const fillTokenBlanks = (tokens, values) => {
+  const blankCount = tokens.filter(token => token.isBlank).length;
+
+  if ((0 === blankCount) || (blankCount !== values.length)) {
+    return null;
+  }
+
+  let valueIndex = 0;
+
+  return tokens.map(token => token.isBlank ? values[valueIndex++] : token.text).join('');
+};
+
+/**
+ * @param {ParsedChallenge} model A parsed challenge, whose solutions have not been determined yet.
+ * @returns {string[]} The solutions that can be derived from the rest of the parsed data.
+ */
+const deriveChallengeSolutions = model => {
+  const { answerType, choices, correctIndices, promptTokens } = model;
+
+  if ((ANSWER_TYPE_CHOICE === answerType) || (ANSWER_TYPE_MULTIPLE_CHOICES === answerType)) {
+    return correctIndices.map(index => choices[index]?.text).filter(isString);
+  }
+
+  if (ANSWER_TYPE_TOKENS === answerType) {
+    const values = correctIndices.map(index => choices[index]?.text);
+
+    if ((values.length > 0) && values.every(isString)) {
+      return [ fillTokenBlanks(promptTokens, values) || values.join(' ') ];
+    }
+  } else if (ANSWER_TYPE_TEXT === answerType) {
+    if (promptTokens.some(token => token.isBlank)) {
+      return [ getTokensText(promptTokens) ];
+    }
+  }
+
+  return [];
+};
+
+/**
+ * @typedef {object} ChallengeParser
+ * @property {string} answerType The type of the answers expected by the corresponding challenges.
+ * @property {Array<string|string[]>} requiredFields
+ * The fields that must be present on the corresponding challenges.
+ * When an array of fields is given, any of them will do.
+ * @property {Function=} refine
+ * A function usable to refine the model parsed from a challenge, given the model and the raw challenge.
+ * It may return the names of the fields that could not be parsed.
+ */
+
+/**
+ * @param {ParsedChallenge} model A parsed challenge.
+ * @returns {string[]} The names of the fields that could not be parsed, if the challenge must have valid choices.
+ */
+const requireValidChoices = model => (0 === model.choices.length) ? [ 'choices' ] : [];
+
+/**
+ * @param {ParsedChallenge} model A parsed challenge.
+ * @returns {string[]} The names of the fields that could not be parsed, if the challenge must have valid pairs.
+ */
+const requireValidPairs = model => (0 === model.pairs.length) ? [ 'pairs' ] : [];
+
+/**
+ * @param {ParsedChallenge} model A parsed challenge.
+ * @returns {string[]} The names of the fields that could not be parsed, if the statement must be the solution.
+ */
+const usePromptAsSolution = model => {
+  if ((0 === model.solutions.length) && isString(model.prompt)) {
+    model.solutions = [ model.prompt ];
+  }
+
+  return [];
+};
+
+/**
+ * @type {Function}
+ * @param {string} answerType The type of the answers expected by the corresponding challenges.
+ * @param {Array<string|string[]>} requiredFields The fields that must be present on the corresponding challenges.
+ * @param {Function=} refine A function usable to refine the model parsed from a challenge.
+ * @returns {ChallengeParser} A challenge parser.
+ */
+const makeChallengeParser = (answerType, requiredFields, refine = () => []) => ({ answerType, requiredFields, refine });
+
+/**
+ * @type {{[key: string]: ChallengeParser}}
+ */
+const CHALLENGE_PARSERS = {
+  [CHALLENGE_TYPE_ASSIST]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_CHARACTER_INTRO]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_CHARACTER_MATCH]: makeChallengeParser(
+    ANSWER_TYPE_PAIRS,
+    [ 'pairs' ],
+    requireValidPairs
+  ),
+  [CHALLENGE_TYPE_CHARACTER_PUZZLE]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'choices', 'correctIndices' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_CHARACTER_SELECT]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_CHARACTER_TRACE]: makeChallengeParser(
+    ANSWER_TYPE_DRAWING,
+    [ 'prompt' ],
+    usePromptAsSolution
+  ),
+  [CHALLENGE_TYPE_COMPLETE_REVERSE_TRANSLATION]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'displayTokens' ]
+  ),
+  [CHALLENGE_TYPE_DEFINITION]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_DIALOGUE]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex', 'dialogue' ],
+    model => requireValidChoices(model).concat((0 === model.dialogue.length) ? [ 'dialogue' ] : [])
+  ),
+  [CHALLENGE_TYPE_FORM]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    (model, challenge) => {
+      if (!isString(model.prompt) && isArray(challenge.promptPieces)) {
+        model.prompt = challenge.promptPieces.filter(isString).join('');
+      }
+
+      return requireValidChoices(model);
+    }
+  ),
+  [CHALLENGE_TYPE_FREE_RESPONSE]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'prompt' ]
+  ),
+  [CHALLENGE_TYPE_GAP_FILL]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_JUDGE]: makeChallengeParser(
+    ANSWER_TYPE_MULTIPLE_CHOICES,
+    [ 'choices', [ 'correctIndices', 'correctIndex' ] ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_LISTEN]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'tts' ],
+    usePromptAsSolution
+  ),
+  [CHALLENGE_TYPE_LISTEN_COMPREHENSION]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_LISTEN_ISOLATION]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'options', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_LISTEN_MATCH]: makeChallengeParser(
+    ANSWER_TYPE_PAIRS,
+    [ 'pairs' ],
+    requireValidPairs
+  ),
+  [CHALLENGE_TYPE_LISTEN_SPELL]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'displayTokens', 'tts' ]
+  ),
+  [CHALLENGE_TYPE_LISTEN_TAP]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'tts' ],
+    usePromptAsSolution
+  ),
+  [CHALLENGE_TYPE_MATCH]: makeChallengeParser(
+    ANSWER_TYPE_PAIRS,
+    [ 'pairs' ],
+    requireValidPairs
+  ),
+  [CHALLENGE_TYPE_NAME]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'correctSolutions' ]
+  ),
+  [CHALLENGE_TYPE_PARTIAL_REVERSE_TRANSLATE]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'displayTokens' ]
+  ),
+  [CHALLENGE_TYPE_READ_COMPREHENSION]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    (model, challenge) => {
+      if (!isString(model.prompt)) {
+        model.prompt = getNonEmptyString(challenge.passage);
+      }
+
+      return requireValidChoices(model);
+    }
+  ),
+  [CHALLENGE_TYPE_SELECT]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_SELECT_PRONUNCIATION]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_SELECT_TRANSCRIPTION]: makeChallengeParser(
+    ANSWER_TYPE_CHOICE,
+    [ 'choices', 'correctIndex' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_SPEAK]: makeChallengeParser(
+    ANSWER_TYPE_SPEECH,
+    [ 'prompt' ],
+    usePromptAsSolution
+  ),
+  [CHALLENGE_TYPE_TAP_CLOZE]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'displayTokens', 'choices', 'correctIndices' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_TAP_CLOZE_TABLE]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'displayTableTokens', 'choices', 'correctIndices' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_TAP_COMPLETE]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'displayTokens', 'choices', 'correctIndices' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_TAP_COMPLETE_TABLE]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'displayTableTokens', 'choices', 'correctIndices' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_TAP_DESCRIBE]: makeChallengeParser(
+    ANSWER_TYPE_TOKENS,
+    [ 'choices', 'correctIndices' ],
+    requireValidChoices
+  ),
+  [CHALLENGE_TYPE_TRANSLATE]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'prompt' ],
+    (model, challenge) => {
+      // Translations can be answered either by typing, or by using a word bank.
+      if (isArray(challenge.correctTokens) && (model.choices.length > 0)) {
+        model.answerType = ANSWER_TYPE_TOKENS;
+      }
+
+      return [];
+    }
+  ),
+  [CHALLENGE_TYPE_TYPE_CLOZE]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'displayTokens' ]
+  ),
+  [CHALLENGE_TYPE_TYPE_CLOZE_TABLE]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'displayTableTokens' ]
+  ),
+  [CHALLENGE_TYPE_TYPE_COMPLETE_TABLE]: makeChallengeParser(
+    ANSWER_TYPE_TEXT,
+    [ 'displayTableTokens' ]
+  ),
+};
+
+/**
+ * @param {object} challenge A raw challenge.
+ * @param {string} answerType The type of the answers expected by the challenge.
+ * @returns {ParsedChallenge} The data that can be parsed from the challenge regardless of its type.
+ */
+const parseBaseChallenge = (challenge, answerType) => {
+  const promptTable = parseTokenTable(challenge.displayTableTokens);
+
+  const promptTokens = [ challenge.displayTokens, challenge.tokens ].some(isArray)
+    ? parseTokens([ challenge.displayTokens, challenge.tokens ].find(isArray))
+    : promptTable.flat(2);
+
+  const correctSolutions = isArray(challenge.correctSolutions)
+    ? challenge.correctSolutions.filter(isString)
+    : [];
+
+  return {
+    isSupported: true,
+    id: getNonEmptyString(challenge.id),
+    type: getChallengeType(challenge),
+    answerType,
+    prompt: getNonEmptyString(challenge.prompt),
+    question: getNonEmptyString(challenge.question),
+    promptTokens,
+    promptTable,
+    choices: parseChoices(challenge.choices || challenge.options, challenge.choiceTransliterations) || [],
+    correctIndices: getCorrectIndices(challenge),
+    pairs: isArray(challenge.pairs) ? challenge.pairs.map(parsePair).filter(isObject) : [],
+    dialogue: isArray(challenge.dialogue) ? challenge.dialogue.map(parseDialogueLine).filter(isObject) : [],
+    solutions: correctSolutions,
+    tts: {
+      normal: getNonEmptyString(challenge.tts),
+      slow: getNonEmptyString(challenge.slowTts),
+      solution: getNonEmptyString(challenge.solutionTts),
+    },
+    sourceLanguage: getChallengeSourceLanguage(challenge) || null,
+    targetLanguage: getChallengeTargetLanguage(challenge) || null,
+    challenge,
+  };
+};
+
+/**
+ * @param {*} challenge A raw challenge.
+ * @param {string} reason The reason why the challenge could not be parsed.
+ * @param {string[]} invalidFields The fields of the challenge that were missing or could not be parsed.
+ * @returns {UnsupportedChallenge} The result for the given unsupported challenge.
+ */
+const getUnsupportedChallenge = (challenge, reason, invalidFields = []) => ({
+  isSupported: false,
+  type: isString(challenge?.type) ? challenge.type : null,
+  reason,
+  invalidFields,
+  challenge,
+});
+
+/**
+ * @param {string} challengeType A challenge type.
+ * @returns {string} The type of the answers expected by the challenges of the given type.
+ */
+export const getChallengeTypeAnswerType = challengeType => CHALLENGE_PARSERS[challengeType]?.answerType || ANSWER_TYPE_NONE;
+
+/**
+ * Parses a raw challenge into a normalized model.
+ *
+ * This function never throws: challenges whose type is unknown or whose shape is unexpected are reported as such.
+ * @param {*} challenge A raw challenge, as found in the data of practice sessions.
+ * @returns {ParsedChallenge|UnsupportedChallenge} The parsed challenge, or the reason why it could not be parsed.
+ */
+export const parseChallenge = challenge => {
+  if (!isObject(challenge)) {
+    return getUnsupportedChallenge(challenge, UNSUPPORTED_REASON_INVALID_DATA);
+  }
+
+  const parser = CHALLENGE_PARSERS[getChallengeType(challenge)];
+
+  if (!parser) {
+    return getUnsupportedChallenge(challenge, UNSUPPORTED_REASON_UNKNOWN_TYPE);
+  }
+
+  const missingFields = parser.requiredFields
+    .filter(fields => [].concat(fields).every(field => (undefined === challenge[field]) || (null === challenge[field])))
+    .map(fields => [].concat(fields)[0]);
+
+  if (missingFields.length > 0) {
+    return getUnsupportedChallenge(challenge, UNSUPPORTED_REASON_UNEXPECTED_SHAPE, missingFields);
+  }
+
+  try {
+    const model = parseBaseChallenge(challenge, parser.answerType);
+    const invalidFields = parser.refine(model, challenge);
+
+    if (invalidFields.length > 0) {
+      return getUnsupportedChallenge(challenge, UNSUPPORTED_REASON_UNEXPECTED_SHAPE, invalidFields);
+    }
+
+    if (0 === model.solutions.length) {
+      model.solutions = deriveChallengeSolutions(model);
+    }
+
+    return model;
+  } catch (error) {
+    return getUnsupportedChallenge(challenge, UNSUPPORTED_REASON_UNEXPECTED_SHAPE);
+  }
+};
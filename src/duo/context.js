@@ -1,5 +1,27 @@
 import { isArray } from '../utils/functions';
-import { CHALLENGE_TYPES, RESULT_CORRECT, RESULT_INCORRECT, RESULT_NONE } from './challenges';
+import { getSharedGlobalVariable, setSharedGlobalVariable } from '../utils/internal';
+
+import {
+  CHALLENGE_TYPES,
+  resolveChallengeResult,
+  RESULT_CORRECT,
+  RESULT_INCORRECT,
+  RESULT_NONE,
+  RESULT_SIGNAL_LIVE_REGION,
+  RESULT_SIGNAL_RESULT_BANNER,
+} from './challenges';
+
+import {
+  ELEMENT_CHALLENGE_WRAPPER,
+  ELEMENT_CORRECT_RESULT_BANNER,
+  ELEMENT_LEARN_PATH,
+  ELEMENT_LESSON_COMPLETE_SLIDE,
+  ELEMENT_LIVE_REGION,
+  ELEMENT_RESULT_BANNER,
+  ELEMENT_STORY_LINE,
+  queryAllElements,
+  queryElement,
+} from './selectors';
 
 /**
  * @type {string}
@@ -36,6 +58,51 @@ export const CONTEXT_DICTIONARY = 'dictionary';
  */
 export const CONTEXT_GUIDEBOOK = 'guidebook';
 
+/**
+ * @type {string}
+ */
+export const CONTEXT_LEARN = 'learn';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_LEADERBOARD = 'leaderboard';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_PROFILE = 'profile';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_SHOP = 'shop';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_QUESTS = 'quests';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_PRACTICE_HUB = 'practice_hub';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_WORDS_LIST = 'words_list';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_SETTINGS = 'settings';
+
+/**
+ * @type {string}
+ */
+export const CONTEXT_LESSON_COMPLETE = 'lesson_complete';
+
 /**
  * @type {string}
  */
@@ -71,29 +138,216 @@ const PAGE_URL_REGEXP_GUIDEBOOK = /duolingo\.com\/guidebook\/(?<language>.+)\/(?
  */
 const PAGE_URL_REGEXP_CHALLENGE = /duolingo\.com\/(practice|lesson)\/?/;
 
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_LESSON_LEVEL = /duolingo\.com\/lesson\/unit\/(?<unit>[\d]+)\/level\/(?<level>[\d]+)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_DICTIONARY = /duolingo\.com\/dictionary\/(?<language>[^/]+)\/(?<word>[^/?#]+)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_LEARN = /duolingo\.com\/learn\/?(?:[?#]|$)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_LEADERBOARD = /duolingo\.com\/leaderboard\/?(?:[?#]|$)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_PROFILE = /duolingo\.com\/(?:profile|u)\/(?<username>[^/?#]+)(?:\/(?<section>[^/?#]+))?/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_SHOP = /duolingo\.com\/shop\/?(?:[?#]|$)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_QUESTS = /duolingo\.com\/quests\/?(?:[?#]|$)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_WORDS_LIST = /duolingo\.com\/practice-hub\/words\/?(?:[?#]|$)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_PRACTICE_HUB = /duolingo\.com\/practice-hub\/?(?:[?#]|$)/;
+
+/**
+ * @type {RegExp}
+ */
+const PAGE_URL_REGEXP_SETTINGS = /duolingo\.com\/settings(?:\/(?<section>[^/?#]+))?/;
+
 /**
  * @type {string}
  */
-const SELECTOR_CHALLENGE_WRAPPER = '[data-test*="challenge"]';
+const KEY_CURRENT_LEAGUE_TIER = 'current_league_tier';
 
 /**
- * A CSS selector for the result wrapper of the current challenge screen.
+ * Remembers the tier of the league of the current user.
  *
- * It is currently the previous sibling of the wrapper of the "Continue" button (in the challenge footer).
- * @type {string}
+ * League names are localized, hence the tier can not be reliably read from the page,
+ * and is instead taken from the data returned by the leaderboard API.
+ * @param {number|null} tier The tier of the league of the current user, if known.
+ * @returns {void}
  */
-const SELECTOR_CHALLENGE_RESULT_WRAPPER = '._2Fc1K ._1tuLI';
+export const setCurrentLeagueTier = tier => setSharedGlobalVariable(KEY_CURRENT_LEAGUE_TIER, tier);
 
 /**
- * The class name that is applied to the result wrapper of a challenge when the user has given a correct answer.
- * @type {string}
+ * @returns {number|null} The tier of the league of the current user, if it is known.
  */
-const CLASS_NAME_CORRECT_CHALLENGE_RESULT_WRAPPER = '_3e9O1';
+const getCurrentLeagueTier = () => getSharedGlobalVariable(KEY_CURRENT_LEAGUE_TIER, null);
 
 /**
- * @type {string}
+ * @typedef {object} RouteContext
+ * @property {string} type The type of the context.
+ * @property {RegExp} urlRegExp A regular expression for the URLs of the corresponding pages.
+ * @property {string=} element A logical element that identifies the corresponding pages, if any.
+ * @property {Function=} getData
+ * A function usable to extract additional context data, given the named groups of the matched URL (if any).
+ */
+
+/**
+ * The contexts that are determined from the current URL (or, as a fallback, from a specific element),
+ * tested in order.
+ * @type {RouteContext[]}
  */
-const SELECTOR_STORY_ELEMENT = '[data-test="stories-element"]';
+const ROUTE_CONTEXTS = [
+  {
+    type: CONTEXT_DICTIONARY,
+    urlRegExp: PAGE_URL_REGEXP_DICTIONARY,
+    getData: groups => ({
+      language: groups?.language || null,
+      word: groups?.word ? decodeURIComponent(groups.word) : null,
+    }),
+  },
+  {
+    type: CONTEXT_LEARN,
+    urlRegExp: PAGE_URL_REGEXP_LEARN,
+    element: ELEMENT_LEARN_PATH,
+  },
+  {
+    type: CONTEXT_LEADERBOARD,
+    urlRegExp: PAGE_URL_REGEXP_LEADERBOARD,
+    getData: () => ({ leagueTier: getCurrentLeagueTier() }),
+  },
+  {
+    type: CONTEXT_PROFILE,
+    urlRegExp: PAGE_URL_REGEXP_PROFILE,
+    getData: groups => ({
+      username: groups?.username ? decodeURIComponent(groups.username) : null,
+      section: groups?.section || null,
+    }),
+  },
+  {
+    type: CONTEXT_SHOP,
+    urlRegExp: PAGE_URL_REGEXP_SHOP,
+  },
+  {
+    type: CONTEXT_QUESTS,
+    urlRegExp: PAGE_URL_REGEXP_QUESTS,
+  },
+  {
+    type: CONTEXT_WORDS_LIST,
+    urlRegExp: PAGE_URL_REGEXP_WORDS_LIST,
+  },
+  {
+    type: CONTEXT_PRACTICE_HUB,
+    urlRegExp: PAGE_URL_REGEXP_PRACTICE_HUB,
+  },
+  {
+    type: CONTEXT_SETTINGS,
+    urlRegExp: PAGE_URL_REGEXP_SETTINGS,
+    getData: groups => ({ section: groups?.section || null }),
+  },
+];
+
+/**
+ * @param {string} url The URL of the current page.
+ * @returns {object|null} Data about the current context, if it could be determined from the route contexts.
+ */
+const getCurrentRouteContext = url => {
+  for (const { type, urlRegExp, element, getData } of ROUTE_CONTEXTS) {
+    const urlMatches = url.match(urlRegExp);
+
+    if (isArray(urlMatches) || (element && queryElement(element))) {
+      return {
+        type,
+        ...(getData ? getData(urlMatches?.groups) : {}),
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @returns {Element|null} The wrapper of the current challenge, if any.
+ */
+export const getChallengeWrapper = () => queryElement(ELEMENT_CHALLENGE_WRAPPER);
+
+/**
+ * @param {Element} region A live region.
+ * @param {Element|null} banner A result banner.
+ * @returns {boolean} Whether the given region announces the content of the given banner.
+ */
+const isLiveRegionAnnouncingBanner = (region, banner) => (
+  (banner instanceof Element)
+  && (banner.contains(region) || region.contains(banner))
+);
+
+/**
+ * Texts are localized, hence the result is not read from the announcement itself,
+ * but from the banner that it corresponds to.
+ * @returns {string} The result of the current challenge, based on the announcements made by live regions.
+ */
+const getLiveRegionResult = () => {
+  const banner = queryElement(ELEMENT_RESULT_BANNER);
+
+  if (!banner) {
+    return RESULT_NONE;
+  }
+
+  const correctBanner = queryElement(ELEMENT_CORRECT_RESULT_BANNER);
+
+  const region = queryAllElements(ELEMENT_LIVE_REGION).find(candidate => (
+    ('' !== String(candidate.textContent || '').trim())
+    && (isLiveRegionAnnouncingBanner(candidate, banner) || isLiveRegionAnnouncingBanner(candidate, correctBanner))
+  ));
+
+  if (!region) {
+    return RESULT_NONE;
+  }
+
+  return isLiveRegionAnnouncingBanner(region, correctBanner) ? RESULT_CORRECT : RESULT_INCORRECT;
+};
+
+/**
+ * @returns {string} The result of the current challenge, based on the banner displayed in the challenge footer.
+ */
+const getResultBannerResult = () => (
+  !queryElement(ELEMENT_RESULT_BANNER)
+    ? RESULT_NONE
+    : (queryElement(ELEMENT_CORRECT_RESULT_BANNER) ? RESULT_CORRECT : RESULT_INCORRECT)
+);
+
+/**
+ * @returns {{[key: string]: string}} The results of the current challenge given by each signal available in the UI.
+ */
+export const getDisplayedChallengeResultSignals = () => ({
+  [RESULT_SIGNAL_LIVE_REGION]: getLiveRegionResult(),
+  [RESULT_SIGNAL_RESULT_BANNER]: getResultBannerResult(),
+});
 
 /**
  * @returns {object} Data about the current context.
@@ -108,7 +362,7 @@ export const getCurrentContext = () => {
   if (isArray(urlMatches)) {
     return {
       type: CONTEXT_FORUM_DISCUSSION,
-      commentId: Number(urlMatches.comment_id) || null,
+      commentId: Number(urlMatches.groups.comment_id) || null,
     };
   }
 
@@ -116,10 +370,10 @@ export const getCurrentContext = () => {
 
   urlMatches = url.match(PAGE_URL_REGEXP_STORY);
 
-  if (isArray(urlMatches) || document.querySelector(SELECTOR_STORY_ELEMENT)) {
+  if (isArray(urlMatches) || queryElement(ELEMENT_STORY_LINE)) {
     return {
       type: CONTEXT_STORY,
-      storyKey: urlMatches?.story_key,
+      storyKey: urlMatches?.groups.story_key,
     };
   }
 
@@ -138,14 +392,29 @@ export const getCurrentContext = () => {
   if (isArray(urlMatches)) {
     return {
       type: CONTEXT_GUIDEBOOK,
-      languageName: urlMatches.language,
-      unitIndex: Number(urlMatches.index),
+      languageName: urlMatches.groups.language,
+      unitIndex: Number(urlMatches.groups.index),
     };
   }
 
+  // Other pages
+
+  const routeContext = getCurrentRouteContext(url);
+
+  if (routeContext) {
+    return routeContext;
+  }
+
   // Challenges
 
-  const challengeWrapper = document.querySelector(SELECTOR_CHALLENGE_WRAPPER);
+  const levelMatches = url.match(PAGE_URL_REGEXP_LESSON_LEVEL);
+
+  const levelData = {
+    unitIndex: isArray(levelMatches) ? Number(levelMatches.groups.unit) : null,
+    levelIndex: isArray(levelMatches) ? Number(levelMatches.groups.level) : null,
+  };
+
+  const challengeWrapper = getChallengeWrapper();
 
   if (challengeWrapper) {
     let challengeType = null;
@@ -159,20 +428,23 @@ export const getCurrentContext = () => {
       }
     }
 
-    let result = RESULT_NONE;
-    const resultWrapper = document.querySelector(SELECTOR_CHALLENGE_RESULT_WRAPPER);
-
-    if (resultWrapper) {
-      result = resultWrapper.classList.contains(CLASS_NAME_CORRECT_CHALLENGE_RESULT_WRAPPER)
-        ? RESULT_CORRECT
-        : RESULT_INCORRECT;
-    }
+    const { result, confidence, signal } = resolveChallengeResult(getDisplayedChallengeResultSignals());
 
     return {
       type: CONTEXT_CHALLENGE,
       challengeType,
       result,
+      resultConfidence: confidence,
+      resultSignal: signal,
       isCompleted: (RESULT_NONE !== result),
+      ...levelData,
+    };
+  }
+
+  if (queryElement(ELEMENT_LESSON_COMPLETE_SLIDE)) {
+    return {
+      type: CONTEXT_LESSON_COMPLETE,
+      ...levelData,
     };
   }
 
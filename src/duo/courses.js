@@ -1,9 +1,10 @@
-import { isObject, isString } from '../utils/functions';
+import { capitalize, isFunction, isObject, isString } from '../utils/functions';
 
 /**
  * @typedef {object} LanguageName
  * @property {string} native The native name of the language.
  * @property {string} english The English name of the language.
+ * @property {string} localized The name of the language in the requested display language.
  */
 
 /**
@@ -180,29 +181,349 @@ const LANGUAGE_NAMES = {
   },
 };
 
+/**
+ * @typedef {object} LanguageTagMapping
+ * @property {string} duolingo The tag used by Duolingo for courses and users.
+ * @property {string} tts The tag used by Duolingo in the paths of TTS sounds.
+ * @property {string} bcp47 The standard BCP 47 tag.
+ */
+
+/**
+ * The tags of the languages whose Duolingo or TTS tag is not the standard one.
+ *
+ * Constructed languages are always mapped explicitly:
+ * Klingon has a standard tag (ISO 639-2), but High Valyrian does not, and uses a private use tag instead.
+ * @type {LanguageTagMapping[]}
+ */
+const LANGUAGE_TAG_MAPPINGS = [
+  { duolingo: 'hv', tts: 'hv', bcp47: 'art-x-valyrian' },
+  { duolingo: 'hw', tts: 'hw', bcp47: 'haw' },
+  { duolingo: 'nl-NL', tts: 'dn', bcp47: 'nl' },
+  { duolingo: 'no-BO', tts: 'nb', bcp47: 'nb' },
+  { duolingo: 'tlh', tts: 'tlh', bcp47: 'tlh' },
+  { duolingo: 'zh', tts: 'zs', bcp47: 'zh' },
+  { duolingo: 'zh-HK', tts: 'zc', bcp47: 'yue' },
+];
+
+/**
+ * @param {string} tag A language tag, possibly using underscores or an unusual case.
+ * @returns {string}
+ * The given tag, using hyphens and the conventional case of each subtag
+ * (lowercase languages, title-case scripts, uppercase regions).
+ */
+export const normalizeLanguageTag = tag => {
+  let isPrivateUse = false;
+
+  return String(tag)
+    .trim()
+    .replace(/_/g, '-')
+    .split('-')
+    .filter(subtag => ('' !== subtag))
+    .map((subtag, index) => {
+      subtag = subtag.toLowerCase();
+
+      // The subtags following a singleton (such as "x" for private use) have no conventional case.
+      if ((0 === index) || isPrivateUse) {
+        return subtag;
+      } else if (1 === subtag.length) {
+        isPrivateUse = true;
+        return subtag;
+      } else if (/^[a-z]{4}$/.test(subtag)) {
+        return capitalize(subtag);
+      } else if (/^([a-z]{2}|[\d]{3})$/.test(subtag)) {
+        return subtag.toUpperCase();
+      }
+
+      return subtag;
+    })
+    .join('-');
+};
+
+/**
+ * @param {string} tag A language tag, using any of the supported forms.
+ * @returns {LanguageTagMapping|null} The mapping including the given tag, if any.
+ */
+const getLanguageTagMapping = tag => {
+  const normalizedTag = normalizeLanguageTag(tag);
+
+  return LANGUAGE_TAG_MAPPINGS.find(
+    mapping => Object.values(mapping).some(value => (normalizeLanguageTag(value) === normalizedTag))
+  ) || null;
+};
+
+/**
+ * @param {string} tag A language tag, using any of the supported forms.
+ * @returns {string} The corresponding standard BCP 47 tag, usable with Intl or the Web Speech API.
+ */
+export const toBcp47LanguageTag = tag => getLanguageTagMapping(tag)?.bcp47 || normalizeLanguageTag(tag);
+
+/**
+ * @param {string} tag A language tag, using any of the supported forms.
+ * @returns {string} The corresponding tag, as used by Duolingo for courses and users.
+ */
+export const toDuolingoLanguageTag = tag => {
+  const mapping = getLanguageTagMapping(tag);
+
+  if (mapping) {
+    return mapping.duolingo;
+  }
+
+  const normalizedTag = normalizeLanguageTag(tag);
+  const mainTag = normalizedTag.split('-')[0];
+
+  if (LANGUAGE_NAMES[normalizedTag]) {
+    return normalizedTag;
+  } else if (LANGUAGE_NAMES[mainTag]) {
+    // Duolingo does not use regional variants, except for the languages handled by the mappings.
+    return mainTag;
+  }
+
+  // Some languages are only known by Duolingo under a regional variant (such as "no-BO" for Norwegian).
+  return Object.keys(LANGUAGE_NAMES).find(duolingoTag => (duolingoTag.split('-')[0] === mainTag)) || normalizedTag;
+};
+
+/**
+ * @param {string} tag A language tag, using any of the supported forms.
+ * @returns {string} The corresponding tag, as used by Duolingo in the paths of TTS sounds.
+ */
+export const toTtsLanguageTag = tag => getLanguageTagMapping(tag)?.tts || toDuolingoLanguageTag(tag);
+
+/**
+ * @param {string} tag A language tag, as used by Duolingo in the paths of TTS sounds.
+ * @returns {string} The corresponding tag, as used by Duolingo for courses and users.
+ */
+export const fromTtsLanguageTag = tag => {
+  const normalizedTag = normalizeLanguageTag(tag);
+  const mapping = LANGUAGE_TAG_MAPPINGS.find(candidate => (candidate.tts === normalizedTag));
+
+  return mapping ? mapping.duolingo : toDuolingoLanguageTag(normalizedTag);
+};
+
+/**
+ * The names of the constructed languages (which Intl does not know about), by display language.
+ * @type {{[key: string]: {[key: string]: string}}}
+ */
+const CONSTRUCTED_LANGUAGE_NAMES = {
+  hv: {
+    de: 'Hochvalyrisch',
+    en: 'High Valyrian',
+    es: 'Alto valyrio',
+    fr: 'Haut valyrien',
+    it: 'Alto valyriano',
+    pt: 'Alto valiriano',
+  },
+  tlh: {
+    de: 'Klingonisch',
+    en: 'Klingon',
+    es: 'Klingon',
+    fr: 'Klingon',
+    it: 'Klingon',
+    pt: 'Klingon',
+  },
+};
+
 /**
  * @param {string} tag A language tag.
+ * @param {string} displayLocale The tag of the language in which to display the name.
+ * @returns {string|null} The name of the language in the given display language, if it is known.
+ */
+const getLocalizedLanguageName = (tag, displayLocale) => {
+  const displayTag = toBcp47LanguageTag(displayLocale);
+  const constructedNames = CONSTRUCTED_LANGUAGE_NAMES[toDuolingoLanguageTag(tag)];
+
+  if (constructedNames) {
+    return constructedNames[displayTag] || constructedNames[displayTag.split('-')[0]] || null;
+  }
+
+  if (!isFunction(Intl.DisplayNames)) {
+    return null;
+  }
+
+  try {
+    const name = new Intl.DisplayNames([ displayTag ], { type: 'language', fallback: 'none' })
+      .of(toBcp47LanguageTag(tag));
+
+    // Some languages (such as French) do not capitalize language names, but they stand alone here.
+    return isString(name) ? capitalize(name, displayTag) : null;
+  } catch (error) {
+    // The display locale or the language tag is invalid.
+    return null;
+  }
+};
+
+/**
+ * @param {string} tag A language tag.
+ * @param {string} displayLocale The tag of the language in which to display the localized name.
  * @returns {LanguageName} The corresponding language names.
  */
-export const getLanguageName = tag => {
-  if (LANGUAGE_NAMES[tag]) {
-    return LANGUAGE_NAMES[tag];
+export const getLanguageName = (tag, displayLocale = 'en') => {
+  const duolingoTag = toDuolingoLanguageTag(tag);
+  const mainTag = tag.split('-')[0];
+
+  const names = LANGUAGE_NAMES[tag]
+    || LANGUAGE_NAMES[duolingoTag]
+    || LANGUAGE_NAMES[mainTag]
+    || { native: tag, english: tag };
+
+  let localized = getLocalizedLanguageName(tag, displayLocale);
+
+  if (!localized) {
+    localized = (toDuolingoLanguageTag(displayLocale) === duolingoTag) ? names.native : names.english;
+  }
+
+  return { ...names, localized };
+};
+
+/**
+ * @type {string}
+ */
+export const TEXT_DIRECTION_LTR = 'ltr';
+
+/**
+ * @type {string}
+ */
+export const TEXT_DIRECTION_RTL = 'rtl';
+
+/**
+ * Words are separated by spaces (and punctuation).
+ * @type {string}
+ */
+export const WORD_SPLITTING_MODE_SPACES = 'spaces';
+
+/**
+ * Words are not separated, and each character can be considered on its own (as in Chinese and Japanese).
+ * @type {string}
+ */
+export const WORD_SPLITTING_MODE_CHARACTERS = 'characters';
+
+/**
+ * Words are not separated, and splitting them requires a dictionary (as in Thai).
+ * @type {string}
+ */
+export const WORD_SPLITTING_MODE_DICTIONARY = 'dictionary';
+
+/**
+ * @typedef {object} LanguageMetadata
+ * @property {string} direction The direction of the text.
+ * @property {string[]} writingSystems The ISO 15924 codes of the writing systems used by the courses.
+ * @property {boolean} hasAlphabetsCourse Whether there is an alphabets course for learning the writing system(s).
+ * @property {boolean} hasCharactersCourse Whether there is a characters course for learning the writing system(s).
+ * @property {boolean} hasTransliteration Whether the UI can display a romanization / transliteration of the sentences.
+ * @property {string} wordSplittingMode How sentences are split into words.
+ */
+
+/**
+ * The metadata of the languages that use the Latin alphabet and have no dedicated course feature.
+ * @type {LanguageMetadata}
+ */
+const DEFAULT_LANGUAGE_METADATA = {
+  direction: TEXT_DIRECTION_LTR,
+  writingSystems: [ 'Latn' ],
+  hasAlphabetsCourse: false,
+  hasCharactersCourse: false,
+  hasTransliteration: false,
+  wordSplittingMode: WORD_SPLITTING_MODE_SPACES,
+};
+
+/**
+ * The metadata of the languages that differ from the default ones, by language tag.
+ * @type {{[key: string]: object}}
+ */
+const LANGUAGE_METADATA = {
+  ar: {
+    direction: TEXT_DIRECTION_RTL,
+    writingSystems: [ 'Arab' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  el: {
+    writingSystems: [ 'Grek' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  he: {
+    direction: TEXT_DIRECTION_RTL,
+    writingSystems: [ 'Hebr' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  hi: {
+    writingSystems: [ 'Deva' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  ja: {
+    writingSystems: [ 'Hira', 'Kana', 'Hani' ],
+    hasAlphabetsCourse: true,
+    hasCharactersCourse: true,
+    hasTransliteration: true,
+    wordSplittingMode: WORD_SPLITTING_MODE_CHARACTERS,
+  },
+  ko: {
+    writingSystems: [ 'Hang' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  ru: {
+    writingSystems: [ 'Cyrl' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  th: {
+    writingSystems: [ 'Thai' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+    wordSplittingMode: WORD_SPLITTING_MODE_DICTIONARY,
+  },
+  uk: {
+    writingSystems: [ 'Cyrl' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  yi: {
+    direction: TEXT_DIRECTION_RTL,
+    writingSystems: [ 'Hebr' ],
+    hasAlphabetsCourse: true,
+    hasTransliteration: true,
+  },
+  zh: {
+    writingSystems: [ 'Hans' ],
+    hasCharactersCourse: true,
+    hasTransliteration: true,
+    wordSplittingMode: WORD_SPLITTING_MODE_CHARACTERS,
+  },
+  'zh-HK': {
+    writingSystems: [ 'Hant' ],
+    hasCharactersCourse: true,
+    hasTransliteration: true,
+    wordSplittingMode: WORD_SPLITTING_MODE_CHARACTERS,
+  },
+};
+
+/**
+ * @param {string} tag A language tag.
+ * @returns {LanguageMetadata} The metadata of the corresponding language, or the default metadata for invalid tags.
+ */
+export const getLanguageMetadata = tag => {
+  if (!isString(tag)) {
+    return { ...DEFAULT_LANGUAGE_METADATA };
   }
 
-  if (tag.indexOf('-') >= 0) {
-    const mainTag = tag.split('-')[0];
+  let metadata = LANGUAGE_METADATA[tag];
 
-    if (LANGUAGE_NAMES[mainTag]) {
-      return LANGUAGE_NAMES[mainTag];
-    }
+  if (!metadata && (tag.indexOf('-') >= 0)) {
+    metadata = LANGUAGE_METADATA[tag.split('-')[0]];
   }
 
-  return {
-    native: tag,
-    english: tag,
-  };
+  return { ...DEFAULT_LANGUAGE_METADATA, ...(metadata || {}) };
 };
 
+/**
+ * @param {string} tag A language tag.
+ * @returns {boolean} Whether the corresponding language is written from right to left.
+ */
+export const isRtlLanguage = tag => (TEXT_DIRECTION_RTL === getLanguageMetadata(tag).direction);
+
 /**
  * @typedef {object} Course
  * @property {string} id The ID of the course.
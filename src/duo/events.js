@@ -2,26 +2,36 @@ import { _, _1, _2, _3, it, lift } from 'one-liner.macro';
 
 import {
   bumpGlobalCounter,
+  getOriginalPropertyDescriptor,
   getSharedGlobalVariable,
   getToolboxIframe,
   getUniqueKey,
+  onConstructorCall,
   overrideGlobalFunction,
   overrideInstanceMethod,
+  overrideOwnPropertyDescriptor,
   setSharedGlobalVariable,
   updateSharedGlobalVariable,
 } from '../utils/internal';
 
 import {
   compareWith,
+  diffValues,
   escapeRegExp,
+  getPathKeys,
   getUrlPath,
+  getUrlQuery,
+  getValueAtPath,
   identity,
   isArray,
   isEmptyObject,
+  isFunction,
+  isNumber,
   isObject,
   isString,
 } from '../utils/functions';
 
+import { PRIORITY_AVERAGE } from '../utils/constants';
 import { logError } from '../utils/logging';
 
 import {
@@ -29,12 +39,34 @@ import {
   getChallengeTargetLanguage,
   getChallengeType,
   MORPHEME_CHALLENGE_TYPES,
+  parseChallenge,
+  resolveChallengeResult,
+  RESULT_CONFIDENCE_NONE,
+  RESULT_CORRECT,
+  RESULT_INCORRECT,
+  RESULT_NONE,
+  RESULT_SIGNAL_RESULT_BANNER,
+  RESULT_SIGNAL_SESSION_PROGRESS,
+  RESULT_SIGNAL_SOUND_EFFECT,
 } from './challenges';
 
-import { parseCourse } from './courses';
+import {
+  CONTEXT_CHALLENGE,
+  getChallengeWrapper,
+  getCurrentContext,
+  getDisplayedChallengeResultSignals,
+  setCurrentLeagueTier,
+} from './context';
+import { ELEMENT_CHECK_BUTTON, ELEMENT_SKIP_BUTTON, queryElement } from './selectors';
+
+import { fromTtsLanguageTag, parseCourse } from './courses';
+import { getCurrentUserId } from './state';
+import { FOLLOW_LIST_TYPE_FOLLOWERS, FOLLOW_LIST_TYPE_FOLLOWING, parseUser } from './users';
 
 import {
+  SOUND_PLAYBACK_STRATEGY_AUDIO,
   SOUND_PLAYBACK_STRATEGY_HOWLER,
+  SOUND_PLAYBACK_STRATEGY_WEB_AUDIO,
   SOUND_SPEED_NORMAL,
   SOUND_SPEED_SLOW,
   SOUND_TYPE_EFFECT,
@@ -42,6 +74,10 @@ import {
   SOUND_TYPE_TTS_SENTENCE,
   SOUND_TYPE_TTS_WORD,
   SOUND_TYPE_UNKNOWN,
+  applyWebAudioSourceOverrides,
+  getSoundDuration,
+  getSoundPosition,
+  trackWebAudioSourcePlayback,
 } from './sounds';
 
 /**
@@ -198,13 +234,18 @@ const dispatchEvent = (event, ...payload) => (
 /**
  * @type {string}
  */
-const EVENT_TYPE_USER_DATA_LOADED = 'user_data_loaded';
+export const EVENT_TYPE_USER_DATA_LOADED = 'user_data_loaded';
 
 /**
  * @type {string}
  */
 const EVENT_TYPE_USER_COURSES_LOADED = 'user_courses_loaded';
 
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_CURRENT_USER_CHANGED = 'current_user_changed';
+
 /**
  * @type {string}
  */
@@ -218,7 +259,7 @@ const EVENT_TYPE_DUO_STATE_CHANGED = 'duo_state_changed';
 /**
  * @type {string}
  */
-const EVENT_TYPE_PRACTICE_SESSION_LOADED = 'practice_session_loaded';
+export const EVENT_TYPE_PRACTICE_SESSION_LOADED = 'practice_session_loaded';
 
 /**
  * @type {string}
@@ -233,27 +274,77 @@ const EVENT_TYPE_PRE_FETCHED_SESSION_LOADED = 'pre_fetched_session_loaded';
 /**
  * @type {string}
  */
-const EVENT_TYPE_STORY_LOADED = 'story_loaded';
+export const EVENT_TYPE_STORY_LOADED = 'story_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_ALPHABETS_LOADED = 'alphabets_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_ALPHABET_HINTS_LOADED = 'alphabet_hints_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_FORUM_DISCUSSION_LOADED = 'forum_discussion_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_GUIDEBOOK_LOADED = 'guidebook_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_LEADERBOARD_DATA_LOADED = 'leaderboard_data_loaded';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_LEADERBOARD_LOADED = 'leaderboard_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_USER_PROFILE_DATA_LOADED = 'user_profile_data_loaded';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_USER_PROFILE_LOADED = 'user_profile_loaded';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_FOLLOW_LIST_DATA_LOADED = 'follow_list_data_loaded';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_FOLLOW_LIST_LOADED = 'follow_list_loaded';
 
 /**
  * @type {string}
  */
-const EVENT_TYPE_ALPHABETS_LOADED = 'alphabets_loaded';
+export const EVENT_TYPE_FRIEND_STREAKS_DATA_LOADED = 'friend_streaks_data_loaded';
 
 /**
  * @type {string}
  */
-const EVENT_TYPE_ALPHABET_HINTS_LOADED = 'alphabet_hints_loaded';
+const EVENT_TYPE_FRIEND_STREAKS_LOADED = 'friend_streaks_loaded';
 
 /**
  * @type {string}
  */
-const EVENT_TYPE_FORUM_DISCUSSION_LOADED = 'forum_discussion_loaded';
+export const EVENT_TYPE_ACHIEVEMENTS_DATA_LOADED = 'achievements_data_loaded';
 
 /**
  * @type {string}
  */
-const EVENT_TYPE_GUIDEBOOK_LOADED = 'guidebook_loaded';
+const EVENT_TYPE_ACHIEVEMENTS_LOADED = 'achievements_loaded';
 
 /**
  * @type {string}
@@ -275,11 +366,81 @@ const EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED = 'sound_playback_confirmed';
  */
 const EVENT_TYPE_SOUND_PLAYBACK_CANCELLED = 'sound_playback_cancelled';
 
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_SOUND_PLAYBACK_ENDED = 'sound_playback_ended';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_SOUND_PLAYBACK_PAUSED = 'sound_playback_paused';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_SOUND_PLAYBACK_SEEKED = 'sound_playback_seeked';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_SOUND_PLAYBACK_PROGRESS = 'sound_playback_progress';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_SOUND_LOAD_ERROR = 'sound_load_error';
+
 /**
  * @type {string}
  */
 const EVENT_TYPE_UI_LOADED = 'ui_loaded';
 
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_CHALLENGE_SHOWN = 'challenge_shown';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_CHALLENGE_ANSWER_SUBMITTED = 'challenge_answer_submitted';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_CHALLENGE_RESULT = 'challenge_result';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_CHALLENGE_SKIPPED = 'challenge_skipped';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_PAGE_UPDATED = 'page_updated';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_CONTEXT_CHANGED = 'context_changed';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_SESSION_PROGRESS_SAVED = 'session_progress_saved';
+
+/**
+ * @type {string}
+ */
+export const EVENT_TYPE_FINISHED_SESSION_SENT = 'finished_session_sent';
+
+/**
+ * @type {string}
+ */
+const EVENT_TYPE_PRACTICE_SESSION_COMPLETED = 'practice_session_completed';
+
 /**
  * @type {{[key: string]: RegExp}}
  */
@@ -287,9 +448,29 @@ const BASE_HTTP_REQUEST_EVENT_URL_REGEXPS = {
   [EVENT_TYPE_ALPHABETS_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/alphabets\/courses\/(?<toLanguage>[^/]+)\/(?<fromLanguage>[^/?]+)\/?/g,
   [EVENT_TYPE_FORUM_DISCUSSION_LOADED]: /\/comments\/([\d]+)/g,
   [EVENT_TYPE_GUIDEBOOK_LOADED]: /\/guidebook\/compiled\/(?<toLanguage>[^/]+)\/(?<fromLanguage>[^/]+)\/?/g,
+  [EVENT_TYPE_LEADERBOARD_DATA_LOADED]: /\/leaderboards\/[^/]+\/users\/(?<userId>[\d]+)/g,
+  // This must be tested before the more generic URLs of practice sessions.
+  [EVENT_TYPE_SESSION_PROGRESS_SAVED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/sessions\/[^/?]+\/progress/g,
+  [EVENT_TYPE_FINISHED_SESSION_SENT]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/sessions\/(?<sessionId>[^/?]+)/g,
   [EVENT_TYPE_PRACTICE_SESSION_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/sessions/g,
   [EVENT_TYPE_STORY_LOADED]: /\/api2\/stories/g,
-  [EVENT_TYPE_USER_DATA_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/users\/[\d]+/g,
+  [EVENT_TYPE_FRIEND_STREAKS_DATA_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/friends\/users\/(?<userId>[\d]+)\/matches/g,
+  // These must be tested before the more generic URLs of user data.
+  [EVENT_TYPE_ACHIEVEMENTS_DATA_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/users\/(?<userId>[\d]+)\/achievements/g,
+  [EVENT_TYPE_FOLLOW_LIST_DATA_LOADED]:
+    /\/[\d]{4}-[\d]{2}-[\d]{2}\/(?:friends\/)?users\/(?<userId>[\d]+)\/(?<listType>followers|following)/g,
+  [EVENT_TYPE_USER_PROFILE_DATA_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/users\/(?<userId>[\d]+)\/profile/g,
+  [EVENT_TYPE_USER_DATA_LOADED]: /\/[\d]{4}-[\d]{2}-[\d]{2}\/users\/(?<userId>[\d]+)/g,
+};
+
+/**
+ * The HTTP methods of the requests that should trigger each event type, when they are restricted.
+ * @type {{[key: string]: string[]}}
+ */
+const BASE_HTTP_REQUEST_EVENT_METHODS = {
+  // Finished sessions are sent back to the same URLs as the ones used to load sessions.
+  [EVENT_TYPE_FINISHED_SESSION_SENT]: [ 'PUT' ],
+  [EVENT_TYPE_PRACTICE_SESSION_LOADED]: [ 'GET', 'POST' ],
 };
 
 /**
@@ -301,10 +482,32 @@ const KEY_HTTP_REQUEST_URL_EVENT_MAP = 'http_request_url_event_map';
  * @typedef {object} HttpUrlEvent
  * @property {string} eventType An event type.
  * @property {RegExp} urlRegExp A regular expression for the URLs that should trigger the event type when called.
+ * @property {string[]|null} methods The HTTP methods that should trigger the event type, or null for any method.
  * @property {object} requestData The base request data, common to all matching requests.
  */
 
 /**
+ * The version of the built-in URL events. It must be bumped whenever they change.
+ * @type {number}
+ */
+const BASE_HTTP_REQUEST_URL_EVENTS_VERSION = 2;
+
+/**
+ * @type {string}
+ */
+const KEY_BASE_URL_EVENTS_VERSION = getUniqueKey('base_url_events_version');
+
+/**
+ * @param {string} eventType A built-in event type.
+ * @returns {string} The key of the corresponding URL event in the shared map.
+ */
+const getBaseUrlEventKey = eventType => `__base::${eventType}__`;
+
+/**
+ * The map is shared with the other extensions, which may have been built using older versions of the toolbox:
+ * the built-in URL events are replaced by the most recent ones whenever necessary,
+ * and always tested before the additional ones.
+ * Outdated built-in URL events from older versions may remain after them, but never take precedence.
  * @returns {Map<*, HttpUrlEvent>} A map from unique keys to URL events.
  */
 const getHttpRequestUrlEventMap = () => {
@@ -312,21 +515,44 @@ const getHttpRequestUrlEventMap = () => {
 
   if (!(urlEventMap instanceof Map)) {
     urlEventMap = new Map();
+    setSharedGlobalVariable(KEY_HTTP_REQUEST_URL_EVENT_MAP, urlEventMap);
+  }
+
+  if (BASE_HTTP_REQUEST_URL_EVENTS_VERSION > (Number(urlEventMap[KEY_BASE_URL_EVENTS_VERSION]) || 0)) {
+    const baseKeys = Object.keys(BASE_HTTP_REQUEST_EVENT_URL_REGEXPS).map(getBaseUrlEventKey);
+    const otherEntries = Array.from(urlEventMap.entries()).filter(([ key ]) => !baseKeys.includes(key));
+
+    urlEventMap.clear();
 
     Object.entries(BASE_HTTP_REQUEST_EVENT_URL_REGEXPS)
       .forEach(([ eventType, urlRegExp ]) => {
         urlEventMap.set(
-          urlRegExp,
-          { eventType, urlRegExp, requestData: {} }
+          getBaseUrlEventKey(eventType),
+          { eventType, urlRegExp, methods: BASE_HTTP_REQUEST_EVENT_METHODS[eventType] || null, requestData: {} }
         );
       });
 
-    setSharedGlobalVariable(KEY_HTTP_REQUEST_URL_EVENT_MAP, urlEventMap);
+    otherEntries.forEach(([ key, urlEvent ]) => urlEventMap.set(key, urlEvent));
+
+    urlEventMap[KEY_BASE_URL_EVENTS_VERSION] = BASE_HTTP_REQUEST_URL_EVENTS_VERSION;
   }
 
   return urlEventMap;
 };
 
+/**
+ * @param {string|RegExp} url A URL, or a regular expression for URLs.
+ * @returns {RegExp} A global regular expression matching the given URL(s).
+ */
+const getUrlRegExp = url => {
+  if (!(url instanceof RegExp)) {
+    return new RegExp(escapeRegExp(String(url)), 'g');
+  }
+
+  // String.prototype.matchAll() requires global regular expressions.
+  return url.global ? url : new RegExp(url.source, `${url.flags}g`);
+};
+
 /**
  * @param {string} event An event type.
  * @param {Array<string|RegExp>} urls URLs that should trigger the given event type when called.
@@ -338,1083 +564,3416 @@ const registerAdditionalUrlEvents = (event, urls, requestData = {}) => {
   for (const url of urls) {
     urlEventMap.set(url, {
       eventType: event,
+      methods: null,
       requestData,
-      urlRegExp: (url instanceof RegExp) ? url : new RegExp(escapeRegExp(String(url)), 'g'),
+      urlRegExp: getUrlRegExp(url),
     });
   }
 };
 
 /**
- * @param {string} url An URL.
- * @returns {{ eventType: string, requestData: object }|null} The corresponding event data, if any.
+ * @type {string}
  */
-const getUrlEventData = url => {
-  let eventType;
-  let requestData;
-  const urlEventMap = getHttpRequestUrlEventMap();
+const KEY_CUSTOM_HTTP_REQUEST_EVENT_MAP = 'custom_http_request_event_map';
 
-  for (const urlEvent of urlEventMap.values()) {
-    const urlMatches = Array.from(url.matchAll(urlEvent.urlRegExp))[0];
+/**
+ * @returns {Map<string, HttpUrlEvent>} A map from names to the URL events defined using defineHttpRequestEvent().
+ */
+const getCustomHttpRequestEventMap = () => {
+  let customEventMap = getSharedGlobalVariable(KEY_CUSTOM_HTTP_REQUEST_EVENT_MAP);
 
-    if (urlMatches) {
-      eventType = urlEvent.eventType;
-      requestData = { ...urlEvent.requestData, ...(urlMatches.groups || {}) };
-      break;
-    }
+  if (!(customEventMap instanceof Map)) {
+    customEventMap = new Map();
+    setSharedGlobalVariable(KEY_CUSTOM_HTTP_REQUEST_EVENT_MAP, customEventMap);
   }
 
-  return eventType ? { eventType, requestData } : null;
+  return customEventMap;
 };
 
 /**
- * @param {string} event An event type based on XHR requests to some specific URLs.
- * @param {Function} callback The function to be called with the response data, when a matching request is made.
- * @param {string=} listenerId The listener ID.
- * @returns {Function} A function usable to unregister the listener.
+ * @param {HttpUrlEvent} urlEvent A URL event.
+ * @param {string} url An URL.
+ * @param {string} method An HTTP method, in uppercase.
+ * @returns {{ eventType: string, requestData: object }|null} The event data, if the URL event matches the request.
  */
-const registerHttpRequestEventListener = (event, callback, listenerId = getUniqueEventListenerId()) => {
-  overrideInstanceMethod('XMLHttpRequest', 'open', originalXhrOpen => (
-    function (method, url, async, user, password) {
-      const urlEvent = getUrlEventData(url);
-
-      if (urlEvent) {
-        withEventListeners(urlEvent.eventType, listeners => {
-          this.addEventListener('load', () => {
-            try {
-              const responseData = isObject(this.response) ? this.response : JSON.parse(this.responseText);
-              listeners.forEach(it(responseData, urlEvent.requestData));
-            } catch (error) {
-              logError(error, `Could not handle the XHR result (event: "${urlEvent.eventType}"): `);
-            }
-          });
-        });
-      }
+const matchUrlEvent = (urlEvent, url, method) => {
+  if (isArray(urlEvent.methods) && (urlEvent.methods.indexOf(method) === -1)) {
+    return null;
+  }
 
-      return originalXhrOpen.call(this, method, url, async, user, password);
-    }
-  ), 3);
+  const urlMatches = Array.from(url.matchAll(urlEvent.urlRegExp))[0];
 
-  overrideGlobalFunction('fetch', originalFetch => function (resource, init) {
-    const url = (resource instanceof Request) ? resource.url : String(resource);
-    let loadCallback = null;
-    const urlEvent = getUrlEventData(url);
+  return !urlMatches
+    ? null
+    : {
+      eventType: urlEvent.eventType,
+      requestData: { ...urlEvent.requestData, ...(urlMatches.groups || {}) },
+    };
+};
 
-    if (urlEvent) {
-      loadCallback = withEventListeners(urlEvent.eventType, listeners => (
-        responseData => {
-          try {
-            listeners.forEach(it(responseData, urlEvent.requestData));
-          } catch (error) {
-            logError(error, `Could not handle the fetch result (event: "${urlEvent.eventType}"): `);
-          }
-        }
-      ));
-    }
+/**
+ * @param {string} url An URL.
+ * @param {string} method An HTTP method.
+ * @returns {Array<{ eventType: string, requestData: object }>}
+ * The data of the events corresponding to a request:
+ * the first matching built-in event (if any), followed by all the matching custom events.
+ */
+const getUrlEvents = (url, method) => {
+  const upperMethod = String(method || 'GET').toUpperCase();
+  const urlEvents = [];
 
-    return originalFetch.call(this, resource, init)
-      .then(response => {
-        if (!loadCallback) {
-          return response;
-        }
+  for (const urlEvent of getHttpRequestUrlEventMap().values()) {
+    const eventData = matchUrlEvent(urlEvent, url, upperMethod);
 
-        const originalResponse = response.clone();
+    if (eventData) {
+      urlEvents.push(eventData);
+      break;
+    }
+  }
 
-        return response.json()
-          .then(payload => {
-            loadCallback(payload);
-            return originalResponse;
-          })
-          .catch(() => originalResponse)
-      })
-  }, 2);
+  for (const urlEvent of getCustomHttpRequestEventMap().values()) {
+    const eventData = matchUrlEvent(urlEvent, url, upperMethod);
+    eventData && urlEvents.push(eventData);
+  }
 
-  return registerEventListener(event, callback, listenerId);
+  return urlEvents;
 };
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the response data when user data is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded user data.
+ * @typedef {object} HttpRequest
+ * @property {string} method The HTTP method of the request, in uppercase.
+ * @property {string} url The URL of the request.
+ * @property {{[key: string]: string|string[]}} query The parameters of the query string of the URL.
+ * @property {{[key: string]: string}} headers The headers of the request, by lowercase name.
+ * @property {*} body
+ * The body of the request, if any.
+ * JSON bodies are parsed, and form data are converted to plain objects. Other bodies are left untouched.
+ * @property {number|null} status The status code of the response, once it is known.
  */
-export const onUserDataLoaded = registerHttpRequestEventListener(EVENT_TYPE_USER_DATA_LOADED, _);
 
 /**
- * @param {Function} callback The function to be called with the session data, when a pre-fetched session is loaded.
- * @param {string=} listenerId The listener ID.
- * @returns {Function} A function usable to unregister the listener.
+ * @type {string}
  */
-const registerPreFetchedSessionLoadListener = (callback, listenerId = getUniqueEventListenerId()) => {
-  const event = EVENT_TYPE_PRE_FETCHED_SESSION_LOADED;
+const KEY_XHR_REQUEST = getUniqueKey('xhr_request');
 
-  const patchIdbRequest = request => withEventListeners(event, listeners => {
-    request.addEventListener('success', () => {
-      try {
-        listeners.forEach(it(request.result));
-      } catch (error) {
-        logError(error, `Could not handle the IDBRequest result (event: ${event}): `);
-      }
-    });
-  });
+/**
+ * @param {string} method An HTTP method.
+ * @param {string} url A URL.
+ * @returns {HttpRequest} A new request descriptor, for the given method and URL.
+ */
+const createHttpRequest = (method, url) => ({
+  method: String(method || 'GET').toUpperCase(),
+  url: String(url),
+  query: getUrlQuery(String(url)),
+  headers: {},
+  body: null,
+  status: null,
+});
 
-  overrideInstanceMethod('IDBIndex', 'get', originalGet => function (key) {
-    const request = originalGet.call(this, key);
+/**
+ * @param {*} headers The headers of a request, as given to fetch().
+ * @returns {{[key: string]: string}} The given headers, by lowercase name.
+ */
+const parseHttpRequestHeaders = headers => {
+  let entries = [];
 
-    if (isString(key) && key && (this.objectStore.name === 'prefetchedSessions')) {
-      patchIdbRequest(request);
-    }
+  if (headers instanceof Headers) {
+    entries = Array.from(headers.entries());
+  } else if (isArray(headers)) {
+    entries = headers.filter(isArray);
+  } else if (isObject(headers)) {
+    entries = Object.entries(headers);
+  }
 
-    return request;
-  });
+  return Object.fromEntries(entries.map(([ name, value ]) => [ String(name).toLowerCase(), String(value) ]));
+};
 
-  overrideInstanceMethod('IDBObjectStore', 'get', originalGet => function (key) {
-    const request = originalGet.call(this, key);
+/**
+ * @param {*} body The body of a request, as given to fetch() or XMLHttpRequest.send().
+ * @returns {*} The parsed body, if it could be parsed. Otherwise, the given body.
+ */
+const parseHttpRequestBody = body => {
+  if ((undefined === body) || (null === body) || ('' === body)) {
+    return null;
+  }
 
-    if (this.name === 'prefetchedSessions') {
-      patchIdbRequest(request);
+  if (isString(body)) {
+    try {
+      return JSON.parse(body);
+    } catch (error) {
+      return body;
     }
+  }
 
-    return request;
-  });
+  if (body instanceof URLSearchParams) {
+    return getUrlQuery(`?${body}`);
+  }
 
-  return registerEventListener(event, callback, listenerId);
+  if (body instanceof FormData) {
+    return Object.fromEntries(body.entries());
+  }
+
+  return body;
 };
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the response data when a practice session is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded practice sessions.
+ * @typedef {object} HttpRequestMiddleware
+ * @property {string} id The ID of the middleware.
+ * @property {string} eventType The type of the event whose requests are handled by the middleware.
+ * @property {number} priority The priority of the middleware. Middlewares with higher priorities are applied first.
+ * @property {number} order The registration order of the middleware, used to order middlewares with equal priorities.
+ * @property {Function|null} onBeforeRequest
+ * The function to be called with the request descriptor and the request data before a request is sent.
+ * It can return a new body for the request, or undefined to leave it unchanged.
+ * If null, the requests are left unchanged.
+ * @property {Function|null} onResponse
+ * The function to be called with the (JSON) response data, the request descriptor and the request data
+ * when a response is received. It can return new response data, or undefined to leave them unchanged.
+ * If null, the responses are left unchanged.
  */
-export const onPracticeSessionLoaded = callback => {
-  const unregisterFreshSessionListener = registerHttpRequestEventListener(
-    EVENT_TYPE_PRACTICE_SESSION_LOADED,
-    callback
-  );
-
-  const unregisterPreFetchedSessionListener = registerDerivedEventListener(
-    EVENT_TYPE_PRACTICE_SESSION_LOADED,
-    EVENT_TYPE_PRE_FETCHED_SESSION_LOADED,
-    callback,
-    identity,
-    registerPreFetchedSessionLoadListener(_2, _3)
-  );
-
-  return () => {
-    unregisterFreshSessionListener();
-    unregisterPreFetchedSessionListener();
-  };
-};
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the session data when a pre-fetched session is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded pre-fetched practice sessions.
+ * @type {string}
  */
-export const onPreFetchedSessionLoaded = registerPreFetchedSessionLoadListener(
-  EVENT_TYPE_PRE_FETCHED_SESSION_LOADED,
-  _
-);
+const KEY_HTTP_REQUEST_MIDDLEWARES = 'http_request_middlewares';
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the response data when a story is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded stories.
+ * @param {string} eventType An event type based on HTTP requests.
+ * @returns {HttpRequestMiddleware[]} The middlewares registered for the given event type, in the order of application.
  */
-export const onStoryLoaded = registerHttpRequestEventListener(EVENT_TYPE_STORY_LOADED, _);
+const getHttpRequestMiddlewares = eventType => (
+  getSharedGlobalVariable(KEY_HTTP_REQUEST_MIDDLEWARES, {})[eventType] || []
+);
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the response and request data when alphabets are loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded alphabets.
+ * @param {HttpRequestMiddleware[]} middlewares A list of middlewares.
+ * @param {HttpRequest} request A request descriptor, whose body is updated with the changes of the middlewares.
+ * @param {object} requestData The request data.
+ * @returns {boolean} Whether the body of the request was changed by any of the middlewares.
  */
-export const onAlphabetsLoaded = registerHttpRequestEventListener(EVENT_TYPE_ALPHABETS_LOADED, _, _);
+const applyHttpRequestMiddlewares = (middlewares, request, requestData) => {
+  let isModified = false;
 
-/**
- * @type {Function}
- * @param {Function} callback The function to be called with the response data when alphabet hints are loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded alphabet hints.
- */
-export const onAlphabetHintsLoaded = registerHttpRequestEventListener(EVENT_TYPE_ALPHABET_HINTS_LOADED, _);
+  for (const middleware of middlewares) {
+    if (middleware.onBeforeRequest) {
+      try {
+        const body = middleware.onBeforeRequest(request, requestData);
+
+        if (undefined !== body) {
+          request.body = body;
+          isModified = true;
+        }
+      } catch (error) {
+        logError(error, `Could not apply the request middleware "${middleware.id}": `);
+      }
+    }
+  }
+
+  return isModified;
+};
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the response data when a forum discussion is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded forum discussions.
+ * @param {HttpRequestMiddleware[]} middlewares A list of middlewares.
+ * @param {*} responseData The original response data.
+ * @param {HttpRequest} request A request descriptor.
+ * @param {object} requestData The request data.
+ * @returns {{ data: *, isModified: boolean }} The final response data, and whether they were changed.
  */
-export const onForumDiscussionLoaded = registerHttpRequestEventListener(EVENT_TYPE_FORUM_DISCUSSION_LOADED, _);
+const applyHttpResponseMiddlewares = (middlewares, responseData, request, requestData) => {
+  let data = responseData;
+  let isModified = false;
+
+  for (const middleware of middlewares) {
+    if (middleware.onResponse) {
+      try {
+        const result = middleware.onResponse(data, request, requestData);
+
+        if (undefined !== result) {
+          data = result;
+          isModified = true;
+        }
+      } catch (error) {
+        logError(error, `Could not apply the response middleware "${middleware.id}": `);
+      }
+    }
+  }
+
+  return { data, isModified };
+};
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the response data when a guidebook is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded guidebooks.
+ * @param {Array<{ eventType: string, requestData: object }>} urlEvents The events corresponding to a request.
+ * @param {HttpRequest} request A request descriptor, whose body is updated with the changes of the middlewares.
+ * @returns {boolean} Whether the body of the request was changed by any of the middlewares of any of the events.
  */
-export const onGuidebookLoaded = registerHttpRequestEventListener(EVENT_TYPE_GUIDEBOOK_LOADED, _);
+const applyUrlEventsRequestMiddlewares = (urlEvents, request) => urlEvents.reduce(
+  (isModified, urlEvent) => (
+    applyHttpRequestMiddlewares(getHttpRequestMiddlewares(urlEvent.eventType), request, urlEvent.requestData)
+    || isModified
+  ),
+  false
+);
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the user courses when user data is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded user courses.
+ * @param {Array<{ eventType: string, requestData: object }>} urlEvents The events corresponding to a request.
+ * @param {*} responseData The original response data.
+ * @param {HttpRequest} request A request descriptor.
+ * @returns {{ data: *, isModified: boolean }}
+ * The final response data, after applying the middlewares of all the events in order, and whether they were changed.
  */
-export const onUserCoursesLoaded = registerDerivedEventListener(
-  EVENT_TYPE_USER_COURSES_LOADED,
-  EVENT_TYPE_USER_DATA_LOADED,
-  _,
-  userData => {
-    let payload;
+const applyUrlEventsResponseMiddlewares = (urlEvents, responseData, request) => urlEvents.reduce(
+  (result, urlEvent) => {
+    const middlewares = getHttpRequestMiddlewares(urlEvent.eventType);
+    const next = applyHttpResponseMiddlewares(middlewares, result.data, request, urlEvent.requestData);
 
-    if (
-      isObject(userData)
-      && isArray(userData.courses)
-      && isString(userData.fromLanguage)
-      && isString(userData.learningLanguage)
-    ) {
-      const courses = userData.courses.map(parseCourse).filter(isObject);
-
-      const currentCourse = courses.find(
-        (it.fromLanguage === userData.fromLanguage)
-        && (it.toLanguage === userData.learningLanguage)
-      );
+    return { data: next.data, isModified: result.isModified || next.isModified };
+  },
+  { data: responseData, isModified: false }
+);
 
-      payload = [ { courses, currentCourse } ];
-    }
+/**
+ * @param {Array<{ eventType: string, requestData: object }>} urlEvents The events corresponding to a request.
+ * @param {Function} hasHook A function usable to determine whether a middleware has the relevant hook.
+ * @returns {boolean} Whether any of the middlewares registered for the given events has the relevant hook.
+ */
+const hasUrlEventsMiddlewareHook = (urlEvents, hasHook) => (
+  urlEvents.some(urlEvent => getHttpRequestMiddlewares(urlEvent.eventType).some(hasHook))
+);
 
-    return payload;
-  },
-  registerHttpRequestEventListener
+/**
+ * @param {*} body A request body, possibly parsed.
+ * @returns {*} The given body, in a shape that can be sent. Plain objects and arrays are serialized as JSON.
+ */
+const serializeHttpRequestBody = body => (
+  isArray(body) || (isObject(body) && [ Object.prototype, null ].indexOf(Object.getPrototypeOf(body)) >= 0)
+    ? JSON.stringify(body)
+    : body
 );
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the challenges data when a practice session is loaded.
- * @returns {Function} A function usable to stop being notified of newly loaded challenges.
+ * Overrides the response getters of an XHR, so that they consistently return the response data
+ * as changed by the middlewares registered for the given event types.
+ * @param {XMLHttpRequest} xhr A request.
+ * @param {HttpRequest} request The descriptor of the request.
+ * @param {Array<{ eventType: string, requestData: object }>} urlEvents The events corresponding to the request.
+ * @returns {void}
  */
-export const onPracticeChallengesLoaded = callback => {
-  const getSessionChallenges = sessionData => {
-    let payload;
+const applyXhrResponseMiddlewares = (xhr, request, urlEvents) => {
+  // The native getters are used, rather than the ones that may have been overridden for other purposes.
+  const getOriginalResponse = getOriginalPropertyDescriptor(XMLHttpRequest.prototype, 'response').get;
+  const getOriginalResponseText = getOriginalPropertyDescriptor(XMLHttpRequest.prototype, 'responseText').get;
+  let result = null;
 
-    if (isObject(sessionData)) {
-      if (isObject(sessionData.session)) {
-        sessionData = sessionData.session;
-      }
+  xhr.addEventListener('loadstart', () => {
+    result = null;
+  });
 
-      const challenges = [
-        sessionData.challenges,
-        sessionData.adaptiveChallenges,
-        sessionData.easierAdaptiveChallenges,
-        sessionData.mistakesReplacementChallenges,
-        sessionData.adaptiveInterleavedChallenges?.challenges,
-      ].filter(isArray).flat();
+  const getResult = () => {
+    // The XHR may have been reopened since, possibly for an URL that is not watched anymore.
+    if (
+      (xhr[KEY_XHR_REQUEST]?.request !== request)
+      || (4 !== xhr.readyState)
+      || ([ '', 'text', 'json' ].indexOf(xhr.responseType) === -1)
+    ) {
+      return null;
+    }
 
-      const sessionMetaData = sessionData.metadata || {};
+    if (!result) {
+      const original = getOriginalResponse.call(xhr);
+      result = { isModified: false };
 
-      payload = [ { challenges, sessionMetaData } ];
+      try {
+        request.status = xhr.status;
+        const responseData = ('json' === xhr.responseType) ? original : JSON.parse(original);
+
+        if (isObject(responseData) || isArray(responseData)) {
+          result = applyUrlEventsResponseMiddlewares(urlEvents, responseData, request);
+          result.text = JSON.stringify(result.data);
+        }
+      } catch (error) {
+        // The response is not valid JSON, and is left untouched.
+      }
     }
 
-    return payload;
+    return result;
   };
 
-  const unregisterFreshChallengesListener = registerDerivedEventListener(
-    EVENT_TYPE_PRACTICE_CHALLENGES_LOADED,
-    EVENT_TYPE_PRACTICE_SESSION_LOADED,
-    callback,
-    getSessionChallenges,
-    registerHttpRequestEventListener
-  );
+  Object.defineProperty(xhr, 'response', {
+    configurable: true,
+    get: () => {
+      const current = getResult();
 
-  const unregisterPreFetchedChallengesListener = registerDerivedEventListener(
-    EVENT_TYPE_PRACTICE_CHALLENGES_LOADED,
-    EVENT_TYPE_PRE_FETCHED_SESSION_LOADED,
-    callback,
-    getSessionChallenges,
-    registerPreFetchedSessionLoadListener(_2, _3)
-  );
+      if (!current?.isModified) {
+        return getOriginalResponse.call(xhr);
+      }
 
-  return () => {
-    unregisterFreshChallengesListener();
-    unregisterPreFetchedChallengesListener();
-  };
+      return ('json' === xhr.responseType) ? current.data : current.text;
+    },
+  });
+
+  Object.defineProperty(xhr, 'responseText', {
+    configurable: true,
+    get: () => {
+      const current = getResult();
+
+      // The response text is only available for text responses, and is otherwise left to fail as usual.
+      return (current?.isModified && ('json' !== xhr.responseType))
+        ? current.text
+        : getOriginalResponseText.call(xhr);
+    },
+  });
 };
 
 /**
- * @typedef {object} SoundData
- * @property {string} url The URL of the sound (that may be of any shape).
- * @property {string} type The type of the sound.
- * @property {string} speed The speed of the sound.
- * @property {string|null} language The language of the sound, in case of a sentence / word.
+ * @param {Response} response A response.
+ * @param {*} data New response data.
+ * @returns {Response} A copy of the given response, with the given data as a JSON body.
  */
+const createJsonResponse = (response, data) => {
+  const newResponse = new Response(JSON.stringify(data), {
+    status: response.status,
+    statusText: response.statusText,
+    headers: response.headers,
+  });
 
-/**
- * @param {string} url The URL of the effect sound.
- * @returns {SoundData} Relevant data about the given sound.
- */
-const getEffectSoundData = url => ({
-  url,
-  type: SOUND_TYPE_EFFECT,
-  speed: SOUND_SPEED_NORMAL,
-  language: null,
-});
+  // These properties can not be passed to the constructor.
+  [ 'url', 'redirected', 'type' ].forEach(key => Object.defineProperty(newResponse, key, { value: response[key] }));
 
-/**
- * @param {string} url The URL of the sentence sound.
- * @param {string} language The language of the sentence.
- * @returns {SoundData} Relevant data about the given sound.
- */
-const getNormalSentenceSoundData = (url, language) => ({
-  url,
-  type: SOUND_TYPE_TTS_SENTENCE,
-  speed: SOUND_SPEED_NORMAL,
-  language,
-});
+  return newResponse;
+};
 
 /**
- * @param {string} url The URL of the sentence sound.
- * @param {string} language The language of the sentence.
- * @returns {SoundData} Relevant data about the given sound.
+ * Applies the overrides required for observing and changing the HTTP requests that trigger events, if necessary.
+ * @returns {void}
  */
-const getSlowSentenceSoundData = (url, language) => ({
-  url,
-  type: SOUND_TYPE_TTS_SENTENCE,
-  speed: SOUND_SPEED_SLOW,
-  language,
-});
+const registerHttpRequestOverrides = () => {
+  overrideInstanceMethod('XMLHttpRequest', 'open', originalXhrOpen => (
+    function (method, url, async, user, password) {
+      const request = createHttpRequest(method, url);
+      const urlEvents = getUrlEvents(request.url, request.method);
 
-/**
- * @param {string} url The URL of the word sound.
- * @param {string} language The language of the word.
- * @returns {SoundData} Relevant data about the given sound.
- */
-const getNormalWordSoundData = (url, language) => ({
-  url,
-  type: SOUND_TYPE_TTS_WORD,
-  speed: SOUND_SPEED_NORMAL,
-  language,
-});
+      this[KEY_XHR_REQUEST] = (urlEvents.length > 0) ? { request, urlEvents } : null;
 
-/**
- * @param {string} url The URL of the morpheme sound.
- * @param {string} language The language of the morpheme.
- * @returns {SoundData} Relevant data about the given sound.
- */
-const getNormalMorphemeSoundData = (url, language) => ({
-  url,
-  type: SOUND_TYPE_TTS_MORPHEME,
-  speed: SOUND_SPEED_NORMAL,
-  language,
-});
+      if (hasUrlEventsMiddlewareHook(urlEvents, it.onResponse)) {
+        applyXhrResponseMiddlewares(this, request, urlEvents);
+      }
 
-/**
- * @type {{[key: string]: SoundData}}
- */
-const DEFAULT_SOUNDS_DATA_MAP = Object.fromEntries(
-  [
-    '/sounds/7abe057dc8446ad325229edd6d8fd250.mp3',
-    '/sounds/2aae0ea735c8e9ed884107d6f0a09e35.mp3',
-    '/sounds/421d48c53ad6d52618dba715722278e0.mp3',
-    '/sounds/37d8f0b39dcfe63872192c89653a93f6.mp3',
-    '/sounds/0a27c1ee63dd220647e8410a0029aed2.mp3',
-    '/sounds/a28ff0a501ef5f33ca78c0afc45ee53e.mp3',
-    '/sounds/2e4669d8cf839272f0731f8afa488caf.mp3',
-    '/sounds/f0b6ab4396d5891241ef4ca73b4de13a.mp3',
-  ].map(path => [ path, getEffectSoundData(path) ])
-);
+      urlEvents.forEach(urlEvent => withEventListeners(urlEvent.eventType, listeners => {
+        this.addEventListener('load', () => {
+          try {
+            request.status = this.status;
+            const responseData = isObject(this.response) ? this.response : JSON.parse(this.responseText);
+            listeners.forEach(it(responseData, urlEvent.requestData, request));
+          } catch (error) {
+            logError(error, `Could not handle the XHR result (event: "${urlEvent.eventType}"): `);
+          }
+        });
+      }));
 
-/**
- * @type {RegExp}
- */
-const URL_REGEXP_TTS_TOKEN = /\/duolingo-data\/tts\/(?<language>[a-z-_]+)\/token\//i;
+      return originalXhrOpen.call(this, method, url, async, user, password);
+    }
+  ), 7);
 
-/**
- * @type {string}
- */
-const KEY_SOUNDS_DATA_MAP = 'sound_type_map';
+  overrideInstanceMethod('XMLHttpRequest', 'setRequestHeader', originalXhrSetRequestHeader => (
+    function (name, value) {
+      const request = this[KEY_XHR_REQUEST]?.request;
 
-/**
- * @type {string}
- */
-const KEY_IS_HOWLER_USED = 'is_howler_used';
+      if (request) {
+        const key = String(name).toLowerCase();
+        // Repeated headers are combined, as they are when they are sent.
+        request.headers[key] = request.headers[key] ? `${request.headers[key]}, ${value}` : String(value);
+      }
 
-/**
- * @returns {{[key: string]: SoundData}} Relevant data about all the detected sounds, by path on the corresponding CDNs.
- */
-const getSoundsDataMap = () => getSharedGlobalVariable(KEY_SOUNDS_DATA_MAP, DEFAULT_SOUNDS_DATA_MAP);
+      return originalXhrSetRequestHeader.call(this, name, value);
+    }
+  ));
 
-/**
- * @param {string} path The path of a sound on its CDN.
- * @returns {SoundData|null} Relevant data about the given sound, if it was loaded and detected.
- */
-const getSoundData = path => {
-  const soundData = getSoundsDataMap()[path];
+  overrideInstanceMethod('XMLHttpRequest', 'send', originalXhrSend => (
+    function (body) {
+      const { request, urlEvents } = this[KEY_XHR_REQUEST] || {};
 
-  if (isObject(soundData)) {
-    return soundData;
-  }
+      if (request) {
+        request.body = parseHttpRequestBody(body);
 
-  const tokenMatches = path.match(URL_REGEXP_TTS_TOKEN);
+        if (applyUrlEventsRequestMiddlewares(urlEvents, request)) {
+          body = serializeHttpRequestBody(request.body);
+        }
+      }
 
-  if (tokenMatches) {
-    return getNormalWordSoundData(path, tokenMatches.language);
-  }
+      return originalXhrSend.call(this, body);
+    }
+  ), 3);
 
-  return null;
-}
+  overrideGlobalFunction('fetch', originalFetch => function (resource, init) {
+    const isRequest = (resource instanceof Request);
 
-/**
- * @type {string[]}
- */
-const SOUND_TYPE_RELEVANCE = [
-  SOUND_TYPE_UNKNOWN,
-  SOUND_TYPE_TTS_SENTENCE,
-  SOUND_TYPE_TTS_WORD,
-  SOUND_TYPE_TTS_MORPHEME,
-  SOUND_TYPE_EFFECT,
-];
+    const request = createHttpRequest(
+      init?.method || (isRequest ? resource.method : 'GET'),
+      isRequest ? resource.url : String(resource)
+    );
 
-/**
- * @type {string[]}
- */
-const SOUND_SPEED_RELEVANCE = [
-  SOUND_SPEED_NORMAL,
-  SOUND_SPEED_SLOW,
-];
+    const urlEvents = getUrlEvents(request.url, request.method);
 
-/**
- * @type {Function}
- * @param {SoundData} dataA Some sound data.
- * @param {SoundData} dataB Other sound data.
- * @returns {number}
- * A number:
- * - > 0 if the first sound data are more relevant than the second,
- * - < 0 if the second sound data are more relevant than the first,
- * - 0, if both sound data are equally relevant.
+    const loadCallbacks = urlEvents
+      .map(urlEvent => withEventListeners(urlEvent.eventType, listeners => (
+        responseData => {
+          try {
+            listeners.forEach(it(responseData, urlEvent.requestData, request));
+          } catch (error) {
+            logError(error, `Could not handle the fetch result (event: "${urlEvent.eventType}"): `);
+          }
+        }
+      )))
+      .filter(isFunction);
+
+    const hasMiddlewares = hasUrlEventsMiddlewareHook(urlEvents, () => true);
+    const hasRequestMiddlewares = hasUrlEventsMiddlewareHook(urlEvents, it.onBeforeRequest);
+
+    if ((0 === loadCallbacks.length) && !hasMiddlewares) {
+      return originalFetch.call(this, resource, init);
+    }
+
+    request.headers = {
+      ...(isRequest ? parseHttpRequestHeaders(resource.headers) : {}),
+      ...parseHttpRequestHeaders(init?.headers),
+    };
+
+    // The body of a Request can only be read asynchronously, and must be read before the request is sent.
+    const bodyPromise = (isRequest && (undefined === init?.body))
+      ? resource.clone().text().then(parseHttpRequestBody).catch(() => null)
+      : Promise.resolve(parseHttpRequestBody(init?.body));
+
+    const responsePromise = !hasRequestMiddlewares
+      ? originalFetch.call(this, resource, init)
+      : bodyPromise.then(body => {
+        request.body = body;
+
+        return !applyUrlEventsRequestMiddlewares(urlEvents, request)
+          ? originalFetch.call(this, resource, init)
+          : originalFetch.call(this, resource, { ...(init || {}), body: serializeHttpRequestBody(request.body) });
+      });
+
+    return responsePromise.then(response => {
+      request.status = response.status;
+
+      return Promise.all([ response.clone().json(), bodyPromise ])
+        .then(([ payload, body ]) => {
+          if (!hasRequestMiddlewares) {
+            request.body = body;
+          }
+
+          const result = applyUrlEventsResponseMiddlewares(urlEvents, payload, request);
+
+          loadCallbacks.forEach(it(result.data));
+
+          return result.isModified ? createJsonResponse(response, result.data) : response;
+        })
+        .catch(() => response);
+    });
+  }, 6);
+};
+
+/**
+ * @param {string} event An event type based on XHR requests to some specific URLs.
+ * @param {Function} callback
+ * The function to be called when a matching request is made, with:
+ * - the response data,
+ * - the request data (the base request data of the event type, and the named groups matched on the URL),
+ * - a descriptor of the full request (HttpRequest).
+ * @param {string=} listenerId The listener ID.
+ * @returns {Function} A function usable to unregister the listener.
  */
-const compareSoundDataRelevance = compareWith(
-  [
-    lift(SOUND_TYPE_RELEVANCE.indexOf(_.type) - SOUND_TYPE_RELEVANCE.indexOf(_.type)),
-    lift(SOUND_SPEED_RELEVANCE.indexOf(_.speed) - SOUND_SPEED_RELEVANCE.indexOf(_.speed)),
-  ],
-  _,
+const registerHttpRequestEventListener = (event, callback, listenerId = getUniqueEventListenerId()) => {
+  registerHttpRequestOverrides();
+  return registerEventListener(event, callback, listenerId);
+};
+
+/**
+ * Registers a middleware that can observe and change the HTTP requests triggering some event type, and their responses.
+ *
+ * Middlewares are shared with all the other extensions, and applied by decreasing priority,
+ * then in the order in which they were registered.
+ * Response middlewares are applied before the listeners of the event type are called, and only to JSON responses.
+ * @param {string} eventType
+ * An event type based on HTTP requests, such as EVENT_TYPE_PRACTICE_SESSION_LOADED,
+ * or the name of an event type defined using defineHttpRequestEvent().
+ * @param {object} hooks The hooks of the middleware. Omitted hooks leave the requests or the responses unchanged.
+ * @param {Function=} hooks.onBeforeRequest
+ * The function to be called with the request descriptor and the request data before a request is sent.
+ * It can return a new body for the request (plain objects and arrays are serialized as JSON),
+ * or undefined to leave it unchanged.
+ * @param {Function=} hooks.onResponse
+ * The function to be called with the response data, the request descriptor and the request data
+ * when a response is received. It can return new response data, or undefined to leave them unchanged.
+ * @param {number=} priority The priority of the middleware.
+ * @returns {Function} A function usable to unregister the middleware.
+ */
+export const registerHttpRequestMiddleware = (
+  eventType,
+  { onBeforeRequest = null, onResponse = null } = {},
+  priority = PRIORITY_AVERAGE
+) => {
+  const order = bumpGlobalCounter('last_http_request_middleware_id');
+
+  const middleware = {
+    id: `__middleware::${order}__`,
+    eventType,
+    priority,
+    order,
+    onBeforeRequest: isFunction(onBeforeRequest) ? onBeforeRequest : null,
+    onResponse: isFunction(onResponse) ? onResponse : null,
+  };
+
+  registerHttpRequestOverrides();
+
+  updateSharedGlobalVariable(KEY_HTTP_REQUEST_MIDDLEWARES, middlewares => ({
+    ...middlewares,
+    [eventType]: (middlewares[eventType] || [])
+      .concat([ middleware ])
+      .sort((x, y) => (y.priority - x.priority) || (x.order - y.order)),
+  }), {});
+
+  return () => updateSharedGlobalVariable(KEY_HTTP_REQUEST_MIDDLEWARES, middlewares => ({
+    ...middlewares,
+    [eventType]: (middlewares[eventType] || []).filter(other => (other !== middleware)),
+  }), {});
+};
+
+/**
+ * @param {object} requestData The request data of a request made to load user data.
+ * @returns {boolean} Whether the request was made to load data about the current user.
+ */
+const isCurrentUserDataRequest = requestData => {
+  const currentUserId = getCurrentUserId();
+  return (null !== currentUserId) && (currentUserId === requestData.userId);
+};
+
+/**
+ * Data about other users (from their profiles, for example) are ignored.
+ * @param {Function} callback
+ * The function to be called with the response data, the request data and the request descriptor,
+ * when data about the current user are loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded user data.
+ */
+export const onUserDataLoaded = callback => registerHttpRequestEventListener(
+  EVENT_TYPE_USER_DATA_LOADED,
+  (userData, requestData, request) => isCurrentUserDataRequest(requestData) && callback(userData, requestData, request)
+);
+
+/**
+ * @param {HttpUrlEvent} urlEventA A URL event.
+ * @param {HttpUrlEvent} urlEventB Another URL event.
+ * @returns {boolean} Whether both URL events match the same URLs and HTTP methods.
+ */
+const isSameCustomUrlEvent = (urlEventA, urlEventB) => (
+  (urlEventA.urlRegExp.source === urlEventB.urlRegExp.source)
+  && (urlEventA.urlRegExp.flags === urlEventB.urlRegExp.flags)
+  && (
+    isArray(urlEventA.methods)
+      ? (
+        isArray(urlEventB.methods)
+        && (urlEventA.methods.length === urlEventB.methods.length)
+        && urlEventA.methods.every(method => urlEventB.methods.includes(method))
+      )
+      : !isArray(urlEventB.methods)
+  )
+);
+
+/**
+ * Defines a new event type based on HTTP requests to some specific URLs, shared with all the other extensions.
+ *
+ * A request can trigger a built-in event type and any number of custom event types at the same time,
+ * in which case the middlewares of the built-in event type are applied first.
+ * Middlewares can be registered for the new event type using its name.
+ * @param {string} name
+ * The name of the event type. A name can be defined again (by another extension, for example),
+ * but only with the same URL pattern and HTTP methods.
+ * @param {string|RegExp} urlPattern
+ * A regular expression for the URLs that should trigger the event type, or a string to be found in those URLs.
+ * Named groups matched on the URLs are included in the request data.
+ * @param {object=} options The options of the event type.
+ * @param {string[]=} options.methods The HTTP methods that should trigger the event type. Defaults to any method.
+ * @param {Function=} options.parse
+ * A function usable to map the response data to the event payload, given the response data,
+ * the request descriptor and the request data. If it returns null or undefined, the event is not dispatched.
+ * @returns {Function}
+ * A function usable to register a listener for the event type, using the given parse function (if any).
+ * Listeners are called with the event payload, the request descriptor and the request data,
+ * and the function returns another function usable to unregister them.
+ */
+export const defineHttpRequestEvent = (name, urlPattern, { methods = null, parse = null } = {}) => {
+  if (!isString(name) || ('' === name)) {
+    throw new Error('The name of an HTTP request event must be a non-empty string.');
+  }
+
+  const isBuiltInEvent = Array.from(getHttpRequestUrlEventMap().values()).some(urlEvent => (name === urlEvent.eventType));
+
+  if (isBuiltInEvent) {
+    throw new Error(`The HTTP request event "${name}" is already defined by the toolbox.`);
+  }
+
+  const customEventMap = getCustomHttpRequestEventMap();
+
+  const urlEvent = {
+    eventType: name,
+    methods: isArray(methods) ? methods.map(method => String(method).toUpperCase()) : null,
+    requestData: {},
+    urlRegExp: getUrlRegExp(urlPattern),
+  };
+
+  if (!customEventMap.has(name)) {
+    customEventMap.set(name, urlEvent);
+  } else if (!isSameCustomUrlEvent(customEventMap.get(name), urlEvent)) {
+    throw new Error(`The HTTP request event "${name}" is already defined differently.`);
+  }
+
+  return callback => registerHttpRequestEventListener(
+    name,
+    (responseData, requestData, request) => {
+      const payload = parse ? parse(responseData, request, requestData) : responseData;
+
+      if ((undefined !== payload) && (null !== payload)) {
+        callback(payload, request, requestData);
+      }
+    }
+  );
+};
+
+/**
+ * @param {Function} callback The function to be called with the session data, when a pre-fetched session is loaded.
+ * @param {string=} listenerId The listener ID.
+ * @returns {Function} A function usable to unregister the listener.
+ */
+const registerPreFetchedSessionLoadListener = (callback, listenerId = getUniqueEventListenerId()) => {
+  const event = EVENT_TYPE_PRE_FETCHED_SESSION_LOADED;
+
+  const patchIdbRequest = request => withEventListeners(event, listeners => {
+    request.addEventListener('success', () => {
+      try {
+        listeners.forEach(it(request.result));
+      } catch (error) {
+        logError(error, `Could not handle the IDBRequest result (event: ${event}): `);
+      }
+    });
+  });
+
+  overrideInstanceMethod('IDBIndex', 'get', originalGet => function (key) {
+    const request = originalGet.call(this, key);
+
+    if (isString(key) && key && (this.objectStore.name === 'prefetchedSessions')) {
+      patchIdbRequest(request);
+    }
+
+    return request;
+  });
+
+  overrideInstanceMethod('IDBObjectStore', 'get', originalGet => function (key) {
+    const request = originalGet.call(this, key);
+
+    if (this.name === 'prefetchedSessions') {
+      patchIdbRequest(request);
+    }
+
+    return request;
+  });
+
+  return registerEventListener(event, callback, listenerId);
+};
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the response data when a practice session is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded practice sessions.
+ */
+export const onPracticeSessionLoaded = callback => {
+  const unregisterFreshSessionListener = registerHttpRequestEventListener(
+    EVENT_TYPE_PRACTICE_SESSION_LOADED,
+    callback
+  );
+
+  const unregisterPreFetchedSessionListener = registerDerivedEventListener(
+    EVENT_TYPE_PRACTICE_SESSION_LOADED,
+    EVENT_TYPE_PRE_FETCHED_SESSION_LOADED,
+    callback,
+    identity,
+    registerPreFetchedSessionLoadListener(_2, _3)
+  );
+
+  return () => {
+    unregisterFreshSessionListener();
+    unregisterPreFetchedSessionListener();
+  };
+};
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the session data when a pre-fetched session is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded pre-fetched practice sessions.
+ */
+export const onPreFetchedSessionLoaded = registerPreFetchedSessionLoadListener(
+  EVENT_TYPE_PRE_FETCHED_SESSION_LOADED,
   _
 );
 
 /**
- * @param {SoundData[]} newData New data about a set of sounds.
- * @returns {void}
+ * @type {Function}
+ * @param {Function} callback The function to be called with the response data when a story is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded stories.
+ */
+export const onStoryLoaded = registerHttpRequestEventListener(EVENT_TYPE_STORY_LOADED, _);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the response and request data when alphabets are loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded alphabets.
+ */
+export const onAlphabetsLoaded = registerHttpRequestEventListener(EVENT_TYPE_ALPHABETS_LOADED, _, _);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the response data when alphabet hints are loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded alphabet hints.
+ */
+export const onAlphabetHintsLoaded = registerHttpRequestEventListener(EVENT_TYPE_ALPHABET_HINTS_LOADED, _);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the response data when a forum discussion is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded forum discussions.
+ */
+export const onForumDiscussionLoaded = registerHttpRequestEventListener(EVENT_TYPE_FORUM_DISCUSSION_LOADED, _);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the response data when a guidebook is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded guidebooks.
+ */
+export const onGuidebookLoaded = registerHttpRequestEventListener(EVENT_TYPE_GUIDEBOOK_LOADED, _);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the user courses when user data is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded user courses.
+ */
+export const onUserCoursesLoaded = registerDerivedEventListener(
+  EVENT_TYPE_USER_COURSES_LOADED,
+  EVENT_TYPE_USER_DATA_LOADED,
+  _,
+  (userData, requestData) => {
+    let payload;
+
+    if (
+      isCurrentUserDataRequest(requestData)
+      && isObject(userData)
+      && isArray(userData.courses)
+      && isString(userData.fromLanguage)
+      && isString(userData.learningLanguage)
+    ) {
+      const courses = userData.courses.map(parseCourse).filter(isObject);
+
+      const currentCourse = courses.find(
+        (it.fromLanguage === userData.fromLanguage)
+        && (it.toLanguage === userData.learningLanguage)
+      );
+
+      payload = [ { courses, currentCourse } ];
+    }
+
+    return payload;
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @type {string}
+ */
+const KEY_CURRENT_USER = 'current_user';
+
+/**
+ * The current user is left unset as long as its ID is unknown, and data about any other user are dropped.
+ * @param {*} userData The response data of a request made to load user data.
+ * @param {object} requestData The request data.
+ * @returns {Array|undefined}
+ * The payload of the corresponding "current user changed" event, if the data belong to the current user,
+ * and if any of the parsed fields changed.
+ */
+const getCurrentUserChangePayload = (userData, requestData) => {
+  if (!isCurrentUserDataRequest(requestData)) {
+    return;
+  }
+
+  const parsedUser = isObject(userData) && parseUser({ userId: requestData.userId, ...userData });
+
+  if (!parsedUser || (parsedUser.id !== requestData.userId)) {
+    return;
+  }
+
+  const previousUser = getSharedGlobalVariable(KEY_CURRENT_USER, null);
+
+  // User data are often loaded partially: unknown fields keep their previous values.
+  const user = (previousUser?.id !== parsedUser.id)
+    ? parsedUser
+    : Object.fromEntries(
+      Object.entries(parsedUser).map(([ key, value ]) => [ key, (null === value) ? previousUser[key] : value ])
+    );
+
+  const changes = diffValues(previousUser, user);
+
+  if (0 === changes.length) {
+    return;
+  }
+
+  setSharedGlobalVariable(KEY_CURRENT_USER, user);
+
+  return [ user, previousUser, changes ];
+};
+
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the parsed current user, the previous version of the user (if any)
+ * and the corresponding list of changes, whenever fresh user data change any of the parsed fields.
+ * @returns {Function} A function usable to stop being notified of changes to the current user.
+ */
+export const onCurrentUserChanged = registerDerivedEventListener(
+  EVENT_TYPE_CURRENT_USER_CHANGED,
+  EVENT_TYPE_USER_DATA_LOADED,
+  _,
+  getCurrentUserChangePayload,
+  registerHttpRequestEventListener
+);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the challenges data when a practice session is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded challenges.
+ */
+export const onPracticeChallengesLoaded = callback => {
+  const getSessionChallenges = sessionData => {
+    let payload;
+
+    if (isObject(sessionData)) {
+      if (isObject(sessionData.session)) {
+        sessionData = sessionData.session;
+      }
+
+      const challenges = [
+        sessionData.challenges,
+        sessionData.adaptiveChallenges,
+        sessionData.easierAdaptiveChallenges,
+        sessionData.mistakesReplacementChallenges,
+        sessionData.adaptiveInterleavedChallenges?.challenges,
+      ].filter(isArray).flat();
+
+      const sessionMetaData = sessionData.metadata || {};
+
+      payload = [ { challenges, sessionMetaData } ];
+    }
+
+    return payload;
+  };
+
+  const unregisterFreshChallengesListener = registerDerivedEventListener(
+    EVENT_TYPE_PRACTICE_CHALLENGES_LOADED,
+    EVENT_TYPE_PRACTICE_SESSION_LOADED,
+    callback,
+    getSessionChallenges,
+    registerHttpRequestEventListener
+  );
+
+  const unregisterPreFetchedChallengesListener = registerDerivedEventListener(
+    EVENT_TYPE_PRACTICE_CHALLENGES_LOADED,
+    EVENT_TYPE_PRE_FETCHED_SESSION_LOADED,
+    callback,
+    getSessionChallenges,
+    registerPreFetchedSessionLoadListener(_2, _3)
+  );
+
+  return () => {
+    unregisterFreshChallengesListener();
+    unregisterPreFetchedChallengesListener();
+  };
+};
+
+/**
+ * @typedef {object} XpGain
+ * @property {string|null} type The type of the event for which XP was earned.
+ * @property {number} xp The amount of earned XP.
+ */
+
+/**
+ * @typedef {object} CompletedPracticeSession
+ * @property {string|null} sessionId The ID of the session.
+ * @property {string|null} type The type of the session.
+ * @property {number|null} xp The total amount of XP earned during the session, if known.
+ * @property {XpGain[]} xpGains The breakdown of the earned XP, by type of event.
+ * @property {number|null} duration The duration of the session, in milliseconds, if known.
+ * @property {number} challengeCount The number of challenges that were answered.
+ * @property {number} mistakeCount The number of challenges that were answered incorrectly.
+ * @property {string[]} incorrectChallengeIds The IDs of the challenges that were answered incorrectly.
+ * @property {number|null} accuracy The ratio of challenges that were answered correctly, if any was answered.
+ * @property {boolean} isFailed Whether the session was failed (e.g., because the user ran out of hearts).
+ * @property {number|null} heartsLeft The number of hearts the user had left at the end of the session, if known.
+ * @property {number|null} streak The length of the streak of the user after the session, if known.
+ * @property {boolean|null} isStreakExtended Whether the session extended the streak of the user, if known.
+ * @property {number|null} leaguePoints The amount of XP counting towards the current league contest, if known.
+ * @property {object} session The raw data of the completed session.
+ */
+
+/**
+ * @param {*} value A raw timestamp, in seconds or in milliseconds.
+ * @returns {number|null} The given timestamp in milliseconds, if it is valid.
+ */
+const parseSessionTimestamp = value => (
+  !isNumber(value)
+    ? null
+    // Timestamps below this threshold can not be expressed in milliseconds (they would predate 2001).
+    : ((value < 1e12) ? value * 1000 : value)
+);
+
+/**
+ * @param {*} sessionData The response data of a request made to send back a finished session.
+ * @param {object} requestData The request data.
+ * @param {HttpRequest=} request The descriptor of the request.
+ * @returns {CompletedPracticeSession|null} The parsed data of the completed session, if they are valid.
+ */
+const parseCompletedPracticeSession = (sessionData, requestData, request) => {
+  if (isObject(sessionData?.session)) {
+    sessionData = sessionData.session;
+  }
+
+  if (!isObject(sessionData)) {
+    return null;
+  }
+
+  if (isObject(request?.body)) {
+    // The data that were sent (such as the results of the challenges) are not necessarily sent back.
+    sessionData = { ...request.body, ...sessionData };
+  }
+
+  const xpGains = (isArray(sessionData.xpGains) ? sessionData.xpGains : [])
+    .filter(gain => isObject(gain) && isNumber(gain.xp))
+    .map(gain => ({ type: gain.eventType || gain.type || null, xp: gain.xp }));
+
+  let xp = [ sessionData.xpGain, sessionData.xpGained, sessionData.xp ].find(isNumber);
+
+  if (!isNumber(xp)) {
+    xp = (xpGains.length > 0) ? xpGains.reduce((total, gain) => total + gain.xp, 0) : null;
+  }
+
+  const startTime = parseSessionTimestamp(sessionData.startTime);
+  const endTime = parseSessionTimestamp(sessionData.endTime);
+
+  const answeredChallenges = (isArray(sessionData.challenges) ? sessionData.challenges : [])
+    .filter(challenge => isObject(challenge) && ('boolean' === typeof challenge.correct));
+
+  const incorrectChallengeIds = answeredChallenges
+    .filter(challenge => !challenge.correct)
+    .map(challenge => challenge.id)
+    .filter(isString);
+
+  const mistakeCount = answeredChallenges.filter(challenge => !challenge.correct).length;
+
+  // Streak updates and league points are not sent back for every type of session, and their format varies.
+  const streak = [
+    sessionData.streak,
+    sessionData.streakData?.length,
+    sessionData.streakData?.currentStreak?.length,
+  ].find(isNumber);
+
+  const isStreakExtended = [
+    sessionData.streakExtended,
+    sessionData.hasExtendedStreak,
+    sessionData.streakData?.extended,
+  ].find(value => ('boolean' === typeof value));
+
+  const leaguePoints = [
+    sessionData.leaguePoints,
+    sessionData.leaderboardPoints,
+    sessionData.leaderboardXp,
+  ].find(isNumber);
+
+  return {
+    sessionId: sessionData.id || requestData.sessionId || null,
+    type: isString(sessionData.type) ? sessionData.type : null,
+    xp,
+    xpGains,
+    duration: ((null !== startTime) && (null !== endTime)) ? Math.max(0, endTime - startTime) : null,
+    challengeCount: answeredChallenges.length,
+    mistakeCount,
+    incorrectChallengeIds: Array.from(new Set(incorrectChallengeIds)),
+    accuracy: (answeredChallenges.length > 0) ? 1 - mistakeCount / answeredChallenges.length : null,
+    isFailed: !!sessionData.failed,
+    heartsLeft: isNumber(sessionData.heartsLeft) ? sessionData.heartsLeft : null,
+    streak: isNumber(streak) ? streak : null,
+    isStreakExtended: ('boolean' === typeof isStreakExtended) ? isStreakExtended : null,
+    leaguePoints: isNumber(leaguePoints) ? leaguePoints : null,
+    session: sessionData,
+  };
+};
+
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the parsed data of a completed session,
+ * when a finished session is sent back to the server and accepted.
+ * @returns {Function} A function usable to stop being notified of completed practice sessions.
+ */
+export const onPracticeSessionCompleted = registerDerivedEventListener(
+  EVENT_TYPE_PRACTICE_SESSION_COMPLETED,
+  EVENT_TYPE_FINISHED_SESSION_SENT,
+  _,
+  (sessionData, requestData, request) => {
+    const payload = parseCompletedPracticeSession(sessionData, requestData, request);
+    return payload && [ payload ];
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @typedef {object} LeaderboardMember
+ * @property {string} userId The ID of the user.
+ * @property {string|null} displayName The name of the user, as displayed on the leaderboard.
+ * @property {number} xp The amount of XP earned by the user during the current contest.
+ * @property {number} rank The rank of the user in the cohort, starting at 1.
+ */
+
+/**
+ * @typedef {object} LeaderboardZone
+ * @property {number} minRank The best rank belonging to the zone.
+ * @property {number} maxRank The worst rank belonging to the zone.
+ */
+
+/**
+ * @typedef {object} Leaderboard
+ * @property {number|null} tier The tier of the league, starting at 0 for the lowest one, if known.
+ * @property {string|null} cohortId The ID of the cohort.
+ * @property {LeaderboardMember[]} members The members of the cohort, sorted by rank.
+ * @property {LeaderboardZone|null} promotionZone The ranks leading to a promotion, if there are any.
+ * @property {LeaderboardZone|null} demotionZone The ranks leading to a demotion, if there are any.
+ * @property {object} leaderboard The raw data of the leaderboard.
+ */
+
+/**
+ * @param {*} leaderboardData The response data of a request made to load a leaderboard.
+ * @returns {Leaderboard|null} The parsed data of the leaderboard, if they are valid.
+ */
+const parseLeaderboard = leaderboardData => {
+  const cohort = leaderboardData?.active?.cohort;
+
+  if (!isObject(cohort) || !isArray(cohort.rankings)) {
+    return null;
+  }
+
+  const members = cohort.rankings
+    .filter(ranking => isObject(ranking) && (isString(ranking.user_id) || isNumber(ranking.user_id)))
+    .map(ranking => ({
+      userId: String(ranking.user_id),
+      displayName: isString(ranking.display_name) ? ranking.display_name : null,
+      xp: Number(ranking.score) || 0,
+    }))
+    // Ties keep the order given by the server, since sorting is stable.
+    .sort((a, b) => b.xp - a.xp)
+    .map((member, index) => ({ ...member, rank: index + 1 }));
+
+  const ruleset = leaderboardData.active.contest?.ruleset;
+  const promotedCount = Math.min(members.length, Math.max(0, Number(ruleset?.num_promoted) || 0));
+  const demotedCount = Math.min(members.length, Math.max(0, Number(ruleset?.num_demoted) || 0));
+
+  return {
+    tier: isNumber(leaderboardData.tier) ? leaderboardData.tier : null,
+    cohortId: isString(cohort.cohort_id) ? cohort.cohort_id : null,
+    members,
+    promotionZone: (promotedCount > 0) ? { minRank: 1, maxRank: promotedCount } : null,
+    demotionZone: (demotedCount > 0)
+      ? { minRank: members.length - demotedCount + 1, maxRank: members.length }
+      : null,
+    leaderboard: leaderboardData,
+  };
+};
+
+/**
+ * Remembers the tier of the league of the current user, when their leaderboard is loaded.
+ * @param {object} leaderboardData The raw data of a leaderboard.
+ * @param {object} requestData The data of the corresponding request, including the ID of the user.
+ * @returns {void}
+ */
+const trackCurrentLeagueTier = (leaderboardData, requestData) => {
+  const currentUserId = getCurrentUserId();
+  const tier = leaderboardData?.tier;
+
+  if ((null !== currentUserId) && (currentUserId === String(requestData?.userId)) && isNumber(tier)) {
+    setCurrentLeagueTier(tier);
+  }
+};
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the parsed data of a leaderboard when it is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded leaderboards.
+ */
+export const onLeaderboardLoaded = registerDerivedEventListener(
+  EVENT_TYPE_LEADERBOARD_LOADED,
+  EVENT_TYPE_LEADERBOARD_DATA_LOADED,
+  _,
+  (leaderboardData, requestData) => {
+    trackCurrentLeagueTier(leaderboardData, requestData);
+    const payload = parseLeaderboard(leaderboardData);
+    return payload && [ payload ];
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the parsed user when the profile of a user is loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded user profiles.
+ */
+export const onUserProfileLoaded = registerDerivedEventListener(
+  EVENT_TYPE_USER_PROFILE_LOADED,
+  EVENT_TYPE_USER_PROFILE_DATA_LOADED,
+  _,
+  (profileData, requestData) => {
+    const userData = isObject(profileData?.user) ? profileData.user : profileData;
+    // Profiles do not necessarily include the ID of the user.
+    const user = isObject(userData) && parseUser({ userId: requestData.userId, ...userData });
+    return user && [ user ];
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @typedef {object} FollowList
+ * @property {string} userId The ID of the user to whom the list belongs.
+ * @property {string} type The type of the list: either the followers of the user, or the users they follow.
+ * @property {import('./users').User[]} users The users in the list (which may only be a page of the full list).
+ * @property {number|null} totalCount The total number of users in the full list, if known.
+ */
+
+/**
+ * @param {*} listData The response data of a request made to load a follow list.
+ * @param {object} requestData The request data.
+ * @returns {FollowList|null} The parsed follow list, if it is valid.
+ */
+const parseFollowList = (listData, requestData) => {
+  const type = (FOLLOW_LIST_TYPE_FOLLOWING === requestData.listType)
+    ? FOLLOW_LIST_TYPE_FOLLOWING
+    : FOLLOW_LIST_TYPE_FOLLOWERS;
+
+  const list = isObject(listData?.[type]) ? listData[type] : listData;
+
+  if (!isObject(list) || !isArray(list.users)) {
+    return null;
+  }
+
+  return {
+    userId: requestData.userId,
+    type,
+    users: list.users.map(parseUser).filter(isObject),
+    totalCount: isNumber(list.totalUsers) ? list.totalUsers : null,
+  };
+};
+
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the parsed follow list when the followers of a user,
+ * or the users they follow, are loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded follow lists.
+ */
+export const onFollowListLoaded = registerDerivedEventListener(
+  EVENT_TYPE_FOLLOW_LIST_LOADED,
+  EVENT_TYPE_FOLLOW_LIST_DATA_LOADED,
+  _,
+  (listData, requestData) => {
+    const payload = parseFollowList(listData, requestData);
+    return payload && [ payload ];
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @typedef {object} FriendStreak
+ * @property {string|null} matchId The ID of the match between the users.
+ * @property {import('./users').User[]} users The users sharing the streak.
+ * @property {number|null} length The length of the streak, in days, if known.
+ * @property {boolean} isPending Whether the streak has not been accepted yet.
+ */
+
+/**
+ * @param {*} matchData Raw data about a friend streak.
+ * @param {boolean} isPending Whether the streak has not been accepted yet.
+ * @returns {FriendStreak|null} The parsed friend streak, if it is valid.
+ */
+const parseFriendStreak = (matchData, isPending) => (
+  isObject(matchData)
+  && isArray(matchData.usersInMatch)
+  && {
+    matchId: isString(matchData.matchId) ? matchData.matchId : null,
+    users: matchData.usersInMatch.map(parseUser).filter(isObject),
+    length: isNumber(matchData.streakLength) ? matchData.streakLength : null,
+    isPending,
+  }
+  || null
+);
+
+/**
+ * @typedef {object} FriendStreakList
+ * @property {string} userId The ID of the user to whom the friend streaks belong.
+ * @property {FriendStreak[]} streaks The friend streaks of the user, confirmed or pending.
+ */
+
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the parsed friend streak list when the friend streaks of a user are loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded friend streaks.
+ */
+export const onFriendStreaksLoaded = registerDerivedEventListener(
+  EVENT_TYPE_FRIEND_STREAKS_LOADED,
+  EVENT_TYPE_FRIEND_STREAKS_DATA_LOADED,
+  _,
+  (streaksData, requestData) => {
+    const matches = isObject(streaksData?.friendsStreak) ? streaksData.friendsStreak : streaksData;
+
+    if (!isObject(matches)) {
+      return;
+    }
+
+    const streaks = [
+      ...(isArray(matches.confirmedMatches) ? matches.confirmedMatches : []).map(parseFriendStreak(_, false)),
+      ...(isArray(matches.pendingMatches) ? matches.pendingMatches : []).map(parseFriendStreak(_, true)),
+    ].filter(isObject);
+
+    return [ { userId: requestData.userId, streaks } ];
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @typedef {object} Achievement
+ * @property {string} name The name of the achievement.
+ * @property {number} tier The tier reached by the user, starting at 0 when no tier was reached yet.
+ * @property {number|null} count The progress of the user towards the achievement, if known.
+ * @property {number|null} nextTierCount The progress required to reach the next tier, if there is one.
+ */
+
+/**
+ * @param {*} achievementData Raw data about an achievement.
+ * @returns {Achievement|null} The parsed achievement, if it is valid.
+ */
+const parseAchievement = achievementData => {
+  if (!isObject(achievementData) || !isString(achievementData.name)) {
+    return null;
+  }
+
+  const tier = Number(achievementData.tier) || 0;
+  const tierCounts = isArray(achievementData.tierCounts) ? achievementData.tierCounts : [];
+
+  return {
+    name: achievementData.name,
+    tier,
+    count: isNumber(achievementData.count) ? achievementData.count : null,
+    nextTierCount: isNumber(tierCounts[tier]) ? tierCounts[tier] : null,
+  };
+};
+
+/**
+ * @typedef {object} AchievementList
+ * @property {string} userId The ID of the user to whom the achievements belong.
+ * @property {Achievement[]} achievements The achievements of the user.
+ */
+
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the parsed achievement list when the achievements of a user are loaded.
+ * @returns {Function} A function usable to stop being notified of newly loaded achievements.
+ */
+export const onAchievementsLoaded = registerDerivedEventListener(
+  EVENT_TYPE_ACHIEVEMENTS_LOADED,
+  EVENT_TYPE_ACHIEVEMENTS_DATA_LOADED,
+  _,
+  (achievementsData, requestData) => {
+    const achievements = isArray(achievementsData) ? achievementsData : achievementsData?.achievements;
+
+    return isArray(achievements)
+      ? [ { userId: requestData.userId, achievements: achievements.map(parseAchievement).filter(isObject) } ]
+      : undefined;
+  },
+  registerHttpRequestEventListener
+);
+
+/**
+ * @typedef {object} SoundData
+ * @property {string} url The URL of the sound (that may be of any shape).
+ * @property {string} type The type of the sound.
+ * @property {string} speed The speed of the sound.
+ * @property {string|null} language The language of the sound, in case of a sentence / word.
+ */
+
+/**
+ * @param {string} url The URL of the effect sound.
+ * @returns {SoundData} Relevant data about the given sound.
+ */
+const getEffectSoundData = url => ({
+  url,
+  type: SOUND_TYPE_EFFECT,
+  speed: SOUND_SPEED_NORMAL,
+  language: null,
+});
+
+/**
+ * @param {string} url The URL of the sentence sound.
+ * @param {string} language The language of the sentence.
+ * @returns {SoundData} Relevant data about the given sound.
+ */
+const getNormalSentenceSoundData = (url, language) => ({
+  url,
+  type: SOUND_TYPE_TTS_SENTENCE,
+  speed: SOUND_SPEED_NORMAL,
+  language,
+});
+
+/**
+ * @param {string} url The URL of the sentence sound.
+ * @param {string} language The language of the sentence.
+ * @returns {SoundData} Relevant data about the given sound.
+ */
+const getSlowSentenceSoundData = (url, language) => ({
+  url,
+  type: SOUND_TYPE_TTS_SENTENCE,
+  speed: SOUND_SPEED_SLOW,
+  language,
+});
+
+/**
+ * @param {string} url The URL of the word sound.
+ * @param {string} language The language of the word.
+ * @returns {SoundData} Relevant data about the given sound.
+ */
+const getNormalWordSoundData = (url, language) => ({
+  url,
+  type: SOUND_TYPE_TTS_WORD,
+  speed: SOUND_SPEED_NORMAL,
+  language,
+});
+
+/**
+ * @param {string} url The URL of the morpheme sound.
+ * @param {string} language The language of the morpheme.
+ * @returns {SoundData} Relevant data about the given sound.
+ */
+const getNormalMorphemeSoundData = (url, language) => ({
+  url,
+  type: SOUND_TYPE_TTS_MORPHEME,
+  speed: SOUND_SPEED_NORMAL,
+  language,
+});
+
+/**
+ * The results corresponding to the sound effects played when a challenge is graded, by path on the CDN.
+ * @type {{[key: string]: string}}
+ */
+const RESULT_SOUND_EFFECT_PATHS = {
+  '/sounds/37d8f0b39dcfe63872192c89653a93f6.mp3': RESULT_CORRECT,
+  '/sounds/f0b6ab4396d5891241ef4ca73b4de13a.mp3': RESULT_INCORRECT,
+};
+
+/**
+ * @type {{[key: string]: SoundData}}
+ */
+const DEFAULT_SOUNDS_DATA_MAP = Object.fromEntries(
+  [
+    '/sounds/7abe057dc8446ad325229edd6d8fd250.mp3',
+    '/sounds/2aae0ea735c8e9ed884107d6f0a09e35.mp3',
+    '/sounds/421d48c53ad6d52618dba715722278e0.mp3',
+    '/sounds/0a27c1ee63dd220647e8410a0029aed2.mp3',
+    '/sounds/a28ff0a501ef5f33ca78c0afc45ee53e.mp3',
+    '/sounds/2e4669d8cf839272f0731f8afa488caf.mp3',
+    ...Object.keys(RESULT_SOUND_EFFECT_PATHS),
+  ].map(path => [ path, getEffectSoundData(path) ])
+);
+
+/**
+ * @type {RegExp}
+ */
+const URL_REGEXP_TTS_TOKEN = /\/duolingo-data\/tts\/(?<language>[a-z-_]+)\/token\//i;
+
+/**
+ * @type {string}
+ */
+const KEY_SOUNDS_DATA_MAP = 'sound_type_map';
+
+/**
+ * @type {string}
+ */
+const KEY_IS_HOWLER_USED = 'is_howler_used';
+
+/**
+ * @type {string}
+ */
+const KEY_HOWLER_CALL_DEPTH = 'howler_call_depth';
+
+/**
+ * @type {string}
+ */
+const KEY_IS_HOWLER_MEDIA_ELEMENT = getUniqueKey('is_howler_media_element');
+
+/**
+ * @type {string}
+ */
+const KEY_WEB_AUDIO_URL_MAP = 'web_audio_url_map';
+
+/**
+ * @returns {{[key: string]: SoundData}} Relevant data about all the detected sounds, by path on the corresponding CDNs.
+ */
+const getSoundsDataMap = () => getSharedGlobalVariable(KEY_SOUNDS_DATA_MAP, DEFAULT_SOUNDS_DATA_MAP);
+
+/**
+ * @param {string} path The path of a sound on its CDN.
+ * @returns {SoundData|null} Relevant data about the given sound, if it was loaded and detected.
+ */
+const getSoundData = path => {
+  const soundData = getSoundsDataMap()[path];
+
+  if (isObject(soundData)) {
+    return soundData;
+  }
+
+  const tokenMatches = path.match(URL_REGEXP_TTS_TOKEN);
+
+  if (tokenMatches) {
+    return getNormalWordSoundData(path, fromTtsLanguageTag(tokenMatches.groups.language));
+  }
+
+  return null;
+}
+
+/**
+ * @type {string[]}
+ */
+const SOUND_TYPE_RELEVANCE = [
+  SOUND_TYPE_UNKNOWN,
+  SOUND_TYPE_TTS_SENTENCE,
+  SOUND_TYPE_TTS_WORD,
+  SOUND_TYPE_TTS_MORPHEME,
+  SOUND_TYPE_EFFECT,
+];
+
+/**
+ * @type {string[]}
+ */
+const SOUND_SPEED_RELEVANCE = [
+  SOUND_SPEED_NORMAL,
+  SOUND_SPEED_SLOW,
+];
+
+/**
+ * @type {Function}
+ * @param {SoundData} dataA Some sound data.
+ * @param {SoundData} dataB Other sound data.
+ * @returns {number}
+ * A number:
+ * - > 0 if the first sound data are more relevant than the second,
+ * - < 0 if the second sound data are more relevant than the first,
+ * - 0, if both sound data are equally relevant.
+ */
+const compareSoundDataRelevance = compareWith(
+  [
+    lift(SOUND_TYPE_RELEVANCE.indexOf(_.type) - SOUND_TYPE_RELEVANCE.indexOf(_.type)),
+    lift(SOUND_SPEED_RELEVANCE.indexOf(_.speed) - SOUND_SPEED_RELEVANCE.indexOf(_.speed)),
+  ],
+  _,
+  _
+);
+
+/**
+ * @param {SoundData[]} newData New data about a set of sounds.
+ * @returns {void}
+ */
+const registerSoundsData = newData => {
+  const soundsData = getSoundsDataMap() || {};
+
+  for (const soundData of newData) {
+    const path = getUrlPath(soundData.url);
+
+    if (
+      !soundsData[path]
+      || (compareSoundDataRelevance(soundData, soundsData[path]) > 0)
+    ) {
+      soundsData[path] = soundData;
+    }
+  }
+
+  setSharedGlobalVariable(KEY_SOUNDS_DATA_MAP, soundsData);
+};
+
+/**
+ * @type {number}
+ */
+const SOUND_DETECTION_LISTENERS_VERSION = 4;
+
+/**
+ * @type {string}
+ */
+const KEY_SOUND_DETECTION_LISTENERS_VERSION = 'sound_detection_listeners_version';
+
+/**
+ * @type {string}
+ */
+const KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS = 'sound_detection_unregistration_callbacks';
+
+/**
+ * @param {object} sound The configuration of a speaker sound.
+ * @param {string} type The type of the sound.
+ * @param {string} language The language of the sound.
+ * @returns {SoundData} Relevant data about the given sound.
+ */
+const getSpeakerSoundData = (sound, type, language) => ({
+  url: sound.url,
+  type,
+  speed: sound.speed?.value || SOUND_SPEED_NORMAL,
+  language,
+});
+
+/**
+ * @param {Array} challenges A list of challenges.
+ * @returns {void}
+ */
+const registerPracticeChallengesSoundsData = challenges => {
+  const challengeSounds = [];
+
+  for (const challenge of challenges) {
+    const challengeType = getChallengeType(challenge);
+    const sourceLanguage = getChallengeSourceLanguage(challenge);
+    const targetLanguage = getChallengeTargetLanguage(challenge);
+
+    if (isString(challenge.tts)) {
+      // The challenge statement.
+      const getTtsSoundData = (MORPHEME_CHALLENGE_TYPES.indexOf(challengeType) >= 0)
+        ? getNormalMorphemeSoundData
+        : getNormalSentenceSoundData;
+
+      challengeSounds.push(getTtsSoundData(challenge.tts, sourceLanguage));
+    }
+
+    if (isString(challenge.slowTts)) {
+      // The challenge statement, slowed down.
+      challengeSounds.push(getSlowSentenceSoundData(challenge.slowTts, sourceLanguage));
+    }
+
+    if (isString(challenge.solutionTts)) {
+      // The challenge solution.
+      challengeSounds.push(getNormalSentenceSoundData(challenge.solutionTts, targetLanguage));
+    }
+
+    if (isArray(challenge.choices)) {
+      // The possible choices for MCQ-like challenges, or the available words for the word banks.
+      const getChoiceSoundData = (MORPHEME_CHALLENGE_TYPES.indexOf(challengeType) === -1)
+        ? getNormalWordSoundData
+        : getNormalMorphemeSoundData;
+
+      challengeSounds.push(
+        challenge.choices
+          .map(it?.tts)
+          .filter(isString)
+          .map(getChoiceSoundData(_, targetLanguage))
+      );
+    }
+
+    if (isArray(challenge.tokens)) {
+      // The words that make up the statement for most types of challenges.
+      challengeSounds.push(
+        challenge.tokens
+          .map(it?.tts)
+          .filter(isString)
+          .map(getNormalWordSoundData(_, sourceLanguage))
+      );
+    }
+
+    if (isArray(challenge.displayTokens)) {
+      // The words that make up the statement for (at least) definitions.
+      challengeSounds.push(
+        challenge.displayTokens
+          .map(it?.hintToken?.tts)
+          .filter(isString)
+          .map(getNormalWordSoundData(_, sourceLanguage))
+      );
+    }
+
+    if (isArray(challenge.questionTokens)) {
+      // The words that make up the statement for (at least) listening comprehension challenges.
+      challengeSounds.push(
+        challenge.questionTokens
+          .map(it?.tts)
+          .filter(isString)
+          .map(getNormalWordSoundData(_, targetLanguage))
+      );
+    }
+
+    if (isArray(challenge.metadata?.speakers)) {
+      // The sentences (and corresponding words) that make up a dialogue, voiced  by different speakers.
+      for (const speaker of challenge.metadata.speakers) {
+        if (isObject(speaker.tts?.tokens)) {
+          challengeSounds.push(
+            Object.values(speaker.tts.tokens)
+              .filter(isString(_.url))
+              .map(getSpeakerSoundData(_, SOUND_TYPE_TTS_WORD, targetLanguage))
+          );
+        }
+
+        if (isArray(speaker.tts?.sentence)) {
+          challengeSounds.push(
+            speaker.tts.sentence
+              .filter(isString(_.url))
+              .map(getSpeakerSoundData(_, SOUND_TYPE_TTS_SENTENCE, targetLanguage))
+          );
+        }
+      }
+    }
+
+    if (isArray(challenge.pairs)) {
+      // The pairs of characters or words for matching challenges.
+      const getPairSoundData = (MORPHEME_CHALLENGE_TYPES.indexOf(challengeType) === -1)
+        ? getNormalWordSoundData
+        : getNormalMorphemeSoundData;
+
+      challengeSounds.push(
+        challenge.pairs
+          .map(it?.tts)
+          .filter(isString)
+          .map(getPairSoundData(_, targetLanguage))
+      );
+    }
+
+    if (isArray(challenge.options)) {
+      // The choices for listening fill-in-the-blank challenges, or "How do I say?" challenges.
+      challengeSounds.push(
+        challenge.options
+          .map(it?.tts)
+          .filter(isString)
+          .map(getNormalWordSoundData(_, targetLanguage))
+      );
+    }
+
+    if (isArray(challenge.dialogue)) {
+      // The sentences (and corresponding words) that make up a dialogue, voiced  by different speakers.
+      challengeSounds.push(
+        challenge.dialogue
+          .map(it?.tts)
+          .filter(isString)
+          .map(getNormalSentenceSoundData(_, targetLanguage))
+      );
+
+      challengeSounds.push(
+        challenge.dialogue
+          .map(it?.hintTokens)
+          .filter(isArray)
+          .flat()
+          .map(it?.tts)
+          .filter(isString)
+          .map(getNormalWordSoundData(_, targetLanguage))
+      );
+    }
+  }
+
+  registerSoundsData(challengeSounds.flat());
+};
+
+/**
+ * @param {object} story A story.
+ * @returns {void}
+ */
+const registerStorySoundsData = story => {
+  isArray(story?.elements)
+  && registerSoundsData(
+    story.elements
+      .map(it?.line?.content || it?.learningLanguageTitleContent)
+      .flatMap(lift([ _1?.audio, _1?.audioPrefix, _1?.audioSuffix ]))
+      .map(it?.url)
+      .filter(isString)
+      .map(getNormalSentenceSoundData(_, story.learningLanguage))
+  )
+};
+
+/**
+ * @param {object} payload The response payload.
+ * @param {object} languages Language data from the alphabets request.
+ * @returns {void}
+ */
+const registerAlphabetsSoundsData = (payload, languages) => {
+  if (isArray(payload?.alphabets) && isString(languages?.toLanguage)) {
+    registerSoundsData(
+      payload.alphabets
+        .flatMap(it?.groups)
+        .flatMap(it?.characters)
+        .flat()
+        .map(it?.ttsUrl)
+        .filter(isString)
+        .map(getNormalMorphemeSoundData(_, languages.toLanguage))
+    );
+
+    const hintsUrls = [];
+
+    for (const alphabet of payload.alphabets) {
+      if (isString(alphabet.explanationUrl)) {
+        hintsUrls.push(alphabet.explanationUrl);
+      }
+
+      if (isArray(alphabet.explanationListing?.groups)) {
+        hintsUrls.push(
+          ...alphabet.explanationListing.groups
+            .flatMap(it?.tips)
+            .map(it?.url)
+            .filter(isString)
+        );
+      }
+    }
+
+    if (hintsUrls.length > 0) {
+      registerAdditionalUrlEvents(EVENT_TYPE_ALPHABET_HINTS_LOADED, hintsUrls, languages);
+    }
+  }
+};
+
+/**
+ * @param {object} payload The response payload.
+ * @param {object} languages Language data from the original alphabets request.
+ * @returns {void}
+ */
+const registerAlphabetHintsSoundsData = (payload, languages) => {
+  if (isArray(payload?.elements) && isString(languages?.toLanguage)) {
+    const tokenSounds = payload.elements
+      .map(it?.element)
+      .flatMap(it?.tokenTTS?.tokenTTSCollection);
+
+    tokenSounds.push(
+      ...payload.elements
+        .map(it?.element)
+        .flatMap(it?.cells)
+        .flat()
+        .flatMap(it?.tokenTTS?.tokenTTSCollection)
+    );
+
+    registerSoundsData(
+      tokenSounds
+        .map(it?.ttsURL)
+        .filter(isString)
+        .map(getNormalMorphemeSoundData(_, languages.toLanguage))
+    );
+  }
+};
+
+/**
+ * @param {object} discussion A forum discussion.
+ * @returns {void}
+ */
+const registerForumDiscussionSoundsData = discussion => {
+  isString(discussion?.tts_url)
+  && registerSoundsData([ getNormalSentenceSoundData(discussion.tts_url, discussion.sentence_language) ])
+};
+
+/**
+ * @param {object} element A guidebook element.
+ * @param {string} language The language the user is learning.
+ * @returns {SoundData[]} The sounds data for the given guidebook element.
+ */
+const getGuidebookElementSoundsData = (element, language) => {
+  const elementSounds = [];
+  const sentenceTts = element.ttsURL;
+
+  if (isString(sentenceTts)) {
+    elementSounds.push(
+      getNormalSentenceSoundData(sentenceTts, language)
+    );
+  }
+
+  return elementSounds.concat(
+    [
+      element.tokenTTS?.tokenTTSCollection || [],
+      element.text?.tokenTTS?.tokenTTSCollection || [],
+      element.subtext?.tokenTTS?.tokenTTSCollection || [],
+    ].flat()
+      .filter(isObject)
+      .map(it?.ttsURL)
+      .filter(lift(isString(_) && (_ !== sentenceTts)))
+      .map(getNormalWordSoundData(_, language))
+  );
+};
+
+/**
+ * @param {object} guidebook A guidebook.
+ * @param {object} languages Language data from the guidebook request.
+ * @returns {void}
+ */
+export const registerGuidebookSoundsData = (guidebook, languages) => {
+  if (isArray(guidebook?.elements) && isString(languages?.toLanguage)) {
+    registerSoundsData(
+      guidebook.elements
+        .flatMap(({ element }) => (
+          isObject(element)
+          && [ element ]
+            .concat(element.phrases || [])
+            .concat(element.examples || [])
+        ))
+        .filter(isObject)
+        .flatMap(getGuidebookElementSoundsData(_, languages.toLanguage))
+    );
+  }
+};
+
+/**
+ * Registers the event listeners required for detecting the sounds used for TTS sentences and words, if necessary.
+ * @returns {void}
+ */
+const registerSoundDetectionListeners = () => {
+  // Sounds played using the Web Audio API can only be identified if their resources were loaded afterwards.
+  registerWebAudioUrlOverrides();
+
+  const listenersVersion = Number(getSharedGlobalVariable(KEY_SOUND_DETECTION_LISTENERS_VERSION));
+  const isDetectionActive = !!getSharedGlobalVariable(KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS);
+  const isDetectionUpToDate = SOUND_DETECTION_LISTENERS_VERSION <= (listenersVersion || 0);
+
+  if (!isDetectionActive || !isDetectionUpToDate) {
+    if (!isDetectionUpToDate) {
+      unregisterUnusedSoundDetectionListeners();
+    }
+
+    setSharedGlobalVariable(
+      KEY_SOUND_DETECTION_LISTENERS_VERSION,
+      SOUND_DETECTION_LISTENERS_VERSION
+    );
+
+    setSharedGlobalVariable(
+      KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS,
+      [
+        onStoryLoaded(registerStorySoundsData(_)),
+        onAlphabetsLoaded(registerAlphabetsSoundsData(_, _)),
+        onAlphabetHintsLoaded(registerAlphabetHintsSoundsData(_, _)),
+        onForumDiscussionLoaded(registerForumDiscussionSoundsData(_)),
+        onGuidebookLoaded(registerGuidebookSoundsData(_, _)),
+        onPracticeChallengesLoaded(registerPracticeChallengesSoundsData(_.challenges)),
+      ]
+    );
+  }
+};
+
+/**
+ * Unregisters the event listeners dedicated to detecting the sounds used for TTS sentences and words,
+ * if all the listeners for sound playback events have also been unregistered.
+ * @returns {void}
+ */
+const unregisterUnusedSoundDetectionListeners = () => {
+  const unregistrationCallbacks = getSharedGlobalVariable(KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS);
+
+  if (
+    isArray(unregistrationCallbacks)
+    && !hasEventListeners(EVENT_TYPE_SOUND_INITIALIZED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_REQUESTED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_CANCELLED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_ENDED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_PAUSED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_SEEKED)
+    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_PROGRESS)
+    && !hasEventListeners(EVENT_TYPE_SOUND_LOAD_ERROR)
+  ) {
+    unregistrationCallbacks.forEach(it());
+    setSharedGlobalVariable(KEY_SOUND_DETECTION_LISTENERS_VERSION, null);
+    setSharedGlobalVariable(KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS, null);
+  }
+};
+
+/**
+ * @param {*} sound A sound object, whose type depends on the playback strategy, or null if there is none yet.
+ * @param {string} url The sound URL.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {object} The payload usable for events related to the given sound.
+ */
+const getSoundEventPayload = (sound, url, playbackStrategy) => {
+  const soundData = getSoundData(getUrlPath(url));
+
+  return {
+    url,
+    type: soundData?.type || SOUND_TYPE_UNKNOWN,
+    speed: soundData?.speed || SOUND_SPEED_NORMAL,
+    language: soundData?.language,
+    playbackStrategy,
+    sound,
+  };
+};
+
+/**
+ * The minimum delay between two progress events for the same sound, in milliseconds.
+ * @type {number}
+ */
+const SOUND_PLAYBACK_PROGRESS_INTERVAL = 250;
+
+/**
+ * The number of consecutive progress checks after which a sound that is not playing stops being tracked.
+ * @type {number}
+ */
+const SOUND_PLAYBACK_PROGRESS_MAX_IDLE_CHECKS = 40;
+
+/**
+ * @type {string}
+ */
+const KEY_SOUND_PROGRESS_TIMER = getUniqueKey('sound_progress_timer');
+
+/**
+ * @type {string}
+ */
+const KEY_HAS_WEB_AUDIO_SOURCE_ENDED = getUniqueKey('has_web_audio_source_ended');
+
+/**
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {boolean} Whether the sound is currently playing.
+ */
+const isSoundPlaying = (sound, playbackStrategy) => {
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    return !sound.paused && !sound.ended;
+  } else if (SOUND_PLAYBACK_STRATEGY_WEB_AUDIO === playbackStrategy) {
+    return !sound[KEY_HAS_WEB_AUDIO_SOURCE_ENDED];
+  }
+
+  return !!sound.playing();
+};
+
+/**
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @returns {void}
+ */
+const stopSoundProgressTracking = sound => {
+  if (sound[KEY_SOUND_PROGRESS_TIMER]) {
+    clearInterval(sound[KEY_SOUND_PROGRESS_TIMER]);
+    delete sound[KEY_SOUND_PROGRESS_TIMER];
+  }
+};
+
+/**
+ * Regularly dispatches progress events for a sound, as long as it is playing and there are listeners for them.
+ * @param {object} payload The base event payload for the sound.
+ * @returns {void}
+ */
+const startSoundProgressTracking = payload => {
+  const { sound, playbackStrategy } = payload;
+  let idleChecks = 0;
+
+  stopSoundProgressTracking(sound);
+
+  if (!hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_PROGRESS)) {
+    return;
+  }
+
+  sound[KEY_SOUND_PROGRESS_TIMER] = setInterval(() => {
+    try {
+      if (!hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_PROGRESS)) {
+        stopSoundProgressTracking(sound);
+      } else if (isSoundPlaying(sound, playbackStrategy)) {
+        idleChecks = 0;
+
+        dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_PROGRESS, {
+          ...payload,
+          position: getSoundPosition(sound, playbackStrategy),
+          duration: getSoundDuration(sound, playbackStrategy),
+        });
+      } else if (++idleChecks >= SOUND_PLAYBACK_PROGRESS_MAX_IDLE_CHECKS) {
+        // The sound may still be loading, but it may also have been discarded.
+        stopSoundProgressTracking(sound);
+      }
+    } catch (error) {
+      stopSoundProgressTracking(sound);
+      logError(error, `Could not track the progress of sound "${payload.url}" (using "${playbackStrategy}"): `);
+    }
+  }, SOUND_PLAYBACK_PROGRESS_INTERVAL);
+};
+
+/**
+ * @param {string} event A type of sound lifecycle event.
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @param {string} url The sound URL.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {void}
+ */
+const dispatchSoundLifecycleEvent = (event, sound, url, playbackStrategy) => {
+  try {
+    if (!isSoundPlaying(sound, playbackStrategy)) {
+      stopSoundProgressTracking(sound);
+    }
+
+    dispatchEvent(event, getSoundEventPayload(sound, url, playbackStrategy));
+  } catch (error) {
+    logError(error, `Could not handle event "${event}" for sound "${url}" (using "${playbackStrategy}"): `);
+  }
+};
+
+/**
+ * The sound lifecycle events corresponding to the events emitted by "Howl" objects.
+ * @type {{[key: string]: string}}
+ */
+const HOWL_LIFECYCLE_EVENTS = {
+  end: EVENT_TYPE_SOUND_PLAYBACK_ENDED,
+  loaderror: EVENT_TYPE_SOUND_LOAD_ERROR,
+  pause: EVENT_TYPE_SOUND_PLAYBACK_PAUSED,
+  seek: EVENT_TYPE_SOUND_PLAYBACK_SEEKED,
+  stop: EVENT_TYPE_SOUND_PLAYBACK_PAUSED,
+};
+
+/**
+ * The sound lifecycle events corresponding to the events dispatched by media elements.
+ * @type {{[key: string]: string}}
+ */
+const MEDIA_ELEMENT_LIFECYCLE_EVENTS = {
+  ended: EVENT_TYPE_SOUND_PLAYBACK_ENDED,
+  error: EVENT_TYPE_SOUND_LOAD_ERROR,
+  pause: EVENT_TYPE_SOUND_PLAYBACK_PAUSED,
+  seeked: EVENT_TYPE_SOUND_PLAYBACK_SEEKED,
+};
+
+/**
+ * @type {string}
+ */
+const KEY_IS_MEDIA_ELEMENT_LIFECYCLE_WATCHED = getUniqueKey('is_media_element_lifecycle_watched');
+
+/**
+ * Registers the listeners required for dispatching lifecycle events for a media element, if necessary.
+ * @param {HTMLMediaElement} element A media element.
+ * @returns {void}
+ */
+const watchMediaElementLifecycle = element => {
+  if (element[KEY_IS_MEDIA_ELEMENT_LIFECYCLE_WATCHED]) {
+    return;
+  }
+
+  element[KEY_IS_MEDIA_ELEMENT_LIFECYCLE_WATCHED] = true;
+
+  Object.entries(MEDIA_ELEMENT_LIFECYCLE_EVENTS).forEach(([ elementEvent, event ]) => {
+    element.addEventListener(elementEvent, () => {
+      // Media elements are paused right before they end.
+      if (('pause' !== elementEvent) || !element.ended) {
+        dispatchSoundLifecycleEvent(event, element, getMediaElementSoundUrl(element), SOUND_PLAYBACK_STRATEGY_AUDIO);
+      }
+    });
+  });
+};
+
+/**
+ * Registers the listener required for dispatching lifecycle events for a Web Audio source node, if necessary.
+ * @param {*} source An "AudioBufferSourceNode" object.
+ * @param {string} url The URL of the sound played by the given source node.
+ * @returns {void}
+ */
+const watchWebAudioSourceLifecycle = (source, url) => {
+  // Source nodes can only be started once.
+  source.addEventListener('ended', () => {
+    source[KEY_HAS_WEB_AUDIO_SOURCE_ENDED] = true;
+    dispatchSoundLifecycleEvent(EVENT_TYPE_SOUND_PLAYBACK_ENDED, source, url, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO);
+  });
+};
+
+/**
+ * @param {*} sound The sound to be played, whose type depends on the playback strategy.
+ * @param {string} url The sound URL.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @param {Function} play A callback usable to trigger the sound playback.
+ * @returns {*|null} The result of calling the playback callback, or null if it was cancelled.
+ */
+const processSoundPlayback = (sound, url, playbackStrategy, play) => {
+  const payload = getSoundEventPayload(sound, url, playbackStrategy);
+
+  let isCancelled = false;
+
+  try {
+    isCancelled = dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_REQUESTED, payload)?.some(false === it);
+
+    if (!isCancelled) {
+      dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED, payload);
+    } else {
+      dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_CANCELLED, payload);
+    }
+  } catch (error) {
+    logError(error, `Could not handle playback for sound "${url}" (using "${playbackStrategy}"): `);
+  }
+
+  if (isCancelled) {
+    return null;
+  }
+
+  const result = play();
+
+  startSoundProgressTracking(payload);
+
+  return result;
+};
+
+/**
+ * @param {*} howl A "Howl" object from the "howler.js" library.
+ * @param {Function} callback A function calling one of the methods of the given "Howl" object.
+ * @returns {*} The result of the callback.
+ */
+const runHowlerCall = (howl, callback) => {
+  setSharedGlobalVariable(KEY_IS_HOWLER_USED, true);
+  updateSharedGlobalVariable(KEY_HOWLER_CALL_DEPTH, lift(_ + 1), 0);
+
+  try {
+    return callback();
+  } finally {
+    updateSharedGlobalVariable(KEY_HOWLER_CALL_DEPTH, lift(_ - 1), 1);
+
+    // In HTML5 mode, "howler.js" plays sounds using <audio> nodes, possibly once they are ready.
+    (howl._sounds || [])
+      .filter(sound => (sound._node instanceof HTMLMediaElement))
+      .forEach(sound => {
+        sound._node[KEY_IS_HOWLER_MEDIA_ELEMENT] = true;
+      });
+  }
+};
+
+/**
+ * @param {*} element A media element.
+ * @returns {boolean}
+ * Whether the given element is an audio element that is not managed by "howler.js"
+ * (the sounds played by "howler.js" are already handled with the corresponding playback strategy).
+ */
+const isStandaloneAudioElement = element => (
+  (element instanceof HTMLAudioElement)
+  && !element[KEY_IS_HOWLER_MEDIA_ELEMENT]
+  && !(Number(getSharedGlobalVariable(KEY_HOWLER_CALL_DEPTH)) > 0)
+);
+
+/**
+ * @param {HTMLMediaElement} element A media element.
+ * @returns {string}
+ * The URL of the sound loaded by the given element, if any.
+ * Before a source is selected, the URL of the first <source> child is used, if there is one.
+ */
+const getMediaElementSoundUrl = element => String(
+  element.currentSrc
+  || element.src
+  || element.querySelector('source[src]')?.src
+  || ''
+).trim();
+
+/**
+ * @type {string}
+ */
+const KEY_INITIALIZED_SOUND_URL = getUniqueKey('initialized_sound_url');
+
+/**
+ * Watches the lifecycle of a standalone audio element, and dispatches an initialization event for its new source.
+ * @param {HTMLMediaElement} element A media element.
+ * @param {string=} url The URL of the sound loaded by the given element.
+ * @returns {void}
+ */
+const handleAudioElementSource = (element, url = getMediaElementSoundUrl(element)) => {
+  const soundUrl = String(url || '').trim();
+
+  // The same source may be reported by several hooks (the "src" property, the DOM observer, etc.).
+  if (
+    isStandaloneAudioElement(element)
+    && ('' !== soundUrl)
+    && (element[KEY_INITIALIZED_SOUND_URL] !== soundUrl)
+  ) {
+    element[KEY_INITIALIZED_SOUND_URL] = soundUrl;
+
+    // Load errors may occur before any playback.
+    watchMediaElementLifecycle(element);
+
+    dispatchEvent(
+      EVENT_TYPE_SOUND_INITIALIZED,
+      getSoundEventPayload(element, soundUrl, SOUND_PLAYBACK_STRATEGY_AUDIO)
+    );
+  }
+};
+
+/**
+ * @type {string}
+ */
+const KEY_MEDIA_ELEMENT_OBSERVER = 'media_element_observer';
+
+/**
+ * @param {Node} node A node that was added to the page, or whose "src" attribute changed.
+ * @returns {HTMLAudioElement[]} The audio elements whose source may have changed as a result.
+ */
+const getAffectedAudioElements = node => {
+  if (node instanceof HTMLAudioElement) {
+    return [ node ];
+  } else if (node instanceof HTMLSourceElement) {
+    return (node.parentElement instanceof HTMLAudioElement) ? [ node.parentElement ] : [];
+  }
+
+  return (node instanceof Element) ? Array.from(node.querySelectorAll('audio')) : [];
+};
+
+/**
+ * Applies the necessary overrides and registers the necessary observers to detect the sources of audio elements,
+ * whether they are set using the "src" property, the "src" attribute, or <source> children.
+ * @returns {void}
+ */
+const registerMediaElementSourceObservers = () => {
+  onConstructorCall('Audio', audio => handleAudioElementSource(audio), 'sound_initialized');
+
+  overrideOwnPropertyDescriptor(HTMLMediaElement.prototype, 'src', originalDescriptor => ({
+    ...originalDescriptor,
+    set: function (value) {
+      originalDescriptor.set.call(this, value);
+      // Use the resolved URL.
+      handleAudioElementSource(this, this.src);
+    },
+  }));
+
+  if (isObject(getSharedGlobalVariable(KEY_MEDIA_ELEMENT_OBSERVER))) {
+    return;
+  }
+
+  // Frameworks such as React set the "src" attribute directly, or render <source> children.
+  const mutationObserver = new MutationObserver(records => {
+    records
+      .flatMap(record => ('attributes' === record.type) ? [ record.target ] : Array.from(record.addedNodes))
+      .flatMap(getAffectedAudioElements)
+      .forEach(element => handleAudioElementSource(element));
+  });
+
+  mutationObserver.observe(document.documentElement, {
+    attributes: true,
+    attributeFilter: [ 'src' ],
+    childList: true,
+    subtree: true,
+  });
+
+  setSharedGlobalVariable(KEY_MEDIA_ELEMENT_OBSERVER, mutationObserver);
+};
+
+/**
+ * The events that require observing the sources of audio elements.
+ * @type {string[]}
+ */
+const MEDIA_ELEMENT_SOURCE_EVENTS = [
+  EVENT_TYPE_SOUND_INITIALIZED,
+  ...Object.values(MEDIA_ELEMENT_LIFECYCLE_EVENTS),
+];
+
+/**
+ * Disconnects the observer of audio elements if there is no listener left for the events that require it.
+ * @returns {void}
+ */
+const unregisterUnusedMediaElementObserver = () => {
+  const observer = getSharedGlobalVariable(KEY_MEDIA_ELEMENT_OBSERVER);
+
+  if (isObject(observer) && !MEDIA_ELEMENT_SOURCE_EVENTS.some(hasEventListeners)) {
+    observer.disconnect();
+    setSharedGlobalVariable(KEY_MEDIA_ELEMENT_OBSERVER, null);
+  }
+};
+
+/**
+ * @returns {WeakMap<object, string>}
+ * A map from the array buffers and the decoded audio buffers that were loaded from remote resources,
+ * to the URLs of those resources.
+ */
+const getWebAudioUrlMap = () => {
+  let urlMap = getSharedGlobalVariable(KEY_WEB_AUDIO_URL_MAP);
+
+  if (!(urlMap instanceof WeakMap)) {
+    urlMap = new WeakMap();
+    setSharedGlobalVariable(KEY_WEB_AUDIO_URL_MAP, urlMap);
+  }
+
+  return urlMap;
+};
+
+/**
+ * @param {*} buffer An array buffer or an audio buffer.
+ * @param {string} url The URL of the resource from which the buffer was loaded.
+ * @returns {void}
+ */
+const registerWebAudioBufferUrl = (buffer, url) => {
+  if (isObject(buffer) && isString(url) && ('' !== url)) {
+    getWebAudioUrlMap().set(buffer, url);
+  }
+};
+
+/**
+ * @param {string|null} contentType The content type of a response.
+ * @returns {boolean} Whether the response may contain a sound.
+ */
+const isSoundContentType = contentType => /^\s*(audio\/|application\/octet-stream)/i.test(String(contentType || ''));
+
+/**
+ * @param {Function} originalDecodeAudioData The original "decodeAudioData" method of an audio context.
+ * @returns {Function} The overridden method, associating the decoded audio buffers to the URLs of their resources.
+ */
+const getDecodeAudioDataOverride = originalDecodeAudioData => function (buffer, onSuccess, onError) {
+  // Decoding detaches the array buffer, so its URL must be retrieved beforehand.
+  const url = getWebAudioUrlMap().get(buffer);
+
+  if (!url) {
+    return originalDecodeAudioData.call(this, buffer, onSuccess, onError);
+  }
+
+  const registerAudioBuffer = audioBuffer => {
+    registerWebAudioBufferUrl(audioBuffer, url);
+    return audioBuffer;
+  };
+
+  let isErrorDispatched = false;
+
+  // Errors may be reported both to the callback and through the promise.
+  // No sound object exists yet, and the audio context is not one (it may be shared by many sounds).
+  const dispatchDecodingError = () => {
+    if (!isErrorDispatched) {
+      isErrorDispatched = true;
+
+      try {
+        dispatchEvent(
+          EVENT_TYPE_SOUND_LOAD_ERROR,
+          getSoundEventPayload(null, url, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO)
+        );
+      } catch (error) {
+        logError(error, `Could not handle event "${EVENT_TYPE_SOUND_LOAD_ERROR}" for sound "${url}": `);
+      }
+    }
+  };
+
+  const result = originalDecodeAudioData.call(
+    this,
+    buffer,
+    isFunction(onSuccess) ? (audioBuffer => onSuccess(registerAudioBuffer(audioBuffer))) : onSuccess,
+    error => {
+      dispatchDecodingError();
+      return isFunction(onError) ? onError(error) : undefined;
+    }
+  );
+
+  return !isFunction(result?.then)
+    ? result
+    : result.then(registerAudioBuffer, error => {
+      dispatchDecodingError();
+      throw error;
+    });
+};
+
+/**
+ * Applies the necessary overrides to detect the URLs of the sounds that are played using the Web Audio API:
+ * - the array buffers loaded using fetch() or XHRs are associated to the URLs of the corresponding resources,
+ * - the audio buffers decoded from those array buffers are associated to the same URLs.
+ *
+ * The URL of a resource is lost once its content is read into an array buffer, hence the need to observe
+ * all the responses that are read that way. Only the responses whose content type may correspond to a sound
+ * are considered, and they are otherwise left untouched.
+ *
+ * The buffers loaded before the overrides are applied (before the first listener for sound events is registered)
+ * can not be associated to any URL.
+ * @returns {void}
+ */
+const registerWebAudioUrlOverrides = () => {
+  overrideInstanceMethod('Response', 'arrayBuffer', originalArrayBuffer => function () {
+    const url = this.url;
+    const result = originalArrayBuffer.call(this);
+
+    return !isSoundContentType(this.headers?.get('content-type'))
+      ? result
+      : result.then(buffer => {
+        registerWebAudioBufferUrl(buffer, url);
+        return buffer;
+      });
+  }, 2);
+
+  overrideOwnPropertyDescriptor(XMLHttpRequest.prototype, 'response', originalDescriptor => ({
+    ...originalDescriptor,
+    get: function () {
+      const response = originalDescriptor.get.call(this);
+
+      if ((response instanceof ArrayBuffer) && isSoundContentType(this.getResponseHeader('content-type'))) {
+        registerWebAudioBufferUrl(response, this.responseURL);
+      }
+
+      return response;
+    },
+  }), 2);
+
+  // Offline contexts share the same base interface, which older browsers do not provide.
+  overrideInstanceMethod('BaseAudioContext', 'decodeAudioData', getDecodeAudioDataOverride, 2);
+  overrideInstanceMethod('webkitAudioContext', 'decodeAudioData', getDecodeAudioDataOverride, 2);
+};
+
+/**
+ * @param {*} source An "AudioBufferSourceNode" object.
+ * @returns {string} The URL of the sound played by the given source node, if it is known.
+ */
+const getWebAudioSourceSoundUrl = source => (
+  // The sounds played by "howler.js" are already handled with the corresponding playback strategy.
+  (source.context === window.Howler?.ctx)
+    ? ''
+    : String((source.buffer && getWebAudioUrlMap().get(source.buffer)) || '').trim()
+);
+
+/**
+ * @param {Function} callback The function to be called when a sound is initialized
+ * @returns {Function} A function usable to stop being notified of newly initialized sounds.
+ */
+export const onSoundInitialized = callback => {
+  overrideInstanceMethod('Howl', 'init', originalHowlInit => function (config) {
+    const result = runHowlerCall(this, () => originalHowlInit.call(this, config));
+    const soundUrl = String(this._src || this._parent?._src || '').trim();
+
+    if ('' !== soundUrl) {
+      dispatchEvent(
+        EVENT_TYPE_SOUND_INITIALIZED,
+        getSoundEventPayload(this, soundUrl, SOUND_PLAYBACK_STRATEGY_HOWLER)
+      );
+    }
+
+    return result;
+  }, 2);
+
+  registerMediaElementSourceObservers();
+  registerSoundDetectionListeners();
+
+  const unregisterDerived = registerEventListener(EVENT_TYPE_SOUND_INITIALIZED, callback);
+
+  return () => {
+    unregisterDerived();
+    unregisterUnusedMediaElementObserver();
+    unregisterUnusedSoundDetectionListeners();
+  };
+};
+
+/**
+ * @param {string} event A type of sound playback event.
+ * @param {Function} callback The function to be called with the event payload when a matching event is dispatched.
+ * @returns {Function} A function usable to unregister the listener.
  */
-const registerSoundsData = newData => {
-  const soundsData = getSoundsDataMap() || {};
+const registerSoundPlaybackEventListener = (event, callback) => {
+  overrideInstanceMethod('Howl', 'play', originalHowlPlay => function (id) {
+    const soundUrl = String(this._src || this._parent?._src || '').trim();
 
-  for (const soundData of newData) {
-    const path = getUrlPath(soundData.url);
+    if ('' !== soundUrl) {
+      return processSoundPlayback(
+        this,
+        soundUrl,
+        SOUND_PLAYBACK_STRATEGY_HOWLER,
+        () => runHowlerCall(this, () => originalHowlPlay.call(this, id))
+      );
+    }
 
-    if (
-      !soundsData[path]
-      || (compareSoundDataRelevance(soundData, soundsData[path]) > 0)
-    ) {
-      soundsData[path] = soundData;
+    return runHowlerCall(this, () => originalHowlPlay.call(this, id));
+  }, 3);
+
+  overrideInstanceMethod('Howl', '_emit', originalHowlEmit => function (event, id, message) {
+    const soundUrl = String(this._src || this._parent?._src || '').trim();
+
+    if (HOWL_LIFECYCLE_EVENTS[event] && ('' !== soundUrl)) {
+      dispatchSoundLifecycleEvent(HOWL_LIFECYCLE_EVENTS[event], this, soundUrl, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    }
+
+    return originalHowlEmit.call(this, event, id, message);
+  });
+
+  overrideInstanceMethod('HTMLMediaElement', 'play', originalPlay => function () {
+    const soundUrl = getMediaElementSoundUrl(this);
+
+    if (!isStandaloneAudioElement(this) || ('' === soundUrl)) {
+      return originalPlay.call(this);
     }
+
+    watchMediaElementLifecycle(this);
+
+    // Callers may expect a promise, even when the playback is cancelled.
+    // Native playbacks that are interrupted (e.g. by a call to pause()) are rejected with the same error.
+    return processSoundPlayback(
+      this,
+      soundUrl,
+      SOUND_PLAYBACK_STRATEGY_AUDIO,
+      () => originalPlay.call(this)
+    ) || Promise.reject(new DOMException('The playback was cancelled.', 'AbortError'));
+  }, 3);
+
+  applyWebAudioSourceOverrides();
+
+  // Load errors may occur before any playback, and lifecycle events do not depend on playback listeners.
+  if (MEDIA_ELEMENT_SOURCE_EVENTS.includes(event)) {
+    registerMediaElementSourceObservers();
   }
 
-  setSharedGlobalVariable(KEY_SOUNDS_DATA_MAP, soundsData);
+  overrideInstanceMethod('AudioBufferSourceNode', 'start', originalStart => function (...args) {
+    const soundUrl = getWebAudioSourceSoundUrl(this);
+
+    if ('' === soundUrl) {
+      return originalStart.apply(this, args);
+    }
+
+    return processSoundPlayback(
+      this,
+      soundUrl,
+      SOUND_PLAYBACK_STRATEGY_WEB_AUDIO,
+      () => {
+        trackWebAudioSourcePlayback(this, args[0], args[1]);
+        watchWebAudioSourceLifecycle(this, soundUrl);
+        return originalStart.apply(this, args);
+      }
+    );
+  }, 2);
+
+  registerSoundDetectionListeners();
+
+  const unregisterDerived = registerEventListener(event, callback);
+
+  return () => {
+    unregisterDerived();
+    unregisterUnusedMediaElementObserver();
+    unregisterUnusedSoundDetectionListeners();
+  };
 };
 
 /**
- * @type {number}
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the corresponding sound data when a playback is requested.
+ * If this function returns false, the sound playback will be cancelled.
+ * @returns {Function} A function usable to stop being notified of sound playback requests.
  */
-const SOUND_DETECTION_LISTENERS_VERSION = 4;
+export const onSoundPlaybackRequested = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_REQUESTED, _);
 
 /**
- * @type {string}
+ * @type {Function}
+ * @param {Function} callback The function to be called with the corresponding sound data when a playback is cancelled.
+ * @returns {Function} A function usable to stop being notified of sound playback cancellations.
  */
-const KEY_SOUND_DETECTION_LISTENERS_VERSION = 'sound_detection_listeners_version';
+export const onSoundPlaybackCancelled = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_CANCELLED, _);
 
 /**
- * @type {string}
+ * @type {Function}
+ * @param {Function} callback The function to be called with the corresponding sound data when a playback is confirmed.
+ * @returns {Function} A function usable to stop being notified of sound playback confirmations.
  */
-const KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS = 'sound_detection_unregistration_callbacks';
+export const onSoundPlaybackConfirmed = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED, _);
 
 /**
- * @param {object} sound The configuration of a speaker sound.
- * @param {string} type The type of the sound.
- * @param {string} language The language of the sound.
- * @returns {SoundData} Relevant data about the given sound.
+ * @type {Function}
+ * @param {Function} callback The function to be called with the corresponding sound data when a playback ends.
+ * @returns {Function} A function usable to stop being notified of the end of sound playbacks.
  */
-const getSpeakerSoundData = (sound, type, language) => ({
-  url: sound.url,
-  type,
-  speed: sound.speed?.value || SOUND_SPEED_NORMAL,
-  language,
-});
+export const onSoundPlaybackEnded = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_ENDED, _);
 
 /**
- * @param {Array} challenges A list of challenges.
- * @returns {void}
+ * Sounds played using the Web Audio API can not be paused.
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the corresponding sound data when a playback is paused or stopped.
+ * @returns {Function} A function usable to stop being notified of paused sound playbacks.
  */
-const registerPracticeChallengesSoundsData = challenges => {
-  const challengeSounds = [];
-
-  for (const challenge of challenges) {
-    const challengeType = getChallengeType(challenge);
-    const sourceLanguage = getChallengeSourceLanguage(challenge);
-    const targetLanguage = getChallengeTargetLanguage(challenge);
+export const onSoundPlaybackPaused = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_PAUSED, _);
 
-    if (isString(challenge.tts)) {
-      // The challenge statement.
-      const getTtsSoundData = (MORPHEME_CHALLENGE_TYPES.indexOf(challengeType) >= 0)
-        ? getNormalMorphemeSoundData
-        : getNormalSentenceSoundData;
+/**
+ * Sounds played using the Web Audio API can not be seeked.
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the corresponding sound data when the position of a sound is changed.
+ * @returns {Function} A function usable to stop being notified of seeked sounds.
+ */
+export const onSoundPlaybackSeeked = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_SEEKED, _);
 
-      challengeSounds.push(getTtsSoundData(challenge.tts, sourceLanguage));
-    }
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called regularly with the corresponding sound data while a sound is playing,
+ * including its current position and its duration (in seconds).
+ * @returns {Function} A function usable to stop being notified of the progress of sound playbacks.
+ */
+export const onSoundPlaybackProgress = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_PROGRESS, _);
 
-    if (isString(challenge.slowTts)) {
-      // The challenge statement, slowed down.
-      challengeSounds.push(getSlowSentenceSoundData(challenge.slowTts, sourceLanguage));
-    }
+/**
+ * For sounds played using the Web Audio API, only the resources that could be loaded but not decoded are reported,
+ * and the sound of the corresponding event is always null.
+ * @type {Function}
+ * @param {Function} callback The function to be called with the corresponding sound data when a sound fails to load.
+ * @returns {Function} A function usable to stop being notified of sound load errors.
+ */
+export const onSoundLoadError = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_LOAD_ERROR, _);
 
-    if (isString(challenge.solutionTts)) {
-      // The challenge solution.
-      challengeSounds.push(getNormalSentenceSoundData(challenge.solutionTts, targetLanguage));
-    }
+/**
+ * @type {string}
+ */
+const KEY_IS_UI_LOADED = 'is_ui_loaded';
 
-    if (isArray(challenge.choices)) {
-      // The possible choices for MCQ-like challenges, or the available words for the word banks.
-      const getChoiceSoundData = (MORPHEME_CHALLENGE_TYPES.indexOf(challengeType) === -1)
-        ? getNormalWordSoundData
-        : getNormalMorphemeSoundData;
+/**
+ * @type {string}
+ */
+const KEY_IS_UI_LOADING_DETECTED = 'is_ui_loading_detected';
 
-      challengeSounds.push(
-        challenge.choices
-          .map(it?.tts)
-          .filter(isString)
-          .map(getChoiceSoundData(_, targetLanguage))
-      );
-    }
+/**
+ * @param {Function} callback The function to be called when the UI is fully loaded.
+ * @returns {void}
+ */
+export const onUiLoaded = callback => {
+  if (getSharedGlobalVariable(KEY_IS_UI_LOADED)) {
+    setTimeout(callback);
+    return;
+  }
 
-    if (isArray(challenge.tokens)) {
-      // The words that make up the statement for most types of challenges.
-      challengeSounds.push(
-        challenge.tokens
-          .map(it?.tts)
-          .filter(isString)
-          .map(getNormalWordSoundData(_, sourceLanguage))
-      );
-    }
+  if (!getSharedGlobalVariable(KEY_IS_UI_LOADING_DETECTED)) {
+    let cssLoadedPromise;
 
-    if (isArray(challenge.displayTokens)) {
-      // The words that make up the statement for (at least) definitions.
-      challengeSounds.push(
-        challenge.displayTokens
-          .map(it?.hintToken?.tts)
-          .filter(isString)
-          .map(getNormalWordSoundData(_, sourceLanguage))
-      );
-    }
+    if (isArray(window.duo?.stylesheets)) {
+      cssLoadedPromise = new Promise(resolve => {
+        // Regularly check if any of the stylesheets has been loaded
+        // (the "stylesheets" array contain styles for both LTR and RTL directions).
+        const checkStylesheets = () => {
+          const isCssLoaded = Array.from(document.styleSheets)
+            .some(sheet => window.duo.stylesheets.some(href => String(sheet.href || '').indexOf(href) >= 0));
 
-    if (isArray(challenge.questionTokens)) {
-      // The words that make up the statement for (at least) listening comprehension challenges.
-      challengeSounds.push(
-        challenge.questionTokens
-          .map(it?.tts)
-          .filter(isString)
-          .map(getNormalWordSoundData(_, targetLanguage))
-      );
-    }
+          if (isCssLoaded) {
+            clearInterval(checkInterval);
+            resolve();
+          }
+        };
 
-    if (isArray(challenge.metadata?.speakers)) {
-      // The sentences (and corresponding words) that make up a dialogue, voiced  by different speakers.
-      for (const speaker of challenge.metadata.speakers) {
-        if (isObject(speaker.tts?.tokens)) {
-          challengeSounds.push(
-            Object.values(speaker.tts.tokens)
-              .filter(isString(_.url))
-              .map(getSpeakerSoundData(_, SOUND_TYPE_TTS_WORD, targetLanguage))
-          );
-        }
+        const checkInterval = setInterval(checkStylesheets, 1000);
 
-        if (isArray(speaker.tts?.sentence)) {
-          challengeSounds.push(
-            speaker.tts.sentence
-              .filter(isString(_.url))
-              .map(getSpeakerSoundData(_, SOUND_TYPE_TTS_SENTENCE, targetLanguage))
-          );
-        }
-      }
+        checkStylesheets();
+      });
+    } else {
+      cssLoadedPromise = Promise.resolve();
     }
 
-    if (isArray(challenge.pairs)) {
-      // The pairs of characters or words for matching challenges.
-      const getPairSoundData = (MORPHEME_CHALLENGE_TYPES.indexOf(challengeType) === -1)
-        ? getNormalWordSoundData
-        : getNormalMorphemeSoundData;
-
-      challengeSounds.push(
-        challenge.pairs
-          .map(it?.tts)
-          .filter(isString)
-          .map(getPairSoundData(_, targetLanguage))
-      );
-    }
+    const callback = () => cssLoadedPromise.then(() => {
+      setSharedGlobalVariable(KEY_IS_UI_LOADED, true);
+      dispatchEvent(EVENT_TYPE_UI_LOADED);
+    });
 
-    if (isArray(challenge.options)) {
-      // The choices for listening fill-in-the-blank challenges, or "How do I say?" challenges.
-      challengeSounds.push(
-        challenge.options
-          .map(it?.tts)
-          .filter(isString)
-          .map(getNormalWordSoundData(_, targetLanguage))
-      );
+    if ((document.readyState === 'complete') || (document.readyState === 'interactive')) {
+      setTimeout(callback, 1);
+    } else {
+      document.addEventListener('DOMContentLoaded', callback);
     }
+  }
 
-    if (isArray(challenge.dialogue)) {
-      // The sentences (and corresponding words) that make up a dialogue, voiced  by different speakers.
-      challengeSounds.push(
-        challenge.dialogue
-          .map(it?.tts)
-          .filter(isString)
-          .map(getNormalSentenceSoundData(_, targetLanguage))
-      );
+  registerEventListener(EVENT_TYPE_UI_LOADED, callback);
+};
 
-      challengeSounds.push(
-        challenge.dialogue
-          .map(it?.hintTokens)
-          .filter(isArray)
-          .flat()
-          .map(it?.tts)
-          .filter(isString)
-          .map(getNormalWordSoundData(_, targetLanguage))
-      );
-    }
+/**
+ * @type {string}
+ */
+const KEY_HAS_STORAGE_EVENT_LISTENER = getUniqueKey('has_storage_event_listener');
+
+/**
+ * @param {Function} callback The function to be called with the relevant data when a storage item is changed.
+ * @param {string=} listenerId A listener ID.
+ * @returns {Function} A function usable to unregister the listener.
+ */
+const registerStorageEventListener = (callback, listenerId = getUniqueEventListenerId()) => {
+  const iframe = getToolboxIframe();
+
+  if (!iframe[KEY_HAS_STORAGE_EVENT_LISTENER]) {
+    iframe[KEY_HAS_STORAGE_EVENT_LISTENER] = true;
+
+    iframe.contentWindow.addEventListener('storage', event => (
+      dispatchEvent(EVENT_TYPE_STORAGE_ITEM_CHANGED, {
+        key: event.key,
+        oldValue: event.oldValue,
+        newValue: event.newValue,
+      })
+    ));
   }
 
-  registerSoundsData(challengeSounds.flat());
+  return registerEventListener(EVENT_TYPE_STORAGE_ITEM_CHANGED, callback, listenerId);
 };
 
 /**
- * @param {object} story A story.
- * @returns {void}
+ * @param {string|null} value A serialized Duo state.
+ * @returns {object|null} The parsed Duo state, if it is valid.
  */
-const registerStorySoundsData = story => {
-  isArray(story?.elements)
-  && registerSoundsData(
-    story.elements
-      .map(it?.line?.content || it?.learningLanguageTitleContent)
-      .flatMap(lift([ _1?.audio, _1?.audioPrefix, _1?.audioSuffix ]))
-      .map(it?.url)
-      .filter(isString)
-      .map(getNormalSentenceSoundData(_, story.learningLanguage))
-  )
+const parseDuoState = value => {
+  try {
+    const state = JSON.parse(value);
+    return isObject(state) ? state : null;
+  } catch (error) {
+    return null;
+  }
 };
 
 /**
- * @param {object} payload The response payload.
- * @param {object} languages Language data from the alphabets request.
- * @returns {void}
+ * @param {string[]} path A path.
+ * @param {string[]} prefix Another path.
+ * @returns {boolean} Whether the given path starts with the given prefix.
  */
-const registerAlphabetsSoundsData = (payload, languages) => {
-  if (isArray(payload?.alphabets) && isString(languages?.toLanguage)) {
-    registerSoundsData(
-      payload.alphabets
-        .flatMap(it?.groups)
-        .flatMap(it?.characters)
-        .flat()
-        .map(it?.ttsUrl)
-        .filter(isString)
-        .map(getNormalMorphemeSoundData(_, languages.toLanguage))
-    );
+const isPathPrefixedBy = (path, prefix) => prefix.every((key, index) => (key === path[index]));
 
-    const hintsUrls = [];
+/**
+ * @typedef {object} DuoStateChange
+ * @property {string|null} oldState The old Duo state, unparsed.
+ * @property {string|null} newState The new Duo state, unparsed.
+ * @property {string[]} path The path that was subscribed to, as a list of keys.
+ * @property {*|undefined} oldValue The old parsed value at the subscribed path.
+ * @property {*|undefined} newValue The new parsed value at the subscribed path.
+ * @property {import('../utils/functions').ValueChange[]} changes
+ * The changes that occurred in the parsed Duo state at or below the subscribed path.
+ */
 
-    for (const alphabet of payload.alphabets) {
-      if (isString(alphabet.explanationUrl)) {
-        hintsUrls.push(alphabet.explanationUrl);
-      }
+/**
+ * @param {Function} callback
+ * The function to be called with a DuoStateChange when the Duo state is changed.
+ * Note that because it is stored on the main domain, the Duo state is not available from e.g. the forum pages.
+ * @param {string|string[]|null} path
+ * The path of the part of the Duo state to watch, either as a list of keys or as a string of dot-separated keys
+ * (e.g. "user.streak"). If a path is given, the callback will only be called when the corresponding value changes.
+ * @returns {Function} A function usable to stop being notified of Duo state changes.
+ */
+export const onDuoStateChanged = (callback, path = null) => {
+  const pathKeys = getPathKeys(path);
 
-      if (isArray(alphabet.explanationListing?.groups)) {
-        hintsUrls.push(
-          ...alphabet.explanationListing.groups
-            .flatMap(it?.tips)
-            .map(it?.url)
-            .filter(isString)
-        );
+  return registerDerivedEventListener(
+    EVENT_TYPE_DUO_STATE_CHANGED,
+    EVENT_TYPE_STORAGE_ITEM_CHANGED,
+    ({ oldState, newState, oldParsed, newParsed, changes }) => {
+      const pathChanges = changes.filter(({ path: changePath }) => (
+        isPathPrefixedBy(changePath, pathKeys) || isPathPrefixedBy(pathKeys, changePath)
+      ));
+
+      if (pathChanges.length > 0) {
+        callback({
+          oldState,
+          newState,
+          path: pathKeys,
+          oldValue: getValueAtPath(oldParsed, pathKeys),
+          newValue: getValueAtPath(newParsed, pathKeys),
+          changes: pathChanges,
+        });
+      }
+    },
+    ({ key, oldValue: oldState = null, newValue: newState = null }) => {
+      if ((key !== 'duo.state') || (oldState === newState)) {
+        return null;
       }
-    }
 
-    if (hintsUrls.length > 0) {
-      registerAdditionalUrlEvents(EVENT_TYPE_ALPHABET_HINTS_LOADED, hintsUrls, languages);
-    }
-  }
+      const oldParsed = parseDuoState(oldState);
+      const newParsed = parseDuoState(newState);
+
+      return [ { oldState, newState, oldParsed, newParsed, changes: diffValues(oldParsed, newParsed) } ];
+    },
+    registerStorageEventListener(_2, _3)
+  );
 };
 
 /**
- * @param {object} payload The response payload.
- * @param {object} languages Language data from the original alphabets request.
- * @returns {void}
+ * @type {string}
  */
-const registerAlphabetHintsSoundsData = (payload, languages) => {
-  if (isArray(payload?.elements) && isString(languages?.toLanguage)) {
-    const tokenSounds = payload.elements
-      .map(it?.element)
-      .flatMap(it?.tokenTTS?.tokenTTSCollection);
+const KEY_PAGE_OBSERVER = 'page_observer';
 
-    tokenSounds.push(
-      ...payload.elements
-        .map(it?.element)
-        .flatMap(it?.cells)
-        .flat()
-        .flatMap(it?.tokenTTS?.tokenTTSCollection)
-    );
+/**
+ * The minimum delay between two page update events, in milliseconds.
+ * @type {number}
+ */
+const PAGE_UPDATE_THROTTLING_DELAY = 50;
 
-    registerSoundsData(
-      tokenSounds
-        .map(it?.ttsURL)
-        .filter(isString)
-        .map(getNormalMorphemeSoundData(_, languages.toLanguage))
-    );
-  }
-};
+/**
+ * @type {number|null}
+ */
+let pageUpdateTimeout = null;
 
 /**
- * @param {object} discussion A forum discussion.
+ * Schedules the dispatch of a page update event, unless one is already pending.
  * @returns {void}
  */
-const registerForumDiscussionSoundsData = discussion => {
-  isString(discussion?.tts_url)
-  && registerSoundsData([ getNormalSentenceSoundData(discussion.tts_url, discussion.sentence_language) ])
+const schedulePageUpdate = () => {
+  if (null === pageUpdateTimeout) {
+    pageUpdateTimeout = setTimeout(() => {
+      pageUpdateTimeout = null;
+      dispatchEvent(EVENT_TYPE_PAGE_UPDATED);
+    }, PAGE_UPDATE_THROTTLING_DELAY);
+  }
 };
 
 /**
- * @param {object} element A guidebook element.
- * @param {string} language The language the user is learning.
- * @returns {SoundData[]} The sounds data for the given guidebook element.
+ * Registers the observers required for detecting page updates, if necessary.
+ *
+ * Page updates include DOM changes as well as navigations within the single-page application.
+ * @returns {void}
  */
-const getGuidebookElementSoundsData = (element, language) => {
-  const elementSounds = [];
-  const sentenceTts = element.ttsURL;
-
-  if (isString(sentenceTts)) {
-    elementSounds.push(
-      getNormalSentenceSoundData(sentenceTts, language)
-    );
+const registerPageObserver = () => {
+  if (isObject(getSharedGlobalVariable(KEY_PAGE_OBSERVER))) {
+    return;
   }
 
-  return elementSounds.concat(
-    [
-      element.tokenTTS?.tokenTTSCollection || [],
-      element.text?.tokenTTS?.tokenTTSCollection || [],
-      element.subtext?.tokenTTS?.tokenTTSCollection || [],
-    ].flat()
-      .filter(isObject)
-      .map(it?.ttsURL)
-      .filter(lift(isString(_) && (_ !== sentenceTts)))
-      .map(getNormalWordSoundData(_, language))
-  );
+  [ 'pushState', 'replaceState' ].forEach(methodName => (
+    overrideInstanceMethod('History', methodName, originalMethod => function (...args) {
+      const result = originalMethod.apply(this, args);
+      schedulePageUpdate();
+      return result;
+    })
+  ));
+
+  const mutationObserver = new MutationObserver(schedulePageUpdate);
+
+  mutationObserver.observe(document.documentElement, {
+    attributes: true,
+    attributeFilter: [ 'class', 'data-test' ],
+    childList: true,
+    subtree: true,
+  });
+
+  window.addEventListener('popstate', schedulePageUpdate);
+
+  setSharedGlobalVariable(KEY_PAGE_OBSERVER, {
+    disconnect: () => {
+      mutationObserver.disconnect();
+      window.removeEventListener('popstate', schedulePageUpdate);
+    },
+  });
+
+  schedulePageUpdate();
 };
 
 /**
- * @param {object} guidebook A guidebook.
- * @param {object} languages Language data from the guidebook request.
+ * Disconnects the page observer if there is no listener left for page updates.
  * @returns {void}
  */
-export const registerGuidebookSoundsData = (guidebook, languages) => {
-  if (isArray(guidebook?.elements) && isString(languages?.toLanguage)) {
-    registerSoundsData(
-      guidebook.elements
-        .flatMap(({ element }) => (
-          isObject(element)
-          && [ element ]
-            .concat(element.phrases || [])
-            .concat(element.examples || [])
-        ))
-        .filter(isObject)
-        .flatMap(getGuidebookElementSoundsData(_, languages.toLanguage))
-    );
+const unregisterUnusedPageObserver = () => {
+  const observer = getSharedGlobalVariable(KEY_PAGE_OBSERVER);
+
+  if (isObject(observer) && !hasEventListeners(EVENT_TYPE_PAGE_UPDATED)) {
+    observer.disconnect();
+    setSharedGlobalVariable(KEY_PAGE_OBSERVER, null);
   }
 };
 
 /**
- * Registers the event listeners required for detecting the sounds used for TTS sentences and words, if necessary.
- * @returns {void}
+ * @param {string} event The page update event type.
+ * @param {Function} callback The function to be called when the page is updated.
+ * @param {string=} listenerId The listener ID.
+ * @returns {Function} A function usable to unregister the listener.
  */
-const registerSoundDetectionListeners = () => {
-  const listenersVersion = Number(getSharedGlobalVariable(KEY_SOUND_DETECTION_LISTENERS_VERSION));
-  const isDetectionActive = !!getSharedGlobalVariable(KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS);
-  const isDetectionUpToDate = SOUND_DETECTION_LISTENERS_VERSION <= (listenersVersion || 0);
+const registerPageUpdateListener = (event, callback, listenerId = getUniqueEventListenerId()) => {
+  registerPageObserver();
 
-  if (!isDetectionActive || !isDetectionUpToDate) {
-    if (!isDetectionUpToDate) {
-      unregisterUnusedSoundDetectionListeners();
-    }
+  const unregisterListener = registerEventListener(event, callback, listenerId);
 
-    setSharedGlobalVariable(
-      KEY_SOUND_DETECTION_LISTENERS_VERSION,
-      SOUND_DETECTION_LISTENERS_VERSION
-    );
+  return () => {
+    unregisterListener();
+    unregisterUnusedPageObserver();
+  };
+};
 
-    setSharedGlobalVariable(
-      KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS,
-      [
-        onStoryLoaded(registerStorySoundsData(_)),
-        onAlphabetsLoaded(registerAlphabetsSoundsData(_, _)),
-        onAlphabetHintsLoaded(registerAlphabetHintsSoundsData(_, _)),
-        onForumDiscussionLoaded(registerForumDiscussionSoundsData(_)),
-        onGuidebookLoaded(registerGuidebookSoundsData(_, _)),
-        onPracticeChallengesLoaded(registerPracticeChallengesSoundsData(_.challenges)),
-      ]
-    );
-  }
+/**
+ * @type {string}
+ */
+const KEY_LAST_CONTEXT = 'last_context';
+
+/**
+ * @param {Function} callback
+ * The function to be called with the previous and current contexts (as "previous" and "current")
+ * when the context changes, including the type of the current challenge and its result.
+ * @returns {Function} A function usable to stop being notified of context changes.
+ */
+export const onContextChanged = callback => {
+  const unregisterDerivedListener = registerDerivedEventListener(
+    EVENT_TYPE_CONTEXT_CHANGED,
+    EVENT_TYPE_PAGE_UPDATED,
+    callback,
+    () => {
+      const previous = getSharedGlobalVariable(KEY_LAST_CONTEXT);
+      const current = getCurrentContext();
+
+      setSharedGlobalVariable(KEY_LAST_CONTEXT, current);
+
+      // The first context that is detected only serves as a reference.
+      return isObject(previous)
+        && (JSON.stringify(previous) !== JSON.stringify(current))
+        && [ { previous, current } ];
+    },
+    registerPageUpdateListener
+  );
+
+  return () => {
+    unregisterDerivedListener();
+
+    if (!hasEventListeners(EVENT_TYPE_CONTEXT_CHANGED)) {
+      // Start from a new reference context when listeners are registered again.
+      setSharedGlobalVariable(KEY_LAST_CONTEXT, null);
+      unregisterUnusedPageObserver();
+    }
+  };
 };
 
 /**
- * Unregisters the event listeners dedicated to detecting the sounds used for TTS sentences and words,
- * if all the listeners for sound playback events have also been unregistered.
- * @returns {void}
+ * @type {string[]}
  */
-const unregisterUnusedSoundDetectionListeners = () => {
-  const unregistrationCallbacks = getSharedGlobalVariable(KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS);
+const CHALLENGE_LIFECYCLE_EVENT_TYPES = [
+  EVENT_TYPE_CHALLENGE_SHOWN,
+  EVENT_TYPE_CHALLENGE_ANSWER_SUBMITTED,
+  EVENT_TYPE_CHALLENGE_RESULT,
+  EVENT_TYPE_CHALLENGE_SKIPPED,
+];
+
+/**
+ * @type {string}
+ */
+const KEY_SESSION_CHALLENGES = 'session_challenges';
+
+/**
+ * @type {string}
+ */
+const KEY_CHALLENGE_LIFECYCLE_STATE = 'challenge_lifecycle_state';
+
+/**
+ * @type {string}
+ */
+const KEY_CHALLENGE_LIFECYCLE_OBSERVER = 'challenge_lifecycle_observer';
+
+/**
+ * @typedef {object} ChallengeLifecycleState
+ * @property {Element|null} element The wrapper of the current challenge, if any.
+ * @property {string|null} challengeType The type of the current challenge.
+ * @property {string} result The result of the current challenge.
+ * @property {string} resultConfidence The confidence level of the detection of the result of the current challenge.
+ * @property {string|null} resultSignal The signal that decided the result of the current challenge, if any.
+ * @property {{[key: string]: string}} resultSignals The results of the current challenge given by each signal.
+ * @property {string} displayedResult The result of the current challenge, as currently displayed by the result banner.
+ * @property {number} position The position of the current challenge in the order of presentation.
+ * @property {object|null} challenge The raw data of the current challenge, if it could be found.
+ * @property {number|null} challengeIndex The index of the current challenge in the loaded session data, if any.
+ * @property {number[]} shownIndices The indices of the challenges that have been shown during the current session.
+ * @property {boolean} isSubmitted Whether an answer has been submitted for the current challenge.
+ * @property {boolean} isSkipped Whether the current challenge has been skipped.
+ */
+
+/**
+ * @returns {ChallengeLifecycleState} A blank state, for when no challenge has been shown yet.
+ */
+const getBaseChallengeLifecycleState = () => ({
+  element: null,
+  challengeType: null,
+  result: RESULT_NONE,
+  resultConfidence: RESULT_CONFIDENCE_NONE,
+  resultSignal: null,
+  resultSignals: {},
+  displayedResult: RESULT_NONE,
+  position: -1,
+  challenge: null,
+  challengeIndex: null,
+  shownIndices: [],
+  isSubmitted: false,
+  isSkipped: false,
+});
+
+/**
+ * @returns {ChallengeLifecycleState} The current state of the challenge lifecycle.
+ */
+const getChallengeLifecycleState = () => {
+  let state = getSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_STATE);
 
-  if (
-    isArray(unregistrationCallbacks)
-    && !hasEventListeners(EVENT_TYPE_SOUND_INITIALIZED)
-    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_REQUESTED)
-    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_CANCELLED)
-    && !hasEventListeners(EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED)
-  ) {
-    unregistrationCallbacks.forEach(it());
-    setSharedGlobalVariable(KEY_SOUND_DETECTION_LISTENERS_VERSION, null);
-    setSharedGlobalVariable(KEY_SOUND_DETECTION_UNREGISTRATION_CALLBACKS, null);
+  if (!isObject(state)) {
+    state = getBaseChallengeLifecycleState();
+    setSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_STATE, state);
   }
+
+  return state;
 };
 
 /**
- * @param {*} sound A sound object, whose type depends on the playback strategy.
- * @param {string} url The sound URL.
- * @param {string} playbackStrategy The strategy used for playing the sound.
- * @returns {object} The payload usable for events related to the given sound.
+ * @typedef {object} ChallengeEventPayload
+ * @property {string|null} challengeType The type of the challenge.
+ * @property {object|null} challenge The raw data of the challenge, if it could be found in the loaded session data.
+ * @property {number|null} challengeIndex The index of the challenge in the loaded session data, if any.
+ * @property {number} position The position of the challenge in the order of presentation, starting at 0.
+ * @property {string} result The result of the challenge.
+ * @property {string} resultConfidence The confidence level of the detection of the result.
+ * @property {string|null} resultSignal The signal that decided the result, if any.
+ * @property {boolean} isSkipped Whether the challenge was skipped.
+ * @property {Element|null} element The wrapper of the challenge.
+ */
+
+/**
+ * @param {ChallengeLifecycleState} state A challenge lifecycle state.
+ * @returns {ChallengeEventPayload} The payload usable for challenge events corresponding to the given state.
+ */
+const getChallengeEventPayload = state => ({
+  challengeType: state.challengeType,
+  challenge: state.challenge,
+  challengeIndex: state.challengeIndex,
+  position: state.position,
+  result: state.result,
+  resultConfidence: state.resultConfidence,
+  resultSignal: state.resultSignal,
+  isSkipped: state.isSkipped,
+  element: state.element,
+});
+
+/**
+ * @param {object} challenge A raw challenge.
+ * @returns {string|null} The text of the statement of the given challenge, if any.
  */
-const getSoundEventPayload = (sound, url, playbackStrategy) => {
-  const soundData = getSoundData(getUrlPath(url));
+const getChallengePromptText = challenge => {
+  const parsed = parseChallenge(challenge);
 
-  return {
-    url,
-    type: soundData?.type || SOUND_TYPE_UNKNOWN,
-    speed: soundData?.speed || SOUND_SPEED_NORMAL,
-    language: soundData?.language,
-    playbackStrategy,
-    sound,
-  };
+  return !parsed.isSupported
+    ? null
+    : (parsed.prompt || parsed.promptTokens.map(it.text).join('').trim() || null);
 };
 
 /**
- * @param {*} sound The sound to be played, whose type depends on the playback strategy.
- * @param {string} url The sound URL.
- * @param {string} playbackStrategy The strategy used for playing the sound.
- * @param {Function} play A callback usable to trigger the sound playback.
- * @returns {*|null} The result of calling the playback callback, or null if it was cancelled.
+ * Finds the raw data corresponding to a challenge that has just been shown,
+ * based on its type, its statement, and the challenges that were already shown.
+ * @param {string|null} challengeType The type of the challenge.
+ * @param {Element} element The wrapper of the challenge.
+ * @param {ChallengeLifecycleState} state The current state of the challenge lifecycle.
+ * @returns {{ challenge: object|null, challengeIndex: number|null }} The matching raw challenge, if any.
  */
-const processSoundPlayback = (sound, url, playbackStrategy, play) => {
-  const payload = getSoundEventPayload(sound, url, playbackStrategy);
+const findSessionChallenge = (challengeType, element, state) => {
+  const challenges = getSharedGlobalVariable(KEY_SESSION_CHALLENGES)?.challenges || [];
+  const elementText = String(element?.textContent || '');
+  const lastIndex = (null === state.challengeIndex) ? -1 : state.challengeIndex;
 
-  let isCancelled = false;
+  let bestScore = -1;
+  let challengeIndex = null;
 
-  try {
-    isCancelled = dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_REQUESTED, payload)?.some(false === it);
+  challenges.forEach((challenge, index) => {
+    if (getChallengeType(challenge) !== challengeType) {
+      return;
+    }
 
-    if (!isCancelled) {
-      dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED, payload);
-    } else {
-      dispatchEvent(EVENT_TYPE_SOUND_PLAYBACK_CANCELLED, payload);
+    const promptText = getChallengePromptText(challenge);
+
+    const score = ((promptText && elementText.includes(promptText)) ? 4 : 0)
+      + ((state.shownIndices.indexOf(index) === -1) ? 2 : 0)
+      + ((index > lastIndex) ? 1 : 0);
+
+    if (score > bestScore) {
+      bestScore = score;
+      challengeIndex = index;
     }
-  } catch (error) {
-    logError(error, `Could not handle playback for sound "${url}" (using "${playbackStrategy}"): `);
-  }
+  });
 
-  return isCancelled ? null : play();
+  return {
+    challenge: (null === challengeIndex) ? null : challenges[challengeIndex],
+    challengeIndex,
+  };
 };
 
 /**
- * @param {Function} callback The function to be called when a sound is initialized
- * @returns {Function} A function usable to stop being notified of newly initialized sounds.
+ * The delay during which other result signals are awaited after a first one is received, in milliseconds.
+ * @type {number}
  */
-export const onSoundInitialized = callback => {
-  overrideInstanceMethod('Howl', 'init', originalHowlInit => function (config) {
-    setSharedGlobalVariable(KEY_IS_HOWLER_USED, true);
+const RESULT_SIGNALS_SETTLING_DELAY = 250;
 
-    const result = originalHowlInit.call(this, config);
-    const soundUrl = String(this._src || this._parent?._src || '').trim();
+/**
+ * @type {number|null}
+ */
+let challengeResultTimeout = null;
 
-    if ('' !== soundUrl) {
-      dispatchEvent(
-        EVENT_TYPE_SOUND_INITIALIZED,
-        getSoundEventPayload(this, soundUrl, SOUND_PLAYBACK_STRATEGY_HOWLER)
-      );
-    }
+/**
+ * Decides on the result of the current challenge based on the signals received so far,
+ * and dispatches the relevant lifecycle events if it is the first time a result is detected.
+ * @returns {void}
+ */
+const resolveCurrentChallengeResult = () => {
+  const state = getChallengeLifecycleState();
+  const { result, confidence, signal } = resolveChallengeResult(state.resultSignals);
 
-    return result;
+  if (!state.element || (RESULT_NONE === result)) {
+    return;
+  }
+
+  const isNewResult = (RESULT_NONE === state.result);
+
+  Object.assign(state, {
+    result,
+    resultConfidence: confidence,
+    resultSignal: signal,
   });
 
-  registerSoundDetectionListeners();
+  if (isNewResult) {
+    if (!state.isSubmitted) {
+      // The answer was submitted by some means that we could not detect.
+      state.isSubmitted = true;
+      dispatchEvent(EVENT_TYPE_CHALLENGE_ANSWER_SUBMITTED, getChallengeEventPayload(state));
+    }
 
-  const unregisterDerived = registerEventListener(EVENT_TYPE_SOUND_INITIALIZED, callback);
+    dispatchEvent(EVENT_TYPE_CHALLENGE_RESULT, getChallengeEventPayload(state));
+  }
+};
 
-  return () => {
-    unregisterDerived();
-    unregisterUnusedSoundDetectionListeners();
-  };
+/**
+ * Records the result of the current challenge given by some signal,
+ * and schedules the resolution of the final result, unless one is already pending.
+ * @param {string} signal A result signal.
+ * @param {string} result The result given by the signal.
+ * @returns {void}
+ */
+const registerChallengeResultSignal = (signal, result) => {
+  const state = getChallengeLifecycleState();
+
+  if (!state.element || (state.resultSignals[signal] === result)) {
+    return;
+  }
+
+  state.resultSignals[signal] = result;
+
+  if (RESULT_NONE !== state.result) {
+    // The result was already dispatched: only keep the confidence level up-to-date.
+    resolveCurrentChallengeResult();
+  } else if (null === challengeResultTimeout) {
+    challengeResultTimeout = setTimeout(() => {
+      challengeResultTimeout = null;
+      resolveCurrentChallengeResult();
+    }, RESULT_SIGNALS_SETTLING_DELAY);
+  }
 };
 
 /**
- * @param {string} event A type of sound playback event.
- * @param {Function} callback The function to be called with the event payload when a matching event is dispatched.
- * @returns {Function} A function usable to unregister the listener.
+ * Compares the current challenge screen with the last known state, and dispatches the relevant lifecycle events.
+ * @returns {void}
  */
-const registerSoundPlaybackEventListener = (event, callback) => {
-  overrideInstanceMethod('Howl', 'play', originalHowlPlay => function (id) {
-    setSharedGlobalVariable(KEY_IS_HOWLER_USED, true);
+const checkChallengeLifecycle = () => {
+  const state = getChallengeLifecycleState();
+  const context = getCurrentContext();
 
-    const soundUrl = String(this._src || this._parent?._src || '').trim();
+  if (CONTEXT_CHALLENGE !== context.type) {
+    state.element = null;
+    return;
+  }
 
-    if ('' !== soundUrl) {
-      return processSoundPlayback(
-        this,
-        soundUrl,
-        SOUND_PLAYBACK_STRATEGY_HOWLER,
-        () => originalHowlPlay.call(this, id)
-      );
-    }
+  const element = getChallengeWrapper();
+  const displayedSignals = getDisplayedChallengeResultSignals();
+  const displayedResult = displayedSignals[RESULT_SIGNAL_RESULT_BANNER];
 
-    return originalHowlPlay.call(this, id);
-  });
+  if (
+    (element !== state.element)
+    || (context.challengeType !== state.challengeType)
+    || ((RESULT_NONE !== state.displayedResult) && (RESULT_NONE === displayedResult))
+  ) {
+    Object.assign(
+      state,
+      {
+        element,
+        challengeType: context.challengeType,
+        result: RESULT_NONE,
+        resultConfidence: RESULT_CONFIDENCE_NONE,
+        resultSignal: null,
+        resultSignals: {},
+        displayedResult: RESULT_NONE,
+        position: state.position + 1,
+        isSubmitted: false,
+        isSkipped: false,
+      },
+      findSessionChallenge(context.challengeType, element, state)
+    );
 
-  registerSoundDetectionListeners();
+    if (null !== state.challengeIndex) {
+      state.shownIndices.push(state.challengeIndex);
+    }
 
-  const unregisterDerived = registerEventListener(event, callback);
+    dispatchEvent(EVENT_TYPE_CHALLENGE_SHOWN, getChallengeEventPayload(state));
+  }
 
-  return () => {
-    unregisterDerived();
-    unregisterUnusedSoundDetectionListeners();
-  };
+  state.displayedResult = displayedResult;
+
+  // Live regions may still hold the announcement for the previous challenge until an answer is submitted.
+  if (state.isSubmitted || (RESULT_NONE !== displayedResult)) {
+    Object.entries(displayedSignals)
+      .filter(([ , result ]) => (RESULT_NONE !== result))
+      .forEach(([ signal, result ]) => registerChallengeResultSignal(signal, result));
+  }
 };
 
 /**
- * @type {Function}
- * @param {Function} callback
- * The function to be called with the corresponding sound data when a playback is requested.
- * If this function returns false, the sound playback will be cancelled.
- * @returns {Function} A function usable to stop being notified of sound playback requests.
+ * @param {Element|null} button A button.
+ * @returns {boolean} Whether the given button exists, and is enabled.
  */
-export const onSoundPlaybackRequested = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_REQUESTED, _);
+const isButtonEnabled = button => (
+  (button instanceof Element)
+  && !button.disabled
+  && ('true' !== button.getAttribute('aria-disabled'))
+);
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the corresponding sound data when a playback is cancelled.
- * @returns {Function} A function usable to stop being notified of sound playback cancellations.
+ * Handles the UI events that may correspond to the submission of an answer, or to the skipping of a challenge.
+ * @param {Event} event A "click" or "keydown" UI event.
+ * @returns {void}
  */
-export const onSoundPlaybackCancelled = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_CANCELLED, _);
+const handleChallengeUiEvent = event => {
+  const state = getChallengeLifecycleState();
+
+  if (!state.element || (RESULT_NONE !== state.result) || state.isSubmitted) {
+    return;
+  }
+
+  let eventType = null;
+
+  if ('keydown' === event.type) {
+    if (
+      ('Enter' === event.key)
+      && !event.isComposing
+      && isButtonEnabled(queryElement(ELEMENT_CHECK_BUTTON))
+    ) {
+      eventType = EVENT_TYPE_CHALLENGE_ANSWER_SUBMITTED;
+    }
+  } else if (event.target instanceof Element) {
+    const checkButton = queryElement(ELEMENT_CHECK_BUTTON);
+    const skipButton = queryElement(ELEMENT_SKIP_BUTTON);
+
+    if (checkButton?.contains(event.target) && isButtonEnabled(checkButton)) {
+      eventType = EVENT_TYPE_CHALLENGE_ANSWER_SUBMITTED;
+    } else if (skipButton?.contains(event.target) && isButtonEnabled(skipButton)) {
+      eventType = EVENT_TYPE_CHALLENGE_SKIPPED;
+    }
+  }
+
+  if (null !== eventType) {
+    state.isSubmitted = true;
+    state.isSkipped = (EVENT_TYPE_CHALLENGE_SKIPPED === eventType);
+    dispatchEvent(eventType, getChallengeEventPayload(state));
+  }
+};
 
 /**
- * @type {Function}
- * @param {Function} callback The function to be called with the corresponding sound data when a playback is confirmed.
- * @returns {Function} A function usable to stop being notified of sound playback confirmations.
+ * @param {object} payload The payload of a sound playback event.
+ * @returns {void}
  */
-export const onSoundPlaybackConfirmed = registerSoundPlaybackEventListener(EVENT_TYPE_SOUND_PLAYBACK_CONFIRMED, _);
+const handleChallengeResultSound = payload => {
+  const result = RESULT_SOUND_EFFECT_PATHS[getUrlPath(payload.url)];
+
+  if (result && (SOUND_TYPE_EFFECT === payload.type)) {
+    registerChallengeResultSignal(RESULT_SIGNAL_SOUND_EFFECT, result);
+  }
+};
 
 /**
- * @type {string}
+ * The format of the corresponding responses is not documented, hence several candidate fields are checked,
+ * and the resulting signal is only considered as a weak one.
+ * @param {*} payload The response data of a request made to save the progress of the current session.
+ * @returns {void}
  */
-const KEY_IS_UI_LOADED = 'is_ui_loaded';
+const handleSessionProgressSaved = payload => {
+  const isCorrect = [ payload?.correct, payload?.isCorrect, payload?.graded?.correct ]
+    .find(value => ('boolean' === typeof value));
+
+  if ('boolean' === typeof isCorrect) {
+    registerChallengeResultSignal(
+      RESULT_SIGNAL_SESSION_PROGRESS,
+      isCorrect ? RESULT_CORRECT : RESULT_INCORRECT
+    );
+  }
+};
 
 /**
- * @type {string}
+ * @param {object} payload The payload of an event for newly loaded challenges.
+ * @returns {void}
  */
-const KEY_IS_UI_LOADING_DETECTED = 'is_ui_loading_detected';
+const registerSessionChallenges = payload => {
+  setSharedGlobalVariable(KEY_SESSION_CHALLENGES, payload);
+  setSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_STATE, getBaseChallengeLifecycleState());
+};
 
 /**
- * @param {Function} callback The function to be called when the UI is fully loaded.
+ * Registers the observers required for detecting the lifecycle of challenges, if necessary.
  * @returns {void}
  */
-export const onUiLoaded = callback => {
-  if (getSharedGlobalVariable(KEY_IS_UI_LOADED)) {
-    setTimeout(callback);
+const registerChallengeLifecycleObserver = () => {
+  if (isObject(getSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_OBSERVER))) {
     return;
   }
 
-  if (!getSharedGlobalVariable(KEY_IS_UI_LOADING_DETECTED)) {
-    let cssLoadedPromise;
-
-    if (isArray(window.duo?.stylesheets)) {
-      cssLoadedPromise = new Promise(resolve => {
-        // Regularly check if any of the stylesheets has been loaded
-        // (the "stylesheets" array contain styles for both LTR and RTL directions).
-        const checkStylesheets = () => {
-          const isCssLoaded = Array.from(document.styleSheets)
-            .some(sheet => window.duo.stylesheets.some(href => String(sheet.href || '').indexOf(href) >= 0));
-
-          if (isCssLoaded) {
-            clearInterval(checkInterval);
-            resolve();
-          }
-        };
-
-        const checkInterval = setInterval(checkStylesheets, 1000);
+  const unregisterPageUpdateListener = registerPageUpdateListener(
+    EVENT_TYPE_PAGE_UPDATED,
+    checkChallengeLifecycle,
+    `__${EVENT_TYPE_PAGE_UPDATED}::challenge_lifecycle__`
+  );
 
-        checkStylesheets();
-      });
-    } else {
-      cssLoadedPromise = Promise.resolve();
-    }
+  document.addEventListener('click', handleChallengeUiEvent, true);
+  document.addEventListener('keydown', handleChallengeUiEvent, true);
 
-    const callback = () => cssLoadedPromise.then(() => {
-      setSharedGlobalVariable(KEY_IS_UI_LOADED, true);
-      dispatchEvent(EVENT_TYPE_UI_LOADED);
-    });
+  const unregisterChallengesListener = onPracticeChallengesLoaded(registerSessionChallenges);
+  const unregisterSoundListener = onSoundPlaybackRequested(handleChallengeResultSound);
 
-    if ((document.readyState === 'complete') || (document.readyState === 'interactive')) {
-      setTimeout(callback, 1);
-    } else {
-      document.addEventListener('DOMContentLoaded', callback);
-    }
-  }
+  const unregisterProgressListener = registerHttpRequestEventListener(
+    EVENT_TYPE_SESSION_PROGRESS_SAVED,
+    handleSessionProgressSaved
+  );
 
-  registerEventListener(EVENT_TYPE_UI_LOADED, callback);
+  setSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_OBSERVER, {
+    disconnect: () => {
+      unregisterPageUpdateListener();
+      document.removeEventListener('click', handleChallengeUiEvent, true);
+      document.removeEventListener('keydown', handleChallengeUiEvent, true);
+      unregisterChallengesListener();
+      unregisterSoundListener();
+      unregisterProgressListener();
+    },
+  });
 };
 
 /**
- * @type {string}
+ * Unregisters the observers dedicated to detecting the lifecycle of challenges,
+ * if all the listeners for challenge lifecycle events have been unregistered.
+ * @returns {void}
  */
-const KEY_HAS_STORAGE_EVENT_LISTENER = getUniqueKey('has_storage_event_listener');
+const unregisterUnusedChallengeLifecycleObserver = () => {
+  const observer = getSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_OBSERVER);
+
+  if (isObject(observer) && !CHALLENGE_LIFECYCLE_EVENT_TYPES.some(hasEventListeners)) {
+    observer.disconnect();
+    setSharedGlobalVariable(KEY_CHALLENGE_LIFECYCLE_OBSERVER, null);
+  }
+};
 
 /**
- * @param {Function} callback The function to be called with the relevant data when a storage item is changed.
- * @param {string=} listenerId A listener ID.
+ * @param {string} event A type of challenge lifecycle event.
+ * @param {Function} callback The function to be called with the event payload when a matching event is dispatched.
  * @returns {Function} A function usable to unregister the listener.
  */
-const registerStorageEventListener = (callback, listenerId = getUniqueEventListenerId()) => {
-  const iframe = getToolboxIframe();
-
-  if (!iframe[KEY_HAS_STORAGE_EVENT_LISTENER]) {
-    iframe[KEY_HAS_STORAGE_EVENT_LISTENER] = true;
+const registerChallengeLifecycleEventListener = (event, callback) => {
+  registerChallengeLifecycleObserver();
 
-    iframe.contentWindow.addEventListener('storage', event => (
-      dispatchEvent(EVENT_TYPE_DUO_STATE_CHANGED, {
-        key: event.key,
-        oldValue: event.oldValue,
-        newValue: event.newValue,
-      })
-    ));
-  }
+  const unregisterDerived = registerEventListener(event, callback);
 
-  return registerEventListener(EVENT_TYPE_STORAGE_ITEM_CHANGED, callback, listenerId);
+  return () => {
+    unregisterDerived();
+    unregisterUnusedChallengeLifecycleObserver();
+  };
 };
 
 /**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the corresponding challenge data when a challenge is shown.
+ * @returns {Function} A function usable to stop being notified of newly shown challenges.
+ */
+export const onChallengeShown = registerChallengeLifecycleEventListener(EVENT_TYPE_CHALLENGE_SHOWN, _);
+
+/**
+ * @type {Function}
  * @param {Function} callback
- * The function to be called with the old and new Duo state when it is changed.
- * Note that because it is stored on the main domain, the Duo state is not available from e.g. the forum pages.
- * @returns {Function} A function usable to stop being notified of Duo state changes.
+ * The function to be called with the corresponding challenge data when an answer to a challenge is submitted.
+ * @returns {Function} A function usable to stop being notified of answer submissions.
  */
-export const onDuoStateChanged = registerDerivedEventListener(
-  EVENT_TYPE_DUO_STATE_CHANGED,
-  EVENT_TYPE_STORAGE_ITEM_CHANGED,
-  _,
-  ({ key, oldValue: oldState = null, newValue: newState = null }) => (key === 'duo.state') && ({ oldState, newState }),
-  registerStorageEventListener(_2, _3)
+export const onChallengeAnswerSubmitted = registerChallengeLifecycleEventListener(
+  EVENT_TYPE_CHALLENGE_ANSWER_SUBMITTED,
+  _
 );
+
+/**
+ * @type {Function}
+ * @param {Function} callback
+ * The function to be called with the corresponding challenge data when the result of a challenge is shown.
+ * @returns {Function} A function usable to stop being notified of challenge results.
+ */
+export const onChallengeResult = registerChallengeLifecycleEventListener(EVENT_TYPE_CHALLENGE_RESULT, _);
+
+/**
+ * @type {Function}
+ * @param {Function} callback The function to be called with the corresponding challenge data when a challenge is skipped.
+ * @returns {Function} A function usable to stop being notified of skipped challenges.
+ */
+export const onChallengeSkipped = registerChallengeLifecycleEventListener(EVENT_TYPE_CHALLENGE_SKIPPED, _);
+
+/**
+ * @type {string}
+ */
+const LEAGUE_TIER_LISTENER_ID = '__league_tier__';
+
+// League names are localized, so that the tier of the league of the current user can only be read from the data
+// returned by the leaderboard API. The data must be watched from the start for getCurrentContext() to know the tier.
+registerHttpRequestEventListener(EVENT_TYPE_LEADERBOARD_DATA_LOADED, trackCurrentLeagueTier, LEAGUE_TIER_LISTENER_ID);
@@ -0,0 +1,461 @@
+import { cartesianProduct, isArray, isObject, isString, minBy } from '../utils/functions';
+import { getChallengeTargetLanguage, parseChallenge, RESULT_CORRECT, RESULT_INCORRECT } from './challenges';
+import { getLanguageMetadata, WORD_SPLITTING_MODE_SPACES } from './courses';
+
+/**
+ * The maximum number of candidate answers that can be generated from a single compact translation.
+ * @type {number}
+ */
+const MAX_EXPANDED_TRANSLATIONS = 1000;
+
+/**
+ * @typedef {object} NormalizationOptions
+ * @property {boolean} ignoreCase Whether differences in case should be ignored.
+ * @property {boolean} ignorePunctuation Whether punctuation should be ignored.
+ * @property {boolean} ignoreDiacritics Whether answers differing only by their diacritics should be accepted.
+ * @property {boolean} ignoreSpaces
+ * Whether spaces should be entirely ignored (e.g. for languages that do not separate words).
+ * Otherwise, consecutive whitespace characters are always collapsed.
+ * @property {number} maxTyposPerWord The maximum number of typos that are tolerated in each word.
+ * @property {number} minTypoWordLength The minimum length of words in which typos are tolerated.
+ * @property {string|null} locale The locale to use for case conversions, if any.
+ */
+
+/**
+ * @type {NormalizationOptions}
+ */
+const DEFAULT_NORMALIZATION_OPTIONS = {
+  ignoreCase: true,
+  ignorePunctuation: true,
+  ignoreDiacritics: true,
+  ignoreSpaces: false,
+  maxTyposPerWord: 1,
+  minTypoWordLength: 4,
+  locale: null,
+};
+
+/**
+ * The writing systems in which diacritics are an integral part of the characters.
+ * For example, voicing marks (e.g. "で" vs "て") are decomposed into combining characters, but distinguish kana.
+ * @type {string[]}
+ */
+const WRITING_SYSTEMS_WITH_SIGNIFICANT_DIACRITICS = [ 'Hira', 'Kana' ];
+
+/**
+ * The normalization options of the languages that differ from the ones derived from the language metadata.
+ * @type {{[key: string]: object}}
+ */
+const LANGUAGE_NORMALIZATION_OPTIONS = {
+  // Each Hangul syllable block is a single character, so that any typo changes a whole syllable.
+  ko: {
+    maxTyposPerWord: 0,
+  },
+  // Tone marks distinguish words in Vietnamese.
+  vi: {
+    ignoreDiacritics: false,
+  },
+};
+
+/**
+ * @param {string|null} language A language tag.
+ * @returns {object} The normalization options that differ from the default ones for the given language.
+ */
+const getLanguageNormalizationOptions = language => {
+  const { wordSplittingMode, writingSystems } = getLanguageMetadata(language);
+  const options = {};
+
+  // Typos can not be told apart from other words when words are not separated.
+  if (WORD_SPLITTING_MODE_SPACES !== wordSplittingMode) {
+    options.ignoreSpaces = true;
+    options.maxTyposPerWord = 0;
+  }
+
+  if (writingSystems.some(system => WRITING_SYSTEMS_WITH_SIGNIFICANT_DIACRITICS.includes(system))) {
+    options.ignoreDiacritics = false;
+  }
+
+  return {
+    ...options,
+    ...(
+      LANGUAGE_NORMALIZATION_OPTIONS[language]
+      || LANGUAGE_NORMALIZATION_OPTIONS[String(language).split('-')[0]]
+      || {}
+    ),
+  };
+};
+
+/**
+ * @param {string|null} language A language tag.
+ * @param {object=} overrides The options to use instead of the default ones.
+ * @returns {NormalizationOptions} The normalization options to use for answers in the given language.
+ */
+export const getNormalizationOptions = (language, overrides = {}) => ({
+  ...DEFAULT_NORMALIZATION_OPTIONS,
+  ...(isString(language) ? { locale: language } : {}),
+  ...getLanguageNormalizationOptions(language),
+  ...overrides,
+});
+
+/**
+ * @param {string} value A string.
+ * @returns {string} The given string, without diacritics.
+ */
+const removeDiacritics = value => value.normalize('NFD').replace(/\p{M}/gu, '').normalize('NFC');
+
+/**
+ * @param {string} value A string.
+ * @param {string|null} locale The locale to use for the conversion, if any.
+ * @returns {string} The given string, lower-cased.
+ */
+const toLowerCase = (value, locale) => {
+  if (isString(locale)) {
+    try {
+      return value.toLocaleLowerCase(locale);
+    } catch (error) {
+      // The locale is not supported.
+    }
+  }
+
+  return value.toLowerCase();
+};
+
+/**
+ * @param {string} value An answer or a solution.
+ * @param {NormalizationOptions} options The normalization options.
+ * @param {boolean} keepDiacritics Whether diacritics should be preserved, regardless of the options.
+ * @returns {string} The normalized value.
+ */
+const normalizeValue = (value, options, keepDiacritics = false) => {
+  let normalized = value.normalize('NFC');
+
+  if (options.ignoreCase) {
+    normalized = toLowerCase(normalized, options.locale);
+  }
+
+  if (options.ignorePunctuation) {
+    // Dashes usually separate words, while other punctuation marks (e.g. apostrophes) usually do not.
+    normalized = normalized.replace(/\p{Pd}/gu, ' ').replace(/\p{P}/gu, '');
+  }
+
+  if (options.ignoreDiacritics && !keepDiacritics) {
+    normalized = removeDiacritics(normalized);
+  }
+
+  return options.ignoreSpaces
+    ? normalized.replace(/\s+/g, '')
+    : normalized.replace(/\s+/g, ' ').trim();
+};
+
+/**
+ * @param {string} value An answer or a solution.
+ * @param {string|null} language The language of the value.
+ * @param {object=} options The normalization options to use instead of the default ones for the language.
+ * @returns {string} The normalized value, as used for comparing answers and solutions.
+ */
+export const normalizeAnswer = (value, language, options = {}) => (
+  normalizeValue(String(value), getNormalizationOptions(language, options))
+);
+
+/**
+ * Expands a compact translation into the full list of translations that it stands for.
+ *
+ * Compact translations use bracketed groups of slash-separated alternatives, such as "[I am/I'm] [a/one] boy.".
+ * Empty alternatives are allowed, and denote optional parts.
+ * @param {string} translation A compact translation.
+ * @returns {string[]} The corresponding translations.
+ */
+export const expandCompactTranslation = translation => {
+  const parts = [];
+  const groupRegExp = /\[([^\]]*)\]/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = groupRegExp.exec(translation))) {
+    parts.push([ translation.slice(lastIndex, match.index) ]);
+    parts.push(match[1].split('/'));
+    lastIndex = groupRegExp.lastIndex;
+  }
+
+  parts.push([ translation.slice(lastIndex) ]);
+
+  // Only keep the first alternative of the last groups if there would be too many combinations.
+  let combinationCount = 1;
+
+  const boundedParts = parts.map(alternatives => {
+    if (combinationCount * alternatives.length > MAX_EXPANDED_TRANSLATIONS) {
+      return alternatives.slice(0, 1);
+    }
+
+    combinationCount *= alternatives.length;
+
+    return alternatives;
+  });
+
+  return Array.from(
+    new Set(
+      cartesianProduct(boundedParts)
+        .map(combination => combination.join('').replace(/\s+/g, ' ').trim())
+        .filter(value => '' !== value)
+    )
+  );
+};
+
+/**
+ * @param {object} challenge A raw challenge.
+ * @returns {string[]} All the solutions accepted for the given challenge.
+ */
+export const getChallengeSolutions = challenge => {
+  const solutions = [];
+
+  if (isObject(challenge)) {
+    if (isArray(challenge.compactTranslations)) {
+      solutions.push(...challenge.compactTranslations.filter(isString).flatMap(expandCompactTranslation));
+    }
+
+    const parsed = parseChallenge(challenge);
+
+    if (parsed.isSupported) {
+      solutions.push(...parsed.solutions);
+    }
+  }
+
+  return Array.from(new Set(solutions));
+};
+
+/**
+ * @type {string}
+ */
+export const DIFF_TYPE_EQUAL = 'equal';
+
+/**
+ * The type of diff segments that are present in the solution, but missing from the answer.
+ * @type {string}
+ */
+export const DIFF_TYPE_MISSING = 'missing';
+
+/**
+ * The type of diff segments that are present in the answer, but not in the solution.
+ * @type {string}
+ */
+export const DIFF_TYPE_EXTRA = 'extra';
+
+/**
+ * @typedef {object} DiffSegment
+ * @property {string} type The type of the segment.
+ * @property {string} value The characters making up the segment.
+ */
+
+/**
+ * @param {string[]} source The characters of a string.
+ * @param {string[]} target The characters of another string.
+ * @param {boolean} allowTranspositions Whether the transposition of two adjacent characters counts as a single edit.
+ * @returns {number[][]} The edit distance matrix between the prefixes of the two strings.
+ */
+const getDistanceMatrix = (source, target, allowTranspositions = false) => {
+  const matrix = [];
+
+  for (let i = 0; i <= source.length; i++) {
+    matrix.push([ i ]);
+
+    for (let j = 1; j <= target.length; j++) {
+      let distance = j;
+
+      if (i > 0) {
+        distance = Math.min(
+          matrix[i - 1][j] + 1,
+          matrix[i][j - 1] + 1,
+          matrix[i - 1][j - 1] + ((source[i - 1] === target[j - 1]) ? 0 : 1)
+        );
+
+        if (
+          allowTranspositions
+          && (i > 1)
+          && (j > 1)
+          && (source[i - 1] === target[j - 2])
+          && (source[i - 2] === target[j - 1])
+        ) {
+          distance = Math.min(distance, matrix[i - 2][j - 2] + 1);
+        }
+      }
+
+      matrix[i].push(distance);
+    }
+  }
+
+  return matrix;
+};
+
+/**
+ * @param {string[]} source The characters of a string.
+ * @param {string[]} target The characters of another string.
+ * @returns {number} The Levenshtein distance between the two strings.
+ */
+const getEditDistance = (source, target) => getDistanceMatrix(source, target)[source.length][target.length];
+
+/**
+ * @param {string[]} source The characters of a string.
+ * @param {string[]} target The characters of another string.
+ * @returns {number}
+ * The number of typos separating the two strings,
+ * where the transposition of two adjacent characters counts as a single typo.
+ */
+const getTypoDistance = (source, target) => getDistanceMatrix(source, target, true)[source.length][target.length];
+
+/**
+ * @param {string} answer An answer.
+ * @param {string} solution A solution.
+ * @returns {DiffSegment[]} The segments making up the difference between the answer and the solution.
+ */
+export const diffAnswer = (answer, solution) => {
+  const answerChars = Array.from(answer);
+  const solutionChars = Array.from(solution);
+  const matrix = getDistanceMatrix(answerChars, solutionChars);
+  const operations = [];
+
+  let i = answerChars.length;
+  let j = solutionChars.length;
+
+  while ((i > 0) || (j > 0)) {
+    if ((i > 0) && (j > 0) && (answerChars[i - 1] === solutionChars[j - 1]) && (matrix[i][j] === matrix[i - 1][j - 1])) {
+      operations.push({ type: DIFF_TYPE_EQUAL, value: answerChars[--i] });
+      j--;
+    } else if ((i > 0) && (j > 0) && (matrix[i][j] === matrix[i - 1][j - 1] + 1)) {
+      operations.push({ type: DIFF_TYPE_MISSING, value: solutionChars[--j] });
+      operations.push({ type: DIFF_TYPE_EXTRA, value: answerChars[--i] });
+    } else if ((i > 0) && (matrix[i][j] === matrix[i - 1][j] + 1)) {
+      operations.push({ type: DIFF_TYPE_EXTRA, value: answerChars[--i] });
+    } else {
+      operations.push({ type: DIFF_TYPE_MISSING, value: solutionChars[--j] });
+    }
+  }
+
+  // Merge the adjacent operations of the same type into segments.
+  return operations.reverse().reduce((segments, operation) => {
+    const lastSegment = segments[segments.length - 1];
+
+    if (lastSegment?.type === operation.type) {
+      lastSegment.value += operation.value;
+    } else {
+      segments.push({ ...operation });
+    }
+
+    return segments;
+  }, []);
+};
+
+/**
+ * @param {string} answer A normalized answer.
+ * @param {string} solution A normalized solution.
+ * @param {NormalizationOptions} options The normalization options.
+ * @returns {number|null} The number of (tolerated) typos in the answer, or null if the answer is not acceptable.
+ */
+const countTolerableTypos = (answer, solution, options) => {
+  if (answer === solution) {
+    return 0;
+  }
+
+  if (options.ignoreSpaces || (options.maxTyposPerWord <= 0)) {
+    return null;
+  }
+
+  const answerWords = answer.split(' ');
+  const solutionWords = solution.split(' ');
+
+  if (answerWords.length !== solutionWords.length) {
+    return null;
+  }
+
+  let typoCount = 0;
+
+  for (let i = 0; i < solutionWords.length; i++) {
+    if (answerWords[i] !== solutionWords[i]) {
+      if (Array.from(solutionWords[i]).length < options.minTypoWordLength) {
+        return null;
+      }
+
+      const distance = getTypoDistance(Array.from(answerWords[i]), Array.from(solutionWords[i]));
+
+      if (distance > options.maxTyposPerWord) {
+        return null;
+      }
+
+      typoCount += distance;
+    }
+  }
+
+  return typoCount;
+};
+
+/**
+ * @typedef {object} GradingResult
+ * @property {string} result The result of the answer (either RESULT_CORRECT or RESULT_INCORRECT).
+ * @property {boolean} isAccepted Whether the answer would be accepted.
+ * @property {boolean} hasTypos Whether the answer is accepted in spite of some typos (including wrong diacritics).
+ * @property {string|null} nearestSolution The accepted solution that is the closest to the answer, if any.
+ * @property {number} distance The edit distance between the normalized answer and the nearest solution.
+ * @property {DiffSegment[]} diff
+ * The difference between the normalized answer and the nearest solution, where diacritics are always preserved.
+ */
+
+/**
+ * Grades an answer against a list of accepted solutions.
+ * @param {string} answer The answer given by the user.
+ * @param {string[]} solutions The accepted solutions.
+ * @param {string|null} language The language of the answer.
+ * @param {object=} options The normalization options to use instead of the default ones for the language.
+ * @returns {GradingResult} The result of grading the answer.
+ */
+export const gradeAnswer = (answer, solutions, language, options = {}) => {
+  const fullOptions = getNormalizationOptions(language, options);
+  const normalizedAnswer = normalizeValue(String(answer), fullOptions);
+  const strictAnswer = normalizeValue(String(answer), fullOptions, true);
+
+  const candidates = solutions
+    .filter(isString)
+    .map(solution => {
+      const normalized = normalizeValue(solution, fullOptions);
+      const typoCount = countTolerableTypos(normalizedAnswer, normalized, fullOptions);
+      const strict = normalizeValue(solution, fullOptions, true);
+      const hasWrongDiacritics = (strictAnswer !== strict);
+
+      return {
+        solution,
+        strict,
+        typoCount,
+        hasTypos: (null !== typoCount) && ((typoCount > 0) || hasWrongDiacritics),
+        distance: getEditDistance(Array.from(normalizedAnswer), Array.from(normalized)),
+      };
+    });
+
+  const accepted = candidates.filter(candidate => null !== candidate.typoCount);
+
+  // Prefer accepted solutions without typos, then those with the fewest typos, then the closest ones.
+  const nearest = (accepted.length > 0)
+    ? minBy(accepted, candidate => candidate.typoCount + (candidate.hasTypos ? 0.5 : 0))
+    : minBy(candidates, candidate => candidate.distance);
+
+  return {
+    result: (accepted.length > 0) ? RESULT_CORRECT : RESULT_INCORRECT,
+    isAccepted: accepted.length > 0,
+    hasTypos: !!nearest?.hasTypos,
+    nearestSolution: nearest?.solution || null,
+    distance: nearest?.distance || 0,
+    diff: nearest ? diffAnswer(strictAnswer, nearest.strict) : [],
+  };
+};
+
+/**
+ * Grades an answer given to a challenge, using all the solutions that can be extracted from the challenge.
+ * @param {object} challenge A raw challenge.
+ * @param {string} answer The answer given by the user.
+ * @param {object=} options The normalization options to use instead of the default ones for the challenge language.
+ * @returns {GradingResult} The result of grading the answer.
+ */
+export const gradeChallengeAnswer = (challenge, answer, options = {}) => (
+  gradeAnswer(
+    answer,
+    getChallengeSolutions(challenge),
+    isObject(challenge) ? getChallengeTargetLanguage(challenge) : null,
+    options
+  )
+);
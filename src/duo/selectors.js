@@ -0,0 +1,458 @@
+import { _ } from 'one-liner.macro';
+import { getSharedGlobalVariable, setSharedGlobalVariable, updateSharedGlobalVariable } from '../utils/internal';
+import { PRIORITY_AVERAGE, PRIORITY_HIGH } from '../utils/constants';
+import { isArray, isObject, isString } from '../utils/functions';
+import { queryAllSelectors, querySelectors } from '../utils/ui';
+
+/**
+ * A strategy based on the "data-test" attributes, which are the most stable.
+ * @type {string}
+ */
+export const SELECTOR_STRATEGY_DATA_TEST = 'data_test';
+
+/**
+ * A strategy based on ARIA roles and attributes.
+ * @type {string}
+ */
+export const SELECTOR_STRATEGY_ARIA = 'aria';
+
+/**
+ * A strategy based on the structure of the page (tags, IDs and relative positions of the elements).
+ * @type {string}
+ */
+export const SELECTOR_STRATEGY_STRUCTURE = 'structure';
+
+/**
+ * A strategy based on obfuscated class names, which usually change with each new deployment of the UI.
+ * @type {string}
+ */
+export const SELECTOR_STRATEGY_CLASS_NAME = 'class_name';
+
+/**
+ * @type {string[]}
+ */
+export const SELECTOR_STRATEGIES = [
+  SELECTOR_STRATEGY_DATA_TEST,
+  SELECTOR_STRATEGY_ARIA,
+  SELECTOR_STRATEGY_STRUCTURE,
+  SELECTOR_STRATEGY_CLASS_NAME,
+];
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_CHALLENGE_WRAPPER = 'challenge_wrapper';
+
+/**
+ * The banner displaying the result of the current challenge, whatever it is.
+ * @type {string}
+ */
+export const ELEMENT_RESULT_BANNER = 'result_banner';
+
+/**
+ * The banner displaying the result of the current challenge, when it is correct.
+ * @type {string}
+ */
+export const ELEMENT_CORRECT_RESULT_BANNER = 'correct_result_banner';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_ANSWER_INPUT = 'answer_input';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_WORD_BANK = 'word_bank';
+
+/**
+ * The tiles that can be tapped to build an answer, whether they are in the word bank or in the answer area.
+ * @type {string}
+ */
+export const ELEMENT_TAP_TOKEN = 'tap_token';
+
+/**
+ * The choices of challenges whose answers consist in selecting one or more choices.
+ * @type {string}
+ */
+export const ELEMENT_CHOICE = 'choice';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_CHECK_BUTTON = 'check_button';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_SKIP_BUTTON = 'skip_button';
+
+/**
+ * The button usable to continue to the next challenge, once the result of the current challenge is displayed.
+ * @type {string}
+ */
+export const ELEMENT_CONTINUE_BUTTON = 'continue_button';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_STORY_LINE = 'story_line';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_LEARN_PATH = 'learn_path';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_LESSON_COMPLETE_SLIDE = 'lesson_complete_slide';
+
+/**
+ * @type {string}
+ */
+export const ELEMENT_LIVE_REGION = 'live_region';
+
+/**
+ * @typedef {object} SelectorStrategy
+ * @property {string} type The type of the strategy.
+ * @property {string[]} selectors The CSS selectors used by the strategy, tested in order.
+ * @property {number} priority The priority of the strategy. Strategies with higher priorities are tested first.
+ */
+
+/**
+ * @param {string} type The type of the strategy.
+ * @param {string[]} selectors The CSS selectors used by the strategy, tested in order.
+ * @returns {SelectorStrategy} A default strategy.
+ */
+const getDefaultStrategy = (type, selectors) => ({ type, selectors, priority: PRIORITY_AVERAGE });
+
+/**
+ * The default strategies for each element, tested in order.
+ * @type {{[key: string]: SelectorStrategy[]}}
+ */
+const DEFAULT_ELEMENT_STRATEGIES = {
+  [ELEMENT_CHALLENGE_WRAPPER]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test~="challenge"]', '[data-test*="challenge"]' ]),
+  ],
+  [ELEMENT_RESULT_BANNER]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test~="blame"]' ]),
+    // It is currently the previous sibling of the wrapper of the "Continue" button (in the challenge footer).
+    getDefaultStrategy(SELECTOR_STRATEGY_CLASS_NAME, [ '._2Fc1K ._1tuLI' ]),
+  ],
+  [ELEMENT_CORRECT_RESULT_BANNER]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test~="blame-correct"]' ]),
+    getDefaultStrategy(SELECTOR_STRATEGY_CLASS_NAME, [ '._2Fc1K ._1tuLI._3e9O1' ]),
+  ],
+  [ELEMENT_ANSWER_INPUT]: [
+    getDefaultStrategy(
+      SELECTOR_STRATEGY_DATA_TEST,
+      [ '[data-test="challenge-translate-input"]', '[data-test="challenge-text-input"]' ]
+    ),
+    getDefaultStrategy(
+      SELECTOR_STRATEGY_ARIA,
+      [ '[data-test~="challenge"] textarea[aria-label]', '[data-test~="challenge"] input[aria-label]' ]
+    ),
+    getDefaultStrategy(
+      SELECTOR_STRATEGY_STRUCTURE,
+      [ '[data-test~="challenge"] textarea', '[data-test~="challenge"] input[type="text"]' ]
+    ),
+  ],
+  [ELEMENT_WORD_BANK]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="word-bank"]' ]),
+    getDefaultStrategy(SELECTOR_STRATEGY_ARIA, [ '[data-test~="challenge"] [role="group"][aria-label]' ]),
+  ],
+  [ELEMENT_TAP_TOKEN]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test*="challenge-tap-token"]' ]),
+    getDefaultStrategy(SELECTOR_STRATEGY_STRUCTURE, [ '[data-test="word-bank"] button' ]),
+  ],
+  [ELEMENT_CHOICE]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="challenge-choice"]' ]),
+    getDefaultStrategy(
+      SELECTOR_STRATEGY_ARIA,
+      [ '[data-test~="challenge"] [role="radio"]', '[data-test~="challenge"] [role="checkbox"]' ]
+    ),
+  ],
+  [ELEMENT_CHECK_BUTTON]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="player-next"]' ]),
+    getDefaultStrategy(SELECTOR_STRATEGY_STRUCTURE, [ '#session\\/PlayerFooter button:last-of-type' ]),
+  ],
+  [ELEMENT_SKIP_BUTTON]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="player-skip"]' ]),
+  ],
+  [ELEMENT_CONTINUE_BUTTON]: [
+    // The same button is used to check answers and to continue, and only the surrounding footer differs.
+    getDefaultStrategy(
+      SELECTOR_STRATEGY_DATA_TEST,
+      [ '[data-test~="blame"] ~ * [data-test="player-next"]', '[data-test~="blame"] [data-test="player-next"]' ]
+    ),
+  ],
+  [ELEMENT_STORY_LINE]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="stories-element"]' ]),
+  ],
+  [ELEMENT_LEARN_PATH]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="skill-path"]' ]),
+  ],
+  [ELEMENT_LESSON_COMPLETE_SLIDE]: [
+    getDefaultStrategy(SELECTOR_STRATEGY_DATA_TEST, [ '[data-test="session-complete-slide"]' ]),
+  ],
+  [ELEMENT_LIVE_REGION]: [
+    getDefaultStrategy(
+      SELECTOR_STRATEGY_ARIA,
+      [
+        '#session\\/PlayerFooter [aria-live="assertive"]',
+        '#session\\/PlayerFooter [aria-live="polite"]',
+        '#session\\/PlayerFooter [role="alert"]',
+        '#session\\/PlayerFooter [role="status"]',
+      ]
+    ),
+  ],
+};
+
+/**
+ * @type {string}
+ */
+const KEY_ADDITIONAL_ELEMENT_STRATEGIES = 'additional_element_selector_strategies';
+
+/**
+ * @type {string}
+ */
+const KEY_SELECTOR_HEALTH = 'selector_health';
+
+/**
+ * @returns {{[key: string]: SelectorStrategy[]}} The strategies that were registered in addition to the default ones.
+ */
+const getAdditionalElementStrategies = () => getSharedGlobalVariable(KEY_ADDITIONAL_ELEMENT_STRATEGIES, {});
+
+/**
+ * @param {string} element The name of a logical element.
+ * @returns {SelectorStrategy[]} The strategies usable to find the given element, sorted by decreasing priority.
+ */
+export const getElementSelectorStrategies = element => {
+  const strategies = (DEFAULT_ELEMENT_STRATEGIES[element] || [])
+    .concat(getAdditionalElementStrategies()[element] || []);
+
+  if (0 === strategies.length) {
+    throw new Error(`Unknown element: "${element}".`);
+  }
+
+  // Array.prototype.sort() is stable: strategies with equal priorities remain in their original order.
+  return strategies.sort((x, y) => y.priority - x.priority);
+};
+
+/**
+ * Registers a new strategy for finding a logical element, that will be shared with all the other extensions.
+ *
+ * Elements that are not known by default can also be registered this way.
+ * @param {string} element The name of a logical element.
+ * @param {string} type The type of the strategy.
+ * @param {string[]} selectors The CSS selectors used by the strategy, tested in order.
+ * @param {number} priority
+ * The priority of the strategy. Default strategies have an average priority,
+ * and strategies with higher priorities are tested first.
+ * @returns {Function} A function usable to unregister the strategy.
+ */
+export const registerElementSelectorStrategy = (element, type, selectors, priority = PRIORITY_HIGH) => {
+  if (!isArray(selectors) || !selectors.every(isString)) {
+    throw new Error(`Invalid selectors for element: "${element}".`);
+  }
+
+  const strategy = { type, selectors, priority };
+
+  updateSharedGlobalVariable(KEY_ADDITIONAL_ELEMENT_STRATEGIES, strategies => ({
+    ...strategies,
+    [element]: (strategies[element] || []).concat([ strategy ]),
+  }), {});
+
+  return () => updateSharedGlobalVariable(KEY_ADDITIONAL_ELEMENT_STRATEGIES, strategies => ({
+    ...strategies,
+    [element]: (strategies[element] || []).filter(other => (other !== strategy)),
+  }), {});
+};
+
+/**
+ * The health status of elements that have not been looked up yet.
+ * @type {string}
+ */
+export const SELECTOR_HEALTH_UNKNOWN = 'unknown';
+
+/**
+ * The health status of elements that were last found using one of their default strategies.
+ * @type {string}
+ */
+export const SELECTOR_HEALTH_OK = 'ok';
+
+/**
+ * The health status of elements that were last found only thanks to strategies registered by extensions,
+ * meaning that none of the default selectors matched.
+ * @type {string}
+ */
+export const SELECTOR_HEALTH_DEGRADED = 'degraded';
+
+/**
+ * The health status of elements that could not be found during the last lookup, but were found before.
+ *
+ * This usually indicates that the elements are simply not displayed at the time.
+ * @type {string}
+ */
+export const SELECTOR_HEALTH_MISSING = 'missing';
+
+/**
+ * The health status of elements that have been looked up, but have never been found.
+ *
+ * Either the elements were never displayed, or none of their selectors matches the current UI anymore.
+ * @type {string}
+ */
+export const SELECTOR_HEALTH_NEVER_FOUND = 'never_found';
+
+/**
+ * @typedef {object} SelectorHealth
+ * @property {string} status The health status of the element.
+ * @property {string|null} strategy The type of the strategy that matched during the last successful lookup.
+ * @property {string|null} selector The selector that matched during the last successful lookup.
+ * @property {number|null} changedAt The timestamp of the last change of the health data, if any.
+ */
+
+/**
+ * @returns {SelectorHealth} The base health data of an element that has not been looked up yet.
+ */
+const getBaseSelectorHealth = () => ({
+  status: SELECTOR_HEALTH_UNKNOWN,
+  strategy: null,
+  selector: null,
+  changedAt: null,
+});
+
+/**
+ * @param {string} element The name of a logical element.
+ * @param {SelectorStrategy} strategy The strategy that matched.
+ * @param {Element} matched The (first) element that was found.
+ * @returns {boolean} Whether the found element is also matched by any of the default strategies.
+ */
+const isDefaultElementMatch = (element, strategy, matched) => {
+  const defaultStrategies = DEFAULT_ELEMENT_STRATEGIES[element] || [];
+
+  return (0 === defaultStrategies.length)
+    || defaultStrategies.includes(strategy)
+    || defaultStrategies.some(defaultStrategy => defaultStrategy.selectors.some(matched.matches(_)));
+};
+
+/**
+ * Updates the health data of an element after a lookup.
+ *
+ * Lookups happen very often (for example on each page update), hence the data are only written when they change.
+ * @param {string} element The name of a logical element.
+ * @param {SelectorStrategy|null} strategy The matching strategy, if any.
+ * @param {string|null} selector The matching selector, if any.
+ * @param {Element|null} matched The (first) element that was found, if any.
+ * @returns {void}
+ */
+const recordSelectorLookup = (element, strategy, selector, matched) => {
+  const health = getSharedGlobalVariable(KEY_SELECTOR_HEALTH, {});
+  const elementHealth = health[element] || getBaseSelectorHealth();
+
+  const status = !strategy
+    ? ((null === elementHealth.strategy) ? SELECTOR_HEALTH_NEVER_FOUND : SELECTOR_HEALTH_MISSING)
+    : (isDefaultElementMatch(element, strategy, matched) ? SELECTOR_HEALTH_OK : SELECTOR_HEALTH_DEGRADED);
+
+  const strategyType = strategy ? strategy.type : elementHealth.strategy;
+  const matchedSelector = strategy ? selector : elementHealth.selector;
+
+  if (
+    (status !== elementHealth.status)
+    || (strategyType !== elementHealth.strategy)
+    || (matchedSelector !== elementHealth.selector)
+  ) {
+    setSharedGlobalVariable(KEY_SELECTOR_HEALTH, {
+      ...health,
+      [element]: {
+        status,
+        strategy: strategyType,
+        selector: matchedSelector,
+        changedAt: Date.now(),
+      },
+    });
+  }
+};
+
+/**
+ * @param {string} element The name of a logical element.
+ * @param {Function} query A function usable to query the elements matching a list of selectors.
+ * @param {Function} isMatch A function usable to determine whether the result of the query is a match.
+ * @param {*} noMatch The result to return if no strategy matched.
+ * @returns {*} The result of the first strategy that matched.
+ */
+const lookupElement = (element, query, isMatch, noMatch) => {
+  const strategies = getElementSelectorStrategies(element);
+
+  for (const strategy of strategies) {
+    for (const selector of strategy.selectors) {
+      const result = query([ selector ]);
+
+      if (isMatch(result)) {
+        recordSelectorLookup(element, strategy, selector, isArray(result) ? result[0] : result);
+        return result;
+      }
+    }
+  }
+
+  recordSelectorLookup(element, null, null, null);
+
+  return noMatch;
+};
+
+/**
+ * @param {string} element The name of a logical element.
+ * @param {Document|Element} root The element in which to search.
+ * @returns {Element|null} The first element matching the first successful strategy for the given logical element.
+ */
+export const queryElement = (element, root = document) => lookupElement(
+  element,
+  querySelectors(_, root),
+  result => (result instanceof Element),
+  null
+);
+
+/**
+ * @param {string} element The name of a logical element.
+ * @param {Document|Element} root The element in which to search.
+ * @returns {Element[]} All the elements matching the first successful strategy for the given logical element.
+ */
+export const queryAllElements = (element, root = document) => lookupElement(
+  element,
+  queryAllSelectors(_, root),
+  result => (result.length > 0),
+  []
+);
+
+/**
+ * @param {string} element The name of a logical element.
+ * @param {Element|null} candidate An element.
+ * @returns {boolean} Whether the given element matches any of the strategies for the given logical element.
+ */
+export const matchesElement = (element, candidate) => (
+  (candidate instanceof Element)
+  && getElementSelectorStrategies(element).some(strategy => strategy.selectors.some(candidate.matches(_)))
+);
+
+/**
+ * @returns {{[key: string]: SelectorHealth}}
+ * The health data of all the known logical elements, usable for example to warn users or to report bugs
+ * when the UI changed in a way that broke the default strategies.
+ */
+export const getSelectorHealthReport = () => {
+  const health = getSharedGlobalVariable(KEY_SELECTOR_HEALTH, {});
+
+  const elements = new Set(
+    Object.keys(DEFAULT_ELEMENT_STRATEGIES)
+      .concat(Object.keys(getAdditionalElementStrategies()))
+      .concat(Object.keys(health))
+  );
+
+  return Object.fromEntries(
+    Array.from(elements).map(element => [
+      element,
+      isObject(health[element]) ? { ...health[element] } : getBaseSelectorHealth(),
+    ])
+  );
+};
@@ -0,0 +1,442 @@
+import { isArray, isNumber, isObject, isString } from '../utils/functions';
+import { getSharedGlobalVariable, setSharedGlobalVariable } from '../utils/internal';
+import { RESULT_INCORRECT } from './challenges';
+import { CONTEXT_LESSON_COMPLETE } from './context';
+
+import {
+  onChallengeResult,
+  onChallengeShown,
+  onContextChanged,
+  onPracticeSessionCompleted,
+  onPracticeSessionLoaded,
+} from './events';
+
+import { getStateValue } from './state';
+
+/**
+ * The pool of the challenges that are planned to be presented in order.
+ * @type {string}
+ */
+export const CHALLENGE_POOL_MAIN = 'main';
+
+/**
+ * The pool of the challenges that may replace main challenges, depending on the performance of the user.
+ * @type {string}
+ */
+export const CHALLENGE_POOL_ADAPTIVE = 'adaptive';
+
+/**
+ * The pool of the easier challenges that may replace main challenges, when the user is struggling.
+ * @type {string}
+ */
+export const CHALLENGE_POOL_EASIER_ADAPTIVE = 'easier_adaptive';
+
+/**
+ * The pool of the challenges that may replace the challenges to which the user gave an incorrect answer.
+ * @type {string}
+ */
+export const CHALLENGE_POOL_MISTAKES_REPLACEMENT = 'mistakes_replacement';
+
+/**
+ * The pool of the adaptive challenges that may be interleaved with the main challenges.
+ * @type {string}
+ */
+export const CHALLENGE_POOL_ADAPTIVE_INTERLEAVED = 'adaptive_interleaved';
+
+/**
+ * @type {string[]}
+ */
+export const CHALLENGE_POOLS = [
+  CHALLENGE_POOL_MAIN,
+  CHALLENGE_POOL_ADAPTIVE,
+  CHALLENGE_POOL_EASIER_ADAPTIVE,
+  CHALLENGE_POOL_MISTAKES_REPLACEMENT,
+  CHALLENGE_POOL_ADAPTIVE_INTERLEAVED,
+];
+
+/**
+ * @param {object} sessionData The raw data of a practice session.
+ * @returns {{[key: string]: object[]}} The raw challenges of the given session, by pool.
+ */
+const getSessionChallengePools = sessionData => ({
+  [CHALLENGE_POOL_MAIN]: sessionData.challenges,
+  [CHALLENGE_POOL_ADAPTIVE]: sessionData.adaptiveChallenges,
+  [CHALLENGE_POOL_EASIER_ADAPTIVE]: sessionData.easierAdaptiveChallenges,
+  [CHALLENGE_POOL_MISTAKES_REPLACEMENT]: sessionData.mistakesReplacementChallenges,
+  [CHALLENGE_POOL_ADAPTIVE_INTERLEAVED]: sessionData.adaptiveInterleavedChallenges?.challenges,
+});
+
+/**
+ * @typedef {object} PracticeSessionChallenge
+ * @property {string|null} id The ID of the challenge.
+ * @property {string} pool The pool the challenge belongs to.
+ * @property {number} poolIndex The index of the challenge in its pool.
+ * @property {object} challenge The raw data of the challenge.
+ */
+
+/**
+ * @typedef {object} PresentedChallenge
+ * @property {number} position The position of the challenge in the order of presentation, starting at 0.
+ * @property {string|null} id The ID of the challenge.
+ * @property {string} pool The pool the challenge belongs to.
+ * @property {number} poolIndex The index of the challenge in its pool.
+ * @property {string|null} result The result of the challenge, once it is known.
+ * @property {boolean} isSubstitution Whether the challenge was presented instead of a challenge from the main pool.
+ * @property {string|null} replacedChallengeId
+ * The ID of the main challenge that was expected at this position, in case of a substitution.
+ * @property {boolean} isRequeuedMistake
+ * Whether the challenge was presented again at the end of the session, after an incorrect answer.
+ */
+
+/**
+ * @typedef {object} PracticeSessionHearts
+ * @property {number} initial The number of hearts the user had when the session was loaded.
+ * @property {number} remaining The number of hearts the user has left.
+ */
+
+/**
+ * @typedef {object} PracticeSession
+ * @property {string} id The ID of the session.
+ * @property {string|null} type The type of the session.
+ * @property {string|null} fromLanguage The language the user speaks.
+ * @property {string|null} learningLanguage The language the user learns.
+ * @property {{[key: string]: object[]}} pools The raw challenges of the session, by pool.
+ * @property {PracticeSessionChallenge[]} challenges All the challenges of the session, in the order of the pools.
+ * @property {PresentedChallenge[]} presentedChallenges The challenges that were presented, in order.
+ * @property {string[]} mistakeChallengeIds The IDs of the challenges to which an incorrect answer was given.
+ * @property {PracticeSessionHearts|null} hearts The hearts of the user, if they apply to the session.
+ * @property {boolean} isCompleted Whether the session has been completed.
+ * @property {number} loadedAt The timestamp at which the session was loaded.
+ * @property {number|null} startedAt The timestamp at which the first challenge was presented, if any.
+ * @property {number|null} completedAt The timestamp at which the session was completed, if it was.
+ */
+
+/**
+ * The maximum number of sessions that are kept in memory, since sessions are also pre-fetched in the background.
+ * @type {number}
+ */
+const MAX_TRACKED_SESSIONS = 10;
+
+/**
+ * @type {string}
+ */
+const KEY_PRACTICE_SESSIONS = 'practice_sessions';
+
+/**
+ * @type {string}
+ */
+const KEY_CURRENT_PRACTICE_SESSION_ID = 'current_practice_session_id';
+
+/**
+ * @type {string}
+ */
+const KEY_PRACTICE_SESSION_TRACKER = 'practice_session_tracker';
+
+/**
+ * @param {*} sessionData The raw data of a practice session, possibly wrapped.
+ * @returns {object|null} The hearts of the user, if they apply to the given session.
+ */
+const getInitialSessionHearts = sessionData => {
+  const hearts = [
+    sessionData.hearts,
+    sessionData.health?.hearts,
+    getStateValue('user.health.hearts'),
+  ].find(isNumber);
+
+  return (!isNumber(hearts) || (true === getStateValue('user.health.unlimitedHeartsAvailable')))
+    ? null
+    : { initial: hearts, remaining: hearts };
+};
+
+/**
+ * @param {*} sessionData The raw data of a practice session, as loaded from the API or from the pre-fetch cache.
+ * @returns {PracticeSession|null} A new session model, if the given data are valid.
+ */
+const createPracticeSession = sessionData => {
+  if (isObject(sessionData?.session)) {
+    sessionData = sessionData.session;
+  }
+
+  if (!isObject(sessionData) || !isString(sessionData.id)) {
+    return null;
+  }
+
+  const pools = Object.fromEntries(
+    Object.entries(getSessionChallengePools(sessionData))
+      .map(([ pool, challenges ]) => [ pool, isArray(challenges) ? challenges.filter(isObject) : [] ])
+  );
+
+  const challenges = CHALLENGE_POOLS.flatMap(pool => pools[pool].map((challenge, poolIndex) => ({
+    id: isString(challenge.id) ? challenge.id : null,
+    pool,
+    poolIndex,
+    challenge,
+  })));
+
+  if (0 === challenges.length) {
+    return null;
+  }
+
+  return {
+    id: sessionData.id,
+    type: isString(sessionData.type) ? sessionData.type : null,
+    fromLanguage: sessionData.metadata?.from_language || sessionData.fromLanguage || null,
+    learningLanguage: sessionData.metadata?.learning_language || sessionData.learningLanguage || null,
+    pools,
+    challenges,
+    presentedChallenges: [],
+    mistakeChallengeIds: [],
+    hearts: getInitialSessionHearts(sessionData),
+    isCompleted: false,
+    loadedAt: Date.now(),
+    startedAt: null,
+    completedAt: null,
+  };
+};
+
+/**
+ * @returns {{[key: string]: PracticeSession}} The tracked sessions, by ID.
+ */
+const getPracticeSessions = () => getSharedGlobalVariable(KEY_PRACTICE_SESSIONS, {});
+
+/**
+ * @param {PracticeSession} session A session model.
+ * @param {object} challenge A raw challenge.
+ * @returns {PracticeSessionChallenge|null} The corresponding challenge of the session, if any.
+ */
+const findPracticeSessionChallenge = (session, challenge) => (
+  session.challenges.find(entry => (entry.challenge === challenge))
+  || (isString(challenge.id) && session.challenges.find(entry => (entry.id === challenge.id)))
+  || null
+);
+
+/**
+ * @param {object} challenge A raw challenge.
+ * @returns {{ session: PracticeSession, entry: PracticeSessionChallenge }|null}
+ * The session that the given challenge belongs to, and the corresponding entry, if any.
+ * The current session is checked first.
+ */
+const findChallengeSession = challenge => {
+  const sessions = getPracticeSessions();
+  const currentId = getSharedGlobalVariable(KEY_CURRENT_PRACTICE_SESSION_ID);
+  const candidates = [ sessions[currentId] ].concat(Object.values(sessions)).filter(isObject);
+
+  for (const session of candidates) {
+    const entry = findPracticeSessionChallenge(session, challenge);
+
+    if (entry) {
+      return { session, entry };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * @param {*} sessionData The raw data of a newly loaded practice session.
+ * @returns {void}
+ */
+const handlePracticeSessionLoaded = sessionData => {
+  const session = createPracticeSession(sessionData);
+
+  if (!session) {
+    return;
+  }
+
+  const sessions = getPracticeSessions();
+
+  if (sessions[session.id]) {
+    // Pre-fetched sessions may be loaded more than once.
+    return;
+  }
+
+  sessions[session.id] = session;
+
+  Object.values(sessions)
+    .sort((x, y) => y.loadedAt - x.loadedAt)
+    .slice(MAX_TRACKED_SESSIONS)
+    .forEach(oldSession => delete sessions[oldSession.id]);
+
+  setSharedGlobalVariable(KEY_PRACTICE_SESSIONS, sessions);
+
+  const current = getCurrentPracticeSession();
+
+  // Sessions that are pre-fetched in the background must not replace the session in progress.
+  if (!current || current.isCompleted || (0 === current.presentedChallenges.length)) {
+    setSharedGlobalVariable(KEY_CURRENT_PRACTICE_SESSION_ID, session.id);
+  }
+};
+
+/**
+ * @param {PracticeSession} session A session model.
+ * @returns {PracticeSessionChallenge|null} The next challenge from the main pool that has not been presented yet.
+ */
+const getNextMainChallenge = session => (
+  session.challenges.find(entry => (
+    (CHALLENGE_POOL_MAIN === entry.pool)
+    && !session.presentedChallenges.some(presented => (
+      (presented.pool === entry.pool) && (presented.poolIndex === entry.poolIndex)
+    ))
+  ))
+  || null
+);
+
+/**
+ * @param {import('./events').ChallengeEventPayload} payload The payload of a "challenge shown" event.
+ * @returns {void}
+ */
+const handleChallengeShown = ({ challenge }) => {
+  const match = isObject(challenge) && findChallengeSession(challenge);
+
+  if (!match) {
+    return;
+  }
+
+  const { session, entry } = match;
+  const isSubstitution = (CHALLENGE_POOL_MAIN !== entry.pool);
+
+  const isRequeuedMistake = session.presentedChallenges.some(presented => (
+    (presented.pool === entry.pool)
+    && (presented.poolIndex === entry.poolIndex)
+    && (RESULT_INCORRECT === presented.result)
+  ));
+
+  session.presentedChallenges.push({
+    position: session.presentedChallenges.length,
+    id: entry.id,
+    pool: entry.pool,
+    poolIndex: entry.poolIndex,
+    result: null,
+    isSubstitution,
+    replacedChallengeId: isSubstitution ? (getNextMainChallenge(session)?.id || null) : null,
+    isRequeuedMistake,
+  });
+
+  if (null === session.startedAt) {
+    session.startedAt = Date.now();
+  }
+
+  setSharedGlobalVariable(KEY_CURRENT_PRACTICE_SESSION_ID, session.id);
+};
+
+/**
+ * @param {import('./events').ChallengeEventPayload} payload The payload of a "challenge result" event.
+ * @returns {void}
+ */
+const handleChallengeResult = ({ result }) => {
+  const session = getCurrentPracticeSession();
+  const presented = session?.presentedChallenges[session.presentedChallenges.length - 1];
+
+  if (!presented || (null !== presented.result)) {
+    return;
+  }
+
+  presented.result = result;
+
+  if (RESULT_INCORRECT === result) {
+    if (presented.id && (session.mistakeChallengeIds.indexOf(presented.id) === -1)) {
+      session.mistakeChallengeIds.push(presented.id);
+    }
+
+    if (session.hearts) {
+      session.hearts.remaining = Math.max(0, session.hearts.remaining - 1);
+    }
+  }
+};
+
+/**
+ * @param {PracticeSession|null} session A session model.
+ * @returns {void}
+ */
+const completePracticeSession = session => {
+  if (session && !session.isCompleted) {
+    session.isCompleted = true;
+    session.completedAt = Date.now();
+  }
+};
+
+/**
+ * @param {{ current: object }} payload The payload of a "context changed" event.
+ * @returns {void}
+ */
+const handleContextChanged = ({ current }) => {
+  if (CONTEXT_LESSON_COMPLETE === current?.type) {
+    completePracticeSession(getCurrentPracticeSession());
+  }
+};
+
+/**
+ * @param {import('./events').CompletedPracticeSession} payload The payload of a "practice session completed" event.
+ * @returns {void}
+ */
+const handlePracticeSessionCompleted = ({ sessionId }) => completePracticeSession(getPracticeSessions()[sessionId]);
+
+/**
+ * Starts tracking the practice sessions, if they are not already tracked.
+ *
+ * The tracking is shared with all the other extensions, and only stops once all of them have stopped it.
+ * It should be started as early as possible, since only the sessions loaded afterwards can be tracked.
+ * @returns {Function} A function usable to stop tracking the practice sessions.
+ */
+export const startPracticeSessionTracking = () => {
+  let tracker = getSharedGlobalVariable(KEY_PRACTICE_SESSION_TRACKER);
+
+  if (!isObject(tracker)) {
+    const unregisterListeners = [
+      onPracticeSessionLoaded(handlePracticeSessionLoaded),
+      onChallengeShown(handleChallengeShown),
+      onChallengeResult(handleChallengeResult),
+      onContextChanged(handleContextChanged),
+      onPracticeSessionCompleted(handlePracticeSessionCompleted),
+    ];
+
+    tracker = {
+      userCount: 0,
+      disconnect: () => unregisterListeners.forEach(unregister => unregister()),
+    };
+
+    setSharedGlobalVariable(KEY_PRACTICE_SESSION_TRACKER, tracker);
+  }
+
+  tracker.userCount++;
+
+  let isStopped = false;
+
+  return () => {
+    if (isStopped) {
+      return;
+    }
+
+    isStopped = true;
+    tracker.userCount--;
+
+    if ((tracker.userCount <= 0) && (getSharedGlobalVariable(KEY_PRACTICE_SESSION_TRACKER) === tracker)) {
+      tracker.disconnect();
+      setSharedGlobalVariable(KEY_PRACTICE_SESSION_TRACKER, null);
+      setSharedGlobalVariable(KEY_PRACTICE_SESSIONS, {});
+      setSharedGlobalVariable(KEY_CURRENT_PRACTICE_SESSION_ID, null);
+    }
+  };
+};
+
+/**
+ * @returns {boolean} Whether the practice sessions are currently tracked.
+ */
+export const isTrackingPracticeSessions = () => isObject(getSharedGlobalVariable(KEY_PRACTICE_SESSION_TRACKER));
+
+/**
+ * @param {string} sessionId The ID of a practice session.
+ * @returns {PracticeSession|null}
+ * The corresponding session, if it was loaded since the tracking was started (using startPracticeSessionTracking).
+ */
+export const getPracticeSession = sessionId => getPracticeSessions()[sessionId] || null;
+
+/**
+ * Returns the session that is currently in progress, or the last one that was loaded.
+ *
+ * Sessions are only tracked while the tracking is started (using startPracticeSessionTracking).
+ * @returns {PracticeSession|null} The current practice session, if any.
+ */
+export const getCurrentPracticeSession = () => (
+  getPracticeSessions()[getSharedGlobalVariable(KEY_CURRENT_PRACTICE_SESSION_ID)] || null
+);
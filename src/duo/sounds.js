@@ -1,11 +1,11 @@
 import { _, _1, _2, _3, it, lift } from 'one-liner.macro';
-import { hasObjectProperty, isNumber, isObject } from '../utils/functions';
+import { hasObjectProperty, isFunction, isNumber, isObject, isString, noop } from '../utils/functions';
 import { getUniqueKey, overrideInstanceMethod, overrideOwnPropertyDescriptor } from '../utils/internal';
 
 /**
  * @type {boolean}
  */
-export const IS_AUDIO_PLAYBACK_SUPPORTED = false;
+export const IS_AUDIO_PLAYBACK_SUPPORTED = true;
 
 /**
  * @type {string}
@@ -72,12 +72,19 @@ export const SOUND_PLAYBACK_STRATEGY_AUDIO = 'audio';
  */
 export const SOUND_PLAYBACK_STRATEGY_HOWLER = 'howler';
 
+/**
+ * Sounds played using "AudioBufferSourceNode" objects from the Web Audio API.
+ * @type {string}
+ */
+export const SOUND_PLAYBACK_STRATEGY_WEB_AUDIO = 'web_audio';
+
 /**
  * @type {string[]}
  */
 export const SOUND_PLAYBACK_STRATEGIES = [
   SOUND_PLAYBACK_STRATEGY_AUDIO,
   SOUND_PLAYBACK_STRATEGY_HOWLER,
+  SOUND_PLAYBACK_STRATEGY_WEB_AUDIO,
 ];
 
 /**
@@ -90,6 +97,23 @@ export const SOUND_SETTING_RATE = 'rate';
  */
 export const SOUND_SETTING_VOLUME = 'volume'
 
+/**
+ * The stereo panning of a sound, from -1.0 (left) to 1.0 (right).
+ * @type {string}
+ */
+export const SOUND_SETTING_PAN = 'pan';
+
+/**
+ * Whether the pitch of a sound is preserved when its playback rate is changed.
+ * @type {string}
+ */
+export const SOUND_SETTING_PRESERVE_PITCH = 'preserve_pitch';
+
+/**
+ * @type {string}
+ */
+export const SOUND_SETTING_LOOP = 'loop';
+
 
 /**
  * @type {string}
@@ -116,16 +140,70 @@ const getForcedSettingBaseValue = _.value;
  */
 const wrapForcedSettingBaseValue = { [FORCED_SETTING_KEY]: true, value: _ };
 
+/**
+ * @param {string} code The code of a sound setting.
+ * @returns {boolean} Whether the given setting is a flag, rather than a numeric value.
+ */
+const isBooleanSoundSetting = code => ('boolean' === typeof SOUND_SETTINGS[code]?.defaultValue);
+
 /**
  * @param {string} code The code of a sound setting.
  * @param {*} value A value for the given setting.
- * @returns {boolean} Whether the value is suitable for being applied to a "Howl" object from the "howler.js" library.
+ * @returns {boolean} Whether the value is suitable for being applied to a sound.
  */
-const isValidHowlSettingValue = (code, value) => (
-  (SOUND_SETTING_RATE === code) && isNumber(value)
-  || (SOUND_SETTING_VOLUME === code) && (value >= 0) && (value <= 1)
+const isValidSoundSettingValue = (code, value) => (
+  isBooleanSoundSetting(code)
+    ? ('boolean' === typeof value)
+    : isNumber(value) && ((SOUND_SETTING_VOLUME !== code) || ((value >= 0) && (value <= 1)))
 );
 
+/**
+ * @param {string} code The code of a sound setting.
+ * @param {*} originalValue The original value of the setting for a sound.
+ * @param {*} forcedValue A forced value for the setting, relative to the original value.
+ * @returns {*} The combination of both values, clamped if necessary.
+ */
+const combineSoundSettingValues = (code, originalValue, forcedValue) => {
+  if (isBooleanSoundSetting(code)) {
+    // Flags can not be combined: relative values behave like absolute values.
+    return forcedValue;
+  }
+
+  const combineValues = SOUND_SETTINGS[code].combineValues || ((original, forced) => original * forced);
+
+  return clampSoundSettingValue(code, combineValues(originalValue, forcedValue));
+};
+
+/**
+ * @param {string} code The code of a sound setting.
+ * @param {object} sound A sound object that may hold a forced value for the given setting.
+ * @param {*} value A setting value that was passed to a property setter.
+ * @returns {*} The value that should actually be applied to the property, taking into account the forced value (if any).
+ */
+const getPropertySettingValue = (code, sound, value) => {
+  const setting = SOUND_SETTINGS[code];
+
+  if (isValidSoundSettingValue(code, value)) {
+    sound[setting.originalValueKey] = value;
+
+    if (hasObjectProperty(sound, setting.valueKey)) {
+      if (!sound[setting.isRelativeKey]) {
+        value = sound[setting.valueKey];
+      } else {
+        value = combineSoundSettingValues(code, value, sound[setting.valueKey]);
+      }
+    }
+  } else if (isForcedSettingValue(value)) {
+    value = getForcedSettingBaseValue(value);
+  }
+
+  if (isValidSoundSettingValue(code, value)) {
+    sound[setting.listenerValueKey] = value;
+  }
+
+  return value;
+};
+
 /**
  * Applies the necessary overrides to ensure that the forced setting values on "Audio" objects are correctly handled,
  * and reapplied / recalculated whenever necessary.
@@ -134,34 +212,105 @@ const isValidHowlSettingValue = (code, value) => (
  * @returns {void}
  */
 const applyAudioSettingPropertyOverride = (code, propertyName) => (
-  overrideOwnPropertyDescriptor(HTMLMediaElement, propertyName, originalDescriptor => ({
+  // Some properties (such as "preservesPitch") are not supported by all browsers.
+  hasObjectProperty(HTMLMediaElement.prototype, propertyName)
+  && overrideOwnPropertyDescriptor(HTMLMediaElement.prototype, propertyName, originalDescriptor => ({
     ...originalDescriptor,
     set: function (value) {
-      const setting = SOUND_SETTINGS[code];
+      originalDescriptor.set.call(this, getPropertySettingValue(code, this, value));
+    }
+  }))
+);
 
-      if (isNumber(value)) {
-        this[setting.originalValueKey] = value;
+/**
+ * @type {string}
+ */
+const KEY_AUDIO_PARAM_SETTING = getUniqueKey('audio_param_setting');
 
-        if (hasObjectProperty(this, setting.valueKey)) {
-          if (!this[setting.isRelativeKey]) {
-            value = this[setting.valueKey];
-          } else {
-            value = clampSoundSettingValue(code, value * this[setting.valueKey]);
-          }
-        }
-      } else if (isForcedSettingValue(value)) {
-        value = getForcedSettingBaseValue(value);
-      }
+/**
+ * @type {string}
+ */
+const KEY_WEB_AUDIO_GAIN_NODE = getUniqueKey('web_audio_gain_node');
 
-      if (isNumber(value)) {
-        this[setting.listenerValueKey] = value;
-      }
+/**
+ * @type {string}
+ */
+const KEY_WEB_AUDIO_PLAYBACK = getUniqueKey('web_audio_playback');
+
+/**
+ * Applies the necessary overrides to ensure that the forced setting values on "AudioBufferSourceNode" objects
+ * are correctly handled, and reapplied / recalculated whenever necessary.
+ *
+ * The values of settings are held by "AudioParam" objects, that are bound to their sound when they are first used.
+ * @returns {void}
+ */
+const applyWebAudioSettingParamOverride = () => (
+  overrideOwnPropertyDescriptor(AudioParam.prototype, 'value', originalDescriptor => ({
+    ...originalDescriptor,
+    set: function (value) {
+      const binding = this[KEY_AUDIO_PARAM_SETTING];
 
-      originalDescriptor.set.call(this, value);
+      originalDescriptor.set.call(
+        this,
+        !binding ? value : getPropertySettingValue(binding.code, binding.sound, value)
+      );
     }
   }))
 );
 
+/**
+ * Applies the necessary overrides to insert a dedicated "GainNode" object between each newly connected
+ * "AudioBufferSourceNode" object and its destinations, allowing to control the volume of the corresponding sounds.
+ * @returns {void}
+ */
+export const applyWebAudioSourceOverrides = () => {
+  overrideInstanceMethod('AudioBufferSourceNode', 'connect', originalConnect => function (destination, ...args) {
+    if (!this[KEY_WEB_AUDIO_GAIN_NODE]) {
+      this[KEY_WEB_AUDIO_GAIN_NODE] = this.context.createGain();
+      originalConnect.call(this, this[KEY_WEB_AUDIO_GAIN_NODE]);
+    }
+
+    return this[KEY_WEB_AUDIO_GAIN_NODE].connect(destination, ...args);
+  });
+
+  overrideInstanceMethod('AudioBufferSourceNode', 'disconnect', originalDisconnect => function (...args) {
+    return this[KEY_WEB_AUDIO_GAIN_NODE]
+      ? this[KEY_WEB_AUDIO_GAIN_NODE].disconnect(...args)
+      : originalDisconnect.apply(this, args);
+  });
+};
+
+/**
+ * @param {string} code The code of a sound setting.
+ * @param {Function} getParam A function returning the audio parameter holding the setting value, given a source node.
+ * @param {*} source An "AudioBufferSourceNode" object.
+ * @returns {AudioParam|null} The audio parameter holding the setting value for the given source node, if any.
+ */
+const getWebAudioSettingParam = (code, getParam, source) => {
+  const param = getParam(source) || null;
+
+  if (param && !param[KEY_AUDIO_PARAM_SETTING]) {
+    param[KEY_AUDIO_PARAM_SETTING] = { code, sound: source };
+  }
+
+  return param;
+};
+
+/**
+ * Records the start of the playback of an "AudioBufferSourceNode" object,
+ * so that its position can be calculated later on.
+ * @param {*} source An "AudioBufferSourceNode" object.
+ * @param {number=} when The time at which the playback was scheduled, in the time coordinates of the audio context.
+ * @param {number=} offset The position at which the playback was started in the buffer.
+ * @returns {void}
+ */
+export const trackWebAudioSourcePlayback = (source, when = 0, offset = 0) => {
+  source[KEY_WEB_AUDIO_PLAYBACK] = {
+    startTime: Math.max(Number(when) || 0, source.context.currentTime),
+    offset: Number(offset) || 0,
+  };
+};
+
 /**
  * Applies the necessary overrides to ensure that the forced setting values on "Howl" objects are correctly handled,
  * and reapplied / recalculated whenever necessary.
@@ -186,7 +335,7 @@ const applyHowlSettingFunctionOverride = (code, functionName) => (
         if (isForcedSettingValue(args[0])) {
           isForcedValueUpdate = true;
           args[0] = getForcedSettingBaseValue(args[0]);
-        } else if (isValidHowlSettingValue(code, args[0])) {
+        } else if (isValidSoundSettingValue(code, args[0])) {
           self[setting.originalValueKey] = args[0];
 
           if (hasObjectProperty(self, setting.valueKey)) {
@@ -195,7 +344,7 @@ const applyHowlSettingFunctionOverride = (code, functionName) => (
             if (!self[setting.isRelativeKey]) {
               args[0] = self[setting.valueKey];
             } else {
-              args[0] = clampSoundSettingValue(code, args[0] * self[setting.valueKey]);
+              args[0] = combineSoundSettingValues(code, args[0], self[setting.valueKey]);
             }
           }
         }
@@ -219,28 +368,70 @@ const applyHowlSettingFunctionOverride = (code, functionName) => (
   })
 );
 
+/**
+ * @param {object} baseConfig The base configuration data for a setting.
+ * @returns {object} The set of functions usable for a playback strategy that does not support the setting.
+ */
+const getUnsupportedSoundSettingFunctions = baseConfig => ({
+  isSupported: false,
+  applyOverride: noop,
+  getter: () => baseConfig.defaultValue,
+  setter: noop,
+  hasQueuedUpdate: () => false,
+});
+
 /**
  * @param {string} code The code of a sound setting.
- * @param {string} audioPropertyName The name of the corresponding property on "Audio" objects.
- * @param {string} howlFunctionName The name of the corresponding function on "Howl" objects.
- * @param {object} baseConfig The base configuration data for the setting.
+ * @param {string|null} audioPropertyName The name of the corresponding property on "Audio" objects, if any.
+ * @param {string|object|null} howlFunctionName
+ * The name of the corresponding function on "Howl" objects, or a dedicated set of functions for "Howl" objects, if any.
+ * @param {Function|null} getWebAudioParam
+ * A function returning the audio parameter holding the setting value, given an "AudioBufferSourceNode" object, if any.
+ * @param {object} baseConfig
+ * The base configuration data for the setting.
+ * Flags have boolean min / max / default values, while the other settings have numeric values.
+ * Numeric settings can also define a "combineValues" function, used for calculating relative values
+ * from original and forced values (by default, the values are multiplied).
  * @returns {object} Full configuration data for the given setting.
  */
-const prepareSoundSettingConfig = (code, audioPropertyName, howlFunctionName, baseConfig) => (
+const prepareSoundSettingConfig = (code, audioPropertyName, howlFunctionName, getWebAudioParam, baseConfig) => (
   {
     ...baseConfig,
     functions: {
-      [SOUND_PLAYBACK_STRATEGY_AUDIO]: {
-        applyOverride: () => applyAudioSettingPropertyOverride(code, howlFunctionName),
+      [SOUND_PLAYBACK_STRATEGY_AUDIO]: !audioPropertyName ? getUnsupportedSoundSettingFunctions(baseConfig) : {
+        isSupported: true,
+        applyOverride: () => applyAudioSettingPropertyOverride(code, audioPropertyName),
         getter: lift(_[audioPropertyName]),
         setter: lift(_[audioPropertyName] = _),
         hasQueuedUpdate: () => false,
       },
-      [SOUND_PLAYBACK_STRATEGY_HOWLER]: {
-        applyOverride: () => applyHowlSettingFunctionOverride(code, howlFunctionName),
-        getter: lift(_[howlFunctionName]()),
-        setter: lift(it[howlFunctionName](_)),
-        hasQueuedUpdate: lift(it._queue.find(it.event === howlFunctionName)),
+      [SOUND_PLAYBACK_STRATEGY_HOWLER]: isObject(howlFunctionName) ? howlFunctionName : (
+        !isString(howlFunctionName) ? getUnsupportedSoundSettingFunctions(baseConfig) : {
+          // Some functions are only available once the corresponding plugin of "howler.js" is loaded.
+          get isSupported() {
+            return isFunction(window.Howl?.prototype?.[howlFunctionName]);
+          },
+          applyOverride: () => applyHowlSettingFunctionOverride(code, howlFunctionName),
+          getter: lift(_[howlFunctionName]()),
+          setter: lift(it[howlFunctionName](_)),
+          hasQueuedUpdate: lift(it._queue.find(it.event === howlFunctionName)),
+        }
+      ),
+      [SOUND_PLAYBACK_STRATEGY_WEB_AUDIO]: !getWebAudioParam ? getUnsupportedSoundSettingFunctions(baseConfig) : {
+        isSupported: true,
+        applyOverride: applyWebAudioSettingParamOverride,
+        getter: source => {
+          const param = getWebAudioSettingParam(code, getWebAudioParam, source);
+          return param ? param.value : baseConfig.defaultValue;
+        },
+        setter: (source, value) => {
+          const param = getWebAudioSettingParam(code, getWebAudioParam, source);
+
+          if (param) {
+            param.value = value;
+          }
+        },
+        hasQueuedUpdate: () => false,
       },
     },
     priorityKey: getUniqueKey(`${code}_priority`),
@@ -251,6 +442,56 @@ const prepareSoundSettingConfig = (code, audioPropertyName, howlFunctionName, ba
   }
 );
 
+/**
+ * @type {string}
+ */
+const KEY_HOWL_PRESERVES_PITCH = getUniqueKey('howl_preserves_pitch');
+
+/**
+ * @param {*} howl A "Howl" object from the "howler.js" library.
+ * @returns {HTMLMediaElement[]} The media elements used by the given "Howl" object to play its sounds, if any.
+ */
+const getHowlMediaElements = howl => (howl._sounds || [])
+  .map(sound => sound._node)
+  .filter(node => (node instanceof HTMLMediaElement));
+
+/**
+ * The functions usable to preserve the pitch of "Howl" objects.
+ *
+ * "howler.js" provides no such function, but in HTML5 mode, it plays sounds using <audio> nodes.
+ * The setting has no effect on the sounds played using the Web Audio API.
+ * @type {object}
+ */
+const HOWL_PRESERVE_PITCH_FUNCTIONS = {
+  isSupported: true,
+  applyOverride: () => {
+    applyAudioSettingPropertyOverride(SOUND_SETTING_PRESERVE_PITCH, 'preservesPitch');
+
+    // New <audio> nodes are created when all the existing ones are busy.
+    overrideInstanceMethod('Howl', '_inactiveSound', originalInactiveSound => function (...args) {
+      const sound = originalInactiveSound.apply(this, args);
+
+      if (hasObjectProperty(this, KEY_HOWL_PRESERVES_PITCH) && (sound?._node instanceof HTMLMediaElement)) {
+        sound._node.preservesPitch = this[KEY_HOWL_PRESERVES_PITCH];
+      }
+
+      return sound;
+    });
+  },
+  getter: howl => {
+    const value = getHowlMediaElements(howl)[0]?.preservesPitch;
+    return ('boolean' === typeof value) ? value : true;
+  },
+  setter: (howl, value) => {
+    howl[KEY_HOWL_PRESERVES_PITCH] = value;
+
+    getHowlMediaElements(howl).forEach(node => {
+      node.preservesPitch = value;
+    });
+  },
+  hasQueuedUpdate: () => false,
+};
+
 /**
  * @type {object}
  */
@@ -259,6 +500,7 @@ const SOUND_SETTINGS = {
     SOUND_SETTING_RATE,
     'playbackRate',
     'rate',
+    source => source.playbackRate,
     {
       minValue: 0.5,
       maxValue: 4.0,
@@ -269,12 +511,50 @@ const SOUND_SETTINGS = {
     SOUND_SETTING_VOLUME,
     'volume',
     'volume',
+    // Sounds that were connected before the necessary overrides were applied can not be controlled.
+    source => source[KEY_WEB_AUDIO_GAIN_NODE]?.gain,
     {
       minValue: 0.0,
       maxValue: 1.0,
       defaultValue: 1.0,
     }
   ),
+  [SOUND_SETTING_PAN]: prepareSoundSettingConfig(
+    SOUND_SETTING_PAN,
+    null,
+    // This function is provided by the spatial plugin of "howler.js", and only works with the Web Audio API.
+    'stereo',
+    null,
+    {
+      minValue: -1.0,
+      maxValue: 1.0,
+      defaultValue: 0.0,
+      // Relative values shift the original value.
+      combineValues: (original, forced) => original + forced,
+    }
+  ),
+  [SOUND_SETTING_PRESERVE_PITCH]: prepareSoundSettingConfig(
+    SOUND_SETTING_PRESERVE_PITCH,
+    'preservesPitch',
+    HOWL_PRESERVE_PITCH_FUNCTIONS,
+    null,
+    {
+      minValue: false,
+      maxValue: true,
+      defaultValue: true,
+    }
+  ),
+  [SOUND_SETTING_LOOP]: prepareSoundSettingConfig(
+    SOUND_SETTING_LOOP,
+    'loop',
+    'loop',
+    null,
+    {
+      minValue: false,
+      maxValue: true,
+      defaultValue: false,
+    }
+  ),
 };
 
 /**
@@ -330,11 +610,23 @@ export const getSoundSettingDefaultValue = getSoundSetting(_).defaultValue;
  * @param {number} value A value for the given setting.
  * @returns {number} The given value, clamped if necessary.
  */
-export const clampSoundSettingValue = (code, value) => (
-  !SOUND_SETTINGS[code]
-    ? value
-    : Math.max(SOUND_SETTINGS[code].minValue, Math.min(value, SOUND_SETTINGS[code].maxValue))
-);
+export const clampSoundSettingValue = (code, value) => {
+  if (!SOUND_SETTINGS[code]) {
+    return value;
+  }
+
+  return isBooleanSoundSetting(code)
+    ? !!value
+    : Math.max(SOUND_SETTINGS[code].minValue, Math.min(value, SOUND_SETTINGS[code].maxValue));
+};
+
+/**
+ * @type {Function}
+ * @param {string} code The code of a sound setting.
+ * @param {string} playbackStrategy A playback strategy.
+ * @returns {boolean} Whether the given setting can be applied to the sounds played using the given strategy.
+ */
+export const isSoundSettingSupported = getSoundSettingFunctions(_, _).isSupported;
 
 /**
  * @type {Function}
@@ -349,8 +641,9 @@ export const getSoundSettingValue = getSoundSettingFunctions(_1, _3).getter(_2);
  * Applies a new setting value to a sound.
  *
  * The new value can only be overridden by another call to setSoundSettingValue, with a high enough priority.
+ * Nothing happens if the setting is not supported by the playback strategy.
  * @param {string} code The code of a sound setting.
- * @param {number} value The new setting value.
+ * @param {number|boolean} value The new setting value.
  * @param {*} sound A sound object, whose type depends on the playback strategy.
  * @param {string} playbackStrategy The strategy used for playing the sound.
  * @param {boolean} isRelative Whether the forced value should be combined with the original value.
@@ -360,9 +653,10 @@ export const getSoundSettingValue = getSoundSettingFunctions(_1, _3).getter(_2);
 export const setSoundSettingValue = (code, value, sound, playbackStrategy, isRelative = false, priority = 1) => {
   const setting = getSoundSetting(code);
 
-  if (priority >= (Number(sound[setting.priorityKey]) || 0)) {
+  const functions = getSoundSettingFunctions(code, playbackStrategy);
+
+  if (functions.isSupported && (priority >= (Number(sound[setting.priorityKey]) || 0))) {
     const baseValue = clampSoundSettingValue(code, value);
-    const functions = getSoundSettingFunctions(code, playbackStrategy);
 
     functions.applyOverride();
 
@@ -378,16 +672,47 @@ export const setSoundSettingValue = (code, value, sound, playbackStrategy, isRel
       functions.setter(
         sound,
         wrapForcedSettingBaseValue(
-          clampSoundSettingValue(
-            code,
-            baseValue * (!isRelative ? 1 : sound[setting.originalValueKey])
-          )
+          !isRelative
+            ? baseValue
+            : combineSoundSettingValues(code, sound[setting.originalValueKey], baseValue)
         )
       );
     }
   }
 };
 
+/**
+ * @param {*} howl A "Howl" object from the "howler.js" library.
+ * @param {Function} predicate A predicate on the sounds of the pool.
+ * @returns {number|undefined} The ID of the first sound from the pool of the given "Howl" matching the predicate, if any.
+ */
+const findHowlSoundId = (howl, predicate) => howl._getSoundIds()
+  .map(soundId => howl._soundById(soundId))
+  .find(sound => sound && predicate(sound))
+  ?._id;
+
+/**
+ * Without a sound ID, seek() always targets the first sound in the pool, and pause() / stop() target all the sounds:
+ * https://github.com/goldfire/howler.js/blob/7c50da154af52bd4971ae75acbf6c078d256cd12/src/howler.core.js#L1584.
+ * This fails to take into account the fact that the "Howl" object may contain multiple sounds:
+ * when a play() is requested and all the existing sounds are "busy"
+ * (either locked, waiting for their <audio> node to be ready, or simply already playing),
+ * "howler.js" creates a clone of the original sound, that uses a new <audio> node for playing the sound.
+ * @param {*} howl A "Howl" object from the "howler.js" library.
+ * @returns {number|undefined}
+ * The ID of any sound from the pool of the given "Howl" object that isn't paused.
+ * If there's none, undefined, so that the first sound will be targeted.
+ */
+const getHowlPlayingSoundId = howl => findHowlSoundId(howl, sound => !sound._paused);
+
+/**
+ * @param {*} howl A "Howl" object from the "howler.js" library.
+ * @returns {number|undefined}
+ * The ID of any sound from the pool of the given "Howl" object that was paused before reaching its end.
+ * If there's none, undefined, so that the first sound will be targeted.
+ */
+const getHowlPausedSoundId = howl => findHowlSoundId(howl, sound => sound._paused && !sound._ended);
+
 /**
  * @param {*} howl A "Howl" object from the "howler.js" library.
  * @returns {number} The current position of the given "Howl" object.
@@ -408,27 +733,7 @@ const getHowlSoundPosition = howl => {
     howl._playLock = false;
   }
 
-  // seek() always returns the position of the first sound in the pool:
-  // https://github.com/goldfire/howler.js/blob/7c50da154af52bd4971ae75acbf6c078d256cd12/src/howler.core.js#L1584.
-  // This fails to take into account the fact that the "Howl" object may contain multiple sounds:
-  // when a play() is requested and all the existing sounds are "busy"
-  // (either locked, waiting for their <audio> node to be ready, or simply already playing),
-  // "howler.js" creates a clone of the original sound, that uses a new <audio> node for playing the sound.
-
-  // Find the ID of any sound that isn't paused. If there's none, the position of the first sound will do.
-  let soundId;
-  const soundIds = howl._getSoundIds();
-
-  for (let i = 0; i < soundIds.length; i++) {
-    const sound = howl._soundById(soundIds[i]);
-
-    if (!sound._paused) {
-      soundId = sound._id;
-      break;
-    }
-  }
-
-  const position = Number(howl.seek(soundId));
+  const position = Number(howl.seek(getHowlPlayingSoundId(howl)));
 
   if (wasLocked) {
     howl._playLock = true;
@@ -437,27 +742,154 @@ const getHowlSoundPosition = howl => {
   return isNaN(position) ? 0.0 : position;
 };
 
+/**
+ * @param {*} source An "AudioBufferSourceNode" object.
+ * @returns {number}
+ * The current position of the given source node, if its playback was tracked.
+ * Changes of the playback rate during the playback are not taken into account.
+ */
+const getWebAudioSoundPosition = source => {
+  const playback = source[KEY_WEB_AUDIO_PLAYBACK];
+  const duration = Number(source.buffer?.duration) || 0;
+
+  if (!playback || (duration <= 0)) {
+    return 0.0;
+  }
+
+  const position = playback.offset
+    + Math.max(0, source.context.currentTime - playback.startTime) * source.playbackRate.value;
+
+  return source.loop ? (position % duration) : Math.min(position, duration);
+};
+
 /**
  * @param {*} sound A sound object, whose type depends on the playback strategy.
  * @param {string} playbackStrategy The strategy used for playing the sound.
  * @returns {number} The current position of the sound.
  */
-export const getSoundPosition = (sound, playbackStrategy) => (
-  (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy)
-    ? sound.currentTime
-    : getHowlSoundPosition(sound)
-);
+export const getSoundPosition = (sound, playbackStrategy) => {
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    return sound.currentTime;
+  } else if (SOUND_PLAYBACK_STRATEGY_WEB_AUDIO === playbackStrategy) {
+    return getWebAudioSoundPosition(sound);
+  }
+
+  return getHowlSoundPosition(sound);
+};
 
 /**
  * @param {*} sound A sound object, whose type depends on the playback strategy.
  * @param {string} playbackStrategy The strategy used for playing the sound.
  * @returns {number} The duration of the sound.
  */
-export const getSoundDuration = (sound, playbackStrategy) => (
-  (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy)
-    ? sound.duration
-    : sound.duration()
-);
+export const getSoundDuration = (sound, playbackStrategy) => {
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    return sound.duration;
+  } else if (SOUND_PLAYBACK_STRATEGY_WEB_AUDIO === playbackStrategy) {
+    return Number(sound.buffer?.duration) || 0.0;
+  }
+
+  return sound.duration();
+};
+
+/**
+ * Moves the playhead of a sound.
+ *
+ * With "howler.js", the seek is queued if the sound is not ready yet, or if a playback is about to start.
+ * Sounds played using the Web Audio API can not be seeked.
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @param {number} position The new position of the sound, in seconds.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {boolean} Whether the playhead could be moved.
+ */
+export const seekSound = (sound, position, playbackStrategy) => {
+  const duration = getSoundDuration(sound, playbackStrategy);
+  // The duration of a sound is unknown (NaN or 0, depending on the strategy) as long as it is not loaded.
+  const clampedPosition = Math.max(0, (isNumber(duration) && (duration > 0)) ? Math.min(position, duration) : position);
+
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    sound.currentTime = clampedPosition;
+  } else if (SOUND_PLAYBACK_STRATEGY_HOWLER === playbackStrategy) {
+    const soundId = getHowlPlayingSoundId(sound);
+    // Paused sounds must also keep their new position when they are resumed.
+    sound.seek(clampedPosition, (undefined !== soundId) ? soundId : getHowlPausedSoundId(sound));
+  } else {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Pauses a sound.
+ *
+ * Sounds played using the Web Audio API can not be paused, only stopped.
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {boolean} Whether the sound could be paused.
+ */
+export const pauseSound = (sound, playbackStrategy) => {
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    sound.pause();
+  } else if (SOUND_PLAYBACK_STRATEGY_HOWLER === playbackStrategy) {
+    sound.pause(getHowlPlayingSoundId(sound));
+  } else {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Resumes a paused sound.
+ *
+ * This goes through the usual playback events, so that listeners can still cancel the playback.
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {boolean} Whether the playback of the sound could be resumed.
+ */
+export const resumeSound = (sound, playbackStrategy) => {
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    sound.play()?.catch(noop);
+  } else if (SOUND_PLAYBACK_STRATEGY_HOWLER === playbackStrategy) {
+    const soundId = getHowlPausedSoundId(sound);
+
+    // Without an ID, "howler.js" would create a new sound.
+    if (undefined === soundId) {
+      return false;
+    }
+
+    sound.play(soundId);
+  } else {
+    return false;
+  }
+
+  return true;
+};
+
+/**
+ * Stops a sound, and moves its playhead back to the start.
+ * @param {*} sound A sound object, whose type depends on the playback strategy.
+ * @param {string} playbackStrategy The strategy used for playing the sound.
+ * @returns {boolean} Whether the sound could be stopped.
+ */
+export const stopSound = (sound, playbackStrategy) => {
+  if (SOUND_PLAYBACK_STRATEGY_AUDIO === playbackStrategy) {
+    sound.pause();
+    sound.currentTime = 0;
+  } else if (SOUND_PLAYBACK_STRATEGY_HOWLER === playbackStrategy) {
+    sound.stop(getHowlPlayingSoundId(sound));
+  } else {
+    try {
+      sound.stop();
+    } catch (error) {
+      // The source node has not been started yet.
+      return false;
+    }
+  }
+
+  return true;
+};
 
 export {
   PRIORITY_LOWEST,
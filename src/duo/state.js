@@ -0,0 +1,172 @@
+import {
+  getValueAtPath,
+  isArray,
+  isNumber,
+  isObject,
+  isString,
+  toNullableBoolean,
+  toNullableString,
+} from '../utils/functions';
+
+import { getDuoState } from './context';
+import { parseCourse } from './courses';
+import { parseUser } from './users';
+
+/**
+ * @typedef {object} StateStreak
+ * @property {number} length The length of the current streak, in days.
+ * @property {boolean} isExtendedToday Whether the streak has already been extended today.
+ */
+
+/**
+ * @typedef {object} StateSkill
+ * @property {string} id The ID of the skill.
+ * @property {string|null} name The name of the skill.
+ * @property {number} levels The number of levels of the skill.
+ * @property {number} finishedLevels The number of levels of the skill that have been finished.
+ * @property {boolean} isAccessible Whether the skill is accessible to the user.
+ */
+
+/**
+ * @typedef {object} StateSettings
+ * @property {boolean|null} areSoundEffectsEnabled Whether sound effects are enabled.
+ * @property {boolean|null} isSpeakerEnabled Whether listening challenges are enabled.
+ * @property {boolean|null} isMicrophoneEnabled Whether speaking challenges are enabled.
+ * @property {string|null} uiLanguage The language of the UI.
+ */
+
+/**
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {import('./users').User|null} The current user, if any.
+ */
+export const getStateUser = (state = getDuoState()) => parseUser(state?.user);
+
+/**
+ * @returns {string|null} The ID of the logged-in user, as found in the payload of the authentication token, if any.
+ */
+const getAuthenticatedUserId = () => {
+  try {
+    const token = document.cookie.match(/(?:^|;\s*)jwt_token=([^;]+)/)?.[1];
+
+    if (!token) {
+      return null;
+    }
+
+    const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+
+    return toNullableString(payload?.sub);
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {string|null}
+ * The ID of the current user, from the Duo state, or from the authentication token if the state is not available yet.
+ */
+export const getCurrentUserId = (state = getDuoState()) => (
+  toNullableString(state?.user?.id)
+  || getAuthenticatedUserId()
+);
+
+/**
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {import('./courses').Course|null} The course that the current user is following, if any.
+ */
+export const getStateCurrentCourse = (state = getDuoState()) => {
+  const user = getStateUser(state);
+
+  if (!user) {
+    return null;
+  }
+
+  const course = isString(user.currentCourseId) && parseCourse(state.courses?.[user.currentCourseId]);
+
+  if (course) {
+    return course;
+  }
+
+  return !isString(user.currentCourseId) || !isString(user.fromLanguage) || !isString(user.learningLanguage)
+    ? null
+    : {
+      id: user.currentCourseId,
+      fromLanguage: user.fromLanguage,
+      toLanguage: user.learningLanguage,
+    };
+};
+
+/**
+ * @param {*} skill Raw data about a skill.
+ * @returns {StateSkill|null} The parsed skill, if it is valid. Otherwise, null.
+ */
+const parseStateSkill = skill => (
+  isObject(skill)
+  && (isString(skill.id) || isNumber(skill.id))
+  && {
+    id: String(skill.id),
+    name: toNullableString(skill.name),
+    levels: Number(skill.levels) || 0,
+    finishedLevels: Number(skill.finishedLevels) || 0,
+    isAccessible: (false !== skill.accessible),
+  }
+  || null
+);
+
+/**
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {StateSkill[][]} The rows of skills making up the tree of the current course.
+ */
+export const getStateSkillTree = (state = getDuoState()) => {
+  const course = getStateCurrentCourse(state);
+  const skills = isObject(state?.skills) ? state.skills : {};
+  const rows = course && state.courses?.[course.id]?.skills;
+
+  if (!isArray(rows)) {
+    return [];
+  }
+
+  return rows
+    .filter(isArray)
+    .map(row => row.map(skillId => parseStateSkill(skills[skillId])).filter(isObject))
+    .filter(row => row.length > 0);
+};
+
+/**
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {StateStreak|null} Data about the streak of the current user, if any.
+ */
+export const getStateStreak = (state = getDuoState()) => {
+  const user = state?.user;
+
+  return !isObject(user) || !isNumber(user.streak)
+    ? null
+    : {
+      length: user.streak,
+      isExtendedToday: !!user.streakExtendedToday,
+    };
+};
+
+/**
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {StateSettings|null} The settings of the current user, if any.
+ */
+export const getStateSettings = (state = getDuoState()) => {
+  const user = state?.user;
+
+  return !isObject(user)
+    ? null
+    : {
+      areSoundEffectsEnabled: toNullableBoolean(user.enableSoundEffects),
+      isSpeakerEnabled: toNullableBoolean(user.enableSpeaker),
+      isMicrophoneEnabled: toNullableBoolean(user.enableMicrophone),
+      uiLanguage: toNullableString(user.uiLanguage || user.fromLanguage),
+    };
+};
+
+/**
+ * @param {string|string[]} path A path, either as a list of keys, or as a string of dot-separated keys.
+ * @param {object=} state A Duo state. Defaults to the current state.
+ * @returns {*|undefined} The raw value at the given path in the Duo state, if it exists.
+ */
+export const getStateValue = (path, state = getDuoState()) => getValueAtPath(state, path);
@@ -0,0 +1,169 @@
+import { isArray, isNumber, isObject, isString, toNullableBoolean, toNullableString } from '../utils/functions';
+import { parseCourse } from './courses';
+
+/**
+ * @type {string}
+ */
+export const FOLLOW_LIST_TYPE_FOLLOWERS = 'followers';
+
+/**
+ * @type {string}
+ */
+export const FOLLOW_LIST_TYPE_FOLLOWING = 'following';
+
+/**
+ * @typedef {object} UserStreak
+ * @property {number} length The length of the current streak, in days.
+ * @property {boolean|null} isExtendedToday Whether the streak has already been extended today, if known.
+ * @property {string|null} startDate The date when the streak started (YYYY-MM-DD), if known.
+ * @property {number|null} freezeCount The number of streak freezes currently equipped by the user, if known.
+ */
+
+/**
+ * @typedef {object} UserHearts
+ * @property {number|null} count The current number of hearts, if known.
+ * @property {number|null} maxCount The maximum number of hearts, if known.
+ * @property {boolean} isUnlimited Whether the user has unlimited hearts.
+ */
+
+/**
+ * @typedef {import('./courses').Course & { xp: number|null }} UserCourse
+ */
+
+/**
+ * @typedef {object} User
+ * @property {string} id The ID of the user.
+ * @property {string|null} username The username of the user.
+ * @property {string|null} displayName The name of the user, as displayed on their profile.
+ * @property {string|null} avatarUrl The URL of the avatar of the user.
+ * @property {UserStreak|null} streak Data about the streak of the user, if known.
+ * @property {number|null} totalXp The total XP earned by the user, if known.
+ * @property {boolean|null} hasSubscription Whether the user has a subscription, if known.
+ * @property {string|null} subscriptionLevel The level of the subscription of the user, if known.
+ * @property {number|null} gems The number of gems owned by the user, if known.
+ * @property {UserHearts|null} hearts Data about the hearts of the user, if known.
+ * @property {string|null} uiLanguage The language of the UI, if known.
+ * @property {string|null} fromLanguage The language the user speaks, if known.
+ * @property {string|null} learningLanguage The language the user is currently learning, if known.
+ * @property {string|null} currentCourseId The ID of the course the user is currently following, if known.
+ * @property {string|null} timezone The timezone of the user, if known.
+ * @property {UserCourse[]|null} courses The courses followed by the user, with the XP earned in each, if known.
+ */
+
+/**
+ * @param {...*} values Some values.
+ * @returns {*|undefined} The first of the given values that is neither null nor undefined, if any.
+ */
+const firstDefined = (...values) => values.find(value => (undefined !== value) && (null !== value));
+
+/**
+ * @param {*} url The raw URL of an avatar.
+ * @returns {string|null} The given URL, made absolute, if it is valid.
+ */
+const parseAvatarUrl = url => (
+  !isString(url) || ('' === url)
+    ? null
+    // Avatar URLs are usually protocol-relative.
+    : (url.startsWith('//') ? `https:${url}` : url)
+);
+
+/**
+ * @param {object} userData Raw data about a user.
+ * @returns {number|null} The number of streak freezes equipped by the given user, if known.
+ */
+const getStreakFreezeCount = userData => {
+  if (!isArray(userData.shopItems)) {
+    return null;
+  }
+
+  const freeze = userData.shopItems.find(item => isObject(item) && ('streak_freeze' === item.id));
+
+  // Items without a quantity can only be equipped once.
+  return !freeze ? 0 : (isNumber(freeze.quantity) ? freeze.quantity : 1);
+};
+
+/**
+ * @param {object} userData Raw data about a user.
+ * @returns {UserStreak|null} Data about the streak of the given user, if known.
+ */
+const parseUserStreak = userData => {
+  const currentStreak = isObject(userData.streakData?.currentStreak) ? userData.streakData.currentStreak : null;
+  const length = firstDefined(userData.streak, currentStreak?.length);
+
+  return !isNumber(length)
+    ? null
+    : {
+      length,
+      isExtendedToday: toNullableBoolean(firstDefined(userData.streakExtendedToday, userData.streak_extended_today)),
+      startDate: toNullableString(currentStreak?.startDate),
+      freezeCount: getStreakFreezeCount(userData),
+    };
+};
+
+/**
+ * @param {object} userData Raw data about a user.
+ * @returns {UserHearts|null} Data about the hearts of the given user, if known.
+ */
+const parseUserHearts = userData => (
+  !isObject(userData.health)
+    ? null
+    : {
+      count: isNumber(userData.health.hearts) ? userData.health.hearts : null,
+      maxCount: isNumber(userData.health.maxHearts) ? userData.health.maxHearts : null,
+      isUnlimited: !!userData.health.unlimitedHeartsAvailable,
+    }
+);
+
+/**
+ * @param {*} courseData Raw data about a course followed by a user.
+ * @returns {UserCourse|null} The parsed course, if it is valid.
+ */
+const parseUserCourse = courseData => {
+  const course = parseCourse(courseData);
+
+  return course && {
+    ...course,
+    xp: isNumber(courseData.xp) ? courseData.xp : null,
+  };
+};
+
+/**
+ * Parses data about a user, as returned by any of the APIs that describe users.
+ *
+ * The same model is used for the current user (including in the Duo state) and for the other users (profiles, etc.),
+ * but the data returned by the different APIs are not equally detailed: unknown values are set to null.
+ * @param {*} userData Raw data about a user.
+ * @returns {User|null} The parsed user, if the data are valid.
+ */
+export const parseUser = userData => {
+  if (!isObject(userData)) {
+    return null;
+  }
+
+  const id = toNullableString(firstDefined(userData.id, userData.userId, userData.user_id));
+
+  if (null === id) {
+    return null;
+  }
+
+  const isSubscriber = firstDefined(userData.hasPlus, userData.hasSubscription, userData.has_plus);
+
+  return {
+    id,
+    username: toNullableString(userData.username),
+    displayName: toNullableString(firstDefined(userData.name, userData.displayName, userData.display_name)),
+    avatarUrl: parseAvatarUrl(firstDefined(userData.picture, userData.avatarUrl, userData.avatar_url)),
+    streak: parseUserStreak(userData),
+    totalXp: isNumber(userData.totalXp) ? userData.totalXp : null,
+    hasSubscription: toNullableBoolean(isSubscriber),
+    subscriptionLevel: toNullableString(userData.subscriberLevel),
+    gems: isNumber(userData.gems) ? userData.gems : null,
+    hearts: parseUserHearts(userData),
+    uiLanguage: toNullableString(firstDefined(userData.uiLanguage, userData.fromLanguage)),
+    fromLanguage: toNullableString(userData.fromLanguage),
+    learningLanguage: toNullableString(userData.learningLanguage),
+    currentCourseId: toNullableString(firstDefined(userData.currentCourseId, userData.courseId)),
+    timezone: toNullableString(userData.timezone),
+    courses: isArray(userData.courses) ? userData.courses.map(parseUserCourse).filter(isObject) : null,
+  };
+};
@@ -63,6 +63,18 @@ export const isFunction = ('function' === typeof _);
  */
 export const isBlob = (_1 instanceof Blob) || (Object.prototype.toString.call(_1) === '[object Blob]');
 
+/**
+ * @param {*} value A value.
+ * @returns {string|null} The given value as a string, if it is a non-empty string or a number. Otherwise, null.
+ */
+export const toNullableString = value => ((isString(value) && ('' !== value)) || isNumber(value)) ? String(value) : null;
+
+/**
+ * @param {*} value A value.
+ * @returns {boolean|null} The given value, if it is a boolean. Otherwise, null.
+ */
+export const toNullableBoolean = value => ('boolean' === typeof value) ? value : null;
+
 /**
  * @type {Function}
  * @param {object} Object The tested object.
@@ -439,3 +451,91 @@ export const getUrlPath = url => {
 
   return path;
 };
+
+/**
+ * @param {string} url A URL of any shape.
+ * @returns {{[key: string]: string|string[]}}
+ * The parameters of the query string of the given URL.
+ * The values of the parameters that are repeated are grouped in arrays.
+ */
+export const getUrlQuery = url => {
+  const query = {};
+  let searchParams;
+
+  try {
+    searchParams = new URL(url, 'https://localhost').searchParams;
+  } catch (error) {
+    return query;
+  }
+
+  for (const [ key, value ] of searchParams.entries()) {
+    if (!hasObjectProperty(query, key)) {
+      query[key] = value;
+    } else {
+      query[key] = [].concat(query[key], value);
+    }
+  }
+
+  return query;
+};
+
+/**
+ * @param {string|string[]|null} path A path, either as a list of keys, or as a string of dot-separated keys.
+ * @returns {string[]} The keys making up the given path.
+ */
+export const getPathKeys = path => (
+  isArray(path)
+    ? path.map(String)
+    : (isString(path) && ('' !== path) ? path.split('.') : [])
+);
+
+/**
+ * @param {*} value A value.
+ * @param {string|string[]|null} path A path, either as a list of keys, or as a string of dot-separated keys.
+ * @returns {*|undefined} The value at the given path, if it exists.
+ */
+export const getValueAtPath = (value, path) => {
+  let result = value;
+
+  for (const key of getPathKeys(path)) {
+    if (!isObject(result) && !isArray(result)) {
+      return undefined;
+    }
+
+    result = result[key];
+  }
+
+  return result;
+};
+
+/**
+ * @typedef {object} ValueChange
+ * @property {string[]} path The path of the changed value.
+ * @property {*} oldValue The old value.
+ * @property {*} newValue The new value.
+ */
+
+/**
+ * @param {*} oldValue A value.
+ * @param {*} newValue Another value.
+ * @param {string[]} path The path of the compared values.
+ * @returns {ValueChange[]}
+ * The changes between the two values, for each of the deepest paths where a difference was found.
+ * Plain objects and arrays are compared recursively, and other values are compared for strict equality.
+ */
+export const diffValues = (oldValue, newValue, path = []) => {
+  if (oldValue === newValue) {
+    return [];
+  }
+
+  const areObjects = isObject(oldValue) && isObject(newValue);
+  const areArrays = isArray(oldValue) && isArray(newValue);
+
+  if (!areObjects && !areArrays) {
+    return [ { path, oldValue, newValue } ];
+  }
+
+  const keys = new Set(Object.keys(oldValue).concat(Object.keys(newValue)));
+
+  return Array.from(keys).flatMap(key => diffValues(oldValue[key], newValue[key], path.concat([ key ])));
+};
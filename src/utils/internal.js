@@ -250,6 +250,24 @@ export const onConstructorCall = (name, callback, listenerId, listenerVersion =
   )
 );
 
+/**
+ * @param {string} name The name of a property.
+ * @returns {string} The key under which the original descriptor of the property is stored when it is overridden.
+ */
+const getOriginalPropertyDescriptorKey = name => getUniqueKey(`${name}_original_descriptor`);
+
+/**
+ * @param {object} host The object that owns the property.
+ * @param {string} name The name of the property.
+ * @returns {object|undefined}
+ * The descriptor of the property, as it was before being overridden using overrideOwnPropertyDescriptor(), if it was.
+ */
+export const getOriginalPropertyDescriptor = (host, name) => (
+  hasObjectProperty(host, getOriginalPropertyDescriptorKey(name))
+    ? host[getOriginalPropertyDescriptorKey(name)]
+    : Object.getOwnPropertyDescriptor(host, name)
+);
+
 /**
  * Applies an override to the descriptor of an object property.
  *
@@ -266,13 +284,15 @@ export const overrideOwnPropertyDescriptor = (host, name, applyOverride, overrid
   }
 
   const overrideKey = getUniqueKey(`${name}_override_version`);
+  const originalKey = getOriginalPropertyDescriptorKey(name);
 
   if (overrideVersion > (Number(host[overrideKey]) || 0)) {
-    Object.defineProperty(
-      host,
-      name,
-      applyOverride(Object.getOwnPropertyDescriptor(host, name))
-    );
+    if (!hasObjectProperty(host, originalKey)) {
+      host[originalKey] = Object.getOwnPropertyDescriptor(host, name);
+    }
+
+    Object.defineProperty(host, name, applyOverride(host[originalKey]));
+    host[overrideKey] = overrideVersion;
   }
 };
 
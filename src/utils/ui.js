@@ -2,11 +2,12 @@ import { bumpGlobalCounter } from './internal';
 
 /**
  * @param {string[]} selectors A list of selectors.
+ * @param {Document|Element} root The element in which to search.
  * @returns {Element|null} The first element to match any of the selectors, tested in order.
  */
-export const querySelectors = selectors => {
+export const querySelectors = (selectors, root = document) => {
   for (let i = 0; i < selectors.length; i++) {
-    const element = document.querySelector(selectors[i]);
+    const element = root.querySelector(selectors[i]);
 
     if (element instanceof Element) {
       return element;
@@ -16,6 +17,23 @@ export const querySelectors = selectors => {
   return null;
 }
 
+/**
+ * @param {string[]} selectors A list of selectors.
+ * @param {Document|Element} root The element in which to search.
+ * @returns {Element[]} The elements matching the first of the selectors that matches any element, tested in order.
+ */
+export const queryAllSelectors = (selectors, root = document) => {
+  for (let i = 0; i < selectors.length; i++) {
+    const elements = root.querySelectorAll(selectors[i]);
+
+    if (elements.length > 0) {
+      return Array.from(elements);
+    }
+  }
+
+  return [];
+}
+
 /**
  * @param {Event} event The UI event to discard.
  * @returns {void}
@@ -222,3 +240,26 @@ export const triggerContentDownload = (content, mimeType = 'text/plain', fileNam
     downloadLink.click();
   }
 };
+
+/**
+ * Sets the value of an input, and notifies the frameworks that may be controlling it, such as React.
+ *
+ * The native setter is used because React overrides the "value" property of the inputs that it controls,
+ * and would otherwise ignore the following "input" event.
+ * @param {HTMLInputElement|HTMLTextAreaElement} input An input.
+ * @param {string} value The new value of the input.
+ * @returns {void}
+ */
+export const setInputValue = (input, value) => {
+  const prototype = (input instanceof HTMLTextAreaElement) ? HTMLTextAreaElement.prototype : HTMLInputElement.prototype;
+  const valueSetter = Object.getOwnPropertyDescriptor(prototype, 'value')?.set;
+
+  if (valueSetter) {
+    valueSetter.call(input, value);
+  } else {
+    input.value = value;
+  }
+
+  input.dispatchEvent(new Event('input', { bubbles: true }));
+  input.dispatchEvent(new Event('change', { bubbles: true }));
+};
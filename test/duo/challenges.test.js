@@ -0,0 +1,256 @@
+import {
+  ANSWER_TYPE_CHOICE,
+  ANSWER_TYPE_NONE,
+  ANSWER_TYPE_PAIRS,
+  ANSWER_TYPE_SPEECH,
+  ANSWER_TYPE_TEXT,
+  ANSWER_TYPE_TOKENS,
+  CHALLENGE_TYPE_ASSIST,
+  CHALLENGE_TYPE_DIALOGUE,
+  CHALLENGE_TYPE_LISTEN_ISOLATION,
+  CHALLENGE_TYPE_MATCH,
+  CHALLENGE_TYPE_SPEAK,
+  CHALLENGE_TYPE_TAP_COMPLETE,
+  CHALLENGE_TYPE_TRANSLATE,
+  CHALLENGE_TYPE_TYPE_CLOZE,
+  CHALLENGE_TYPES,
+  RESULT_CONFIDENCE_HIGH,
+  RESULT_CONFIDENCE_LOW,
+  RESULT_CONFIDENCE_MEDIUM,
+  RESULT_CONFIDENCE_NONE,
+  RESULT_CORRECT,
+  RESULT_INCORRECT,
+  RESULT_NONE,
+  RESULT_SIGNAL_LIVE_REGION,
+  RESULT_SIGNAL_RESULT_BANNER,
+  RESULT_SIGNAL_SESSION_PROGRESS,
+  RESULT_SIGNAL_SOUND_EFFECT,
+  UNSUPPORTED_REASON_INVALID_DATA,
+  UNSUPPORTED_REASON_UNEXPECTED_SHAPE,
+  UNSUPPORTED_REASON_UNKNOWN_TYPE,
+  getChallengeTypeAnswerType,
+  parseChallenge,
+  resolveChallengeResult,
+} from '../../src/duo/challenges';
+
+describe('getChallengeTypeAnswerType', () => {
+  test('knows the answer type of every challenge type', () => {
+    CHALLENGE_TYPES.forEach(type => expect(getChallengeTypeAnswerType(type)).not.toBe(ANSWER_TYPE_NONE));
+  });
+
+  test('returns no answer type for unknown challenge types', () => {
+    expect(getChallengeTypeAnswerType('unknownType')).toBe(ANSWER_TYPE_NONE);
+  });
+});
+
+describe('parseChallenge', () => {
+  test('parses choice challenges and derives their solutions', () => {
+    const model = parseChallenge({
+      id: 'abc',
+      type: CHALLENGE_TYPE_ASSIST,
+      prompt: 'cat',
+      choices: [ 'chien', { text: 'chat', tts: 'https://example.com/chat.mp3' }, 'oiseau' ],
+      correctIndex: 1,
+      metadata: { source_language: 'en', target_language: 'fr' },
+    });
+
+    expect(model).toMatchObject({
+      isSupported: true,
+      id: 'abc',
+      type: CHALLENGE_TYPE_ASSIST,
+      answerType: ANSWER_TYPE_CHOICE,
+      prompt: 'cat',
+      correctIndices: [ 1 ],
+      solutions: [ 'chat' ],
+      sourceLanguage: 'en',
+      targetLanguage: 'fr',
+    });
+
+    expect(model.choices[1]).toEqual({
+      text: 'chat',
+      tts: 'https://example.com/chat.mp3',
+      image: null,
+      transliteration: null,
+    });
+  });
+
+  test('parses the options of listening isolation challenges as choices', () => {
+    const model = parseChallenge({
+      type: CHALLENGE_TYPE_LISTEN_ISOLATION,
+      options: [ { text: 'le' }, { text: 'la' } ],
+      correctIndex: 0,
+    });
+
+    expect(model.isSupported).toBe(true);
+    expect(model.choices.map(choice => choice.text)).toEqual([ 'le', 'la' ]);
+    expect(model.solutions).toEqual([ 'le' ]);
+  });
+
+  test('fills in the blanks of the statement with the correct tokens', () => {
+    const model = parseChallenge({
+      type: CHALLENGE_TYPE_TAP_COMPLETE,
+      displayTokens: [
+        { text: 'Je ' },
+        { text: 'suis', isBlank: true },
+        { text: ' ' },
+        { text: 'là', isBlank: true },
+      ],
+      choices: [ { text: 'là' }, { text: 'suis' }, { text: 'es' } ],
+      correctIndices: [ 1, 0 ],
+    });
+
+    expect(model.answerType).toBe(ANSWER_TYPE_TOKENS);
+    expect(model.promptTokens.filter(token => token.isBlank)).toHaveLength(2);
+    expect(model.solutions).toEqual([ 'Je suis là' ]);
+  });
+
+  test('derives the solutions of text cloze challenges from the statement', () => {
+    const model = parseChallenge({
+      type: CHALLENGE_TYPE_TYPE_CLOZE,
+      displayTokens: [ { text: 'Il ' }, { text: 'mange', isBlank: true }, { text: '.' } ],
+    });
+
+    expect(model.answerType).toBe(ANSWER_TYPE_TEXT);
+    expect(model.solutions).toEqual([ 'Il mange.' ]);
+  });
+
+  test('parses the hints of display tokens', () => {
+    const model = parseChallenge({
+      type: CHALLENGE_TYPE_TYPE_CLOZE,
+      displayTokens: [
+        {
+          text: 'chat',
+          hintToken: {
+            value: 'chat',
+            hintTable: { rows: [ { cells: [ { hint: 'cat' } ] } ] },
+            tts: 'https://example.com/chat.mp3',
+          },
+        },
+      ],
+      correctSolutions: [ 'chat' ],
+    });
+
+    expect(model.promptTokens).toEqual([
+      { text: 'chat', isBlank: false, hints: [ 'cat' ], tts: 'https://example.com/chat.mp3' },
+    ]);
+  });
+
+  test('parses pairs and skips invalid ones', () => {
+    const model = parseChallenge({
+      type: CHALLENGE_TYPE_MATCH,
+      pairs: [ { learningToken: 'chat', fromToken: 'cat' }, { fromToken: 'dog' }, null ],
+    });
+
+    expect(model.answerType).toBe(ANSWER_TYPE_PAIRS);
+    expect(model.pairs).toEqual([ { learningText: 'chat', fromText: 'cat', tts: null } ]);
+  });
+
+  test('parses the lines of dialogues', () => {
+    const model = parseChallenge({
+      type: CHALLENGE_TYPE_DIALOGUE,
+      dialogue: [ { text: 'Bonjour !', speaker: 'Lily', hintTokens: [ { value: 'Bonjour' } ] } ],
+      choices: [ 'Salut !', 'Merci !' ],
+      correctIndex: 0,
+    });
+
+    expect(model.dialogue).toEqual([
+      {
+        text: 'Bonjour !',
+        speaker: 'Lily',
+        tokens: [ { text: 'Bonjour', isBlank: false, hints: [], tts: null } ],
+        tts: null,
+      },
+    ]);
+  });
+
+  test('uses the statement as the solution of speaking challenges', () => {
+    const model = parseChallenge({ type: CHALLENGE_TYPE_SPEAK, prompt: 'Bonjour.' });
+
+    expect(model.answerType).toBe(ANSWER_TYPE_SPEECH);
+    expect(model.solutions).toEqual([ 'Bonjour.' ]);
+  });
+
+  test('detects translations answered using a word bank', () => {
+    const challenge = { type: CHALLENGE_TYPE_TRANSLATE, prompt: 'The cat', correctSolutions: [ 'Le chat' ] };
+
+    expect(parseChallenge(challenge).answerType).toBe(ANSWER_TYPE_TEXT);
+
+    expect(parseChallenge({
+      ...challenge,
+      choices: [ 'Le', 'chat', 'chien' ],
+      correctTokens: [ 'Le', 'chat' ],
+    }).answerType).toBe(ANSWER_TYPE_TOKENS);
+  });
+
+  test('reports invalid data', () => {
+    [ null, 'assist', 42 ].forEach(challenge => expect(parseChallenge(challenge)).toMatchObject({
+      isSupported: false,
+      reason: UNSUPPORTED_REASON_INVALID_DATA,
+    }));
+  });
+
+  test('reports unknown challenge types', () => {
+    expect(parseChallenge({ type: 'unknownType' })).toMatchObject({
+      isSupported: false,
+      type: 'unknownType',
+      reason: UNSUPPORTED_REASON_UNKNOWN_TYPE,
+    });
+  });
+
+  test('reports missing fields', () => {
+    expect(parseChallenge({ type: CHALLENGE_TYPE_ASSIST, choices: [ 'chat' ] })).toMatchObject({
+      isSupported: false,
+      reason: UNSUPPORTED_REASON_UNEXPECTED_SHAPE,
+      invalidFields: [ 'correctIndex' ],
+    });
+  });
+
+  test('reports choices that can not be parsed', () => {
+    expect(parseChallenge({ type: CHALLENGE_TYPE_ASSIST, choices: [ 'chat', {} ], correctIndex: 0 })).toMatchObject({
+      isSupported: false,
+      reason: UNSUPPORTED_REASON_UNEXPECTED_SHAPE,
+      invalidFields: [ 'choices' ],
+    });
+  });
+});
+
+describe('resolveChallengeResult', () => {
+  test('detects no result when no signal is available', () => {
+    expect(resolveChallengeResult({ [RESULT_SIGNAL_SOUND_EFFECT]: RESULT_NONE })).toEqual({
+      result: RESULT_NONE,
+      confidence: RESULT_CONFIDENCE_NONE,
+      signal: null,
+      signals: {},
+    });
+  });
+
+  test('lets the most reliable signal decide', () => {
+    expect(resolveChallengeResult({
+      [RESULT_SIGNAL_RESULT_BANNER]: RESULT_INCORRECT,
+      [RESULT_SIGNAL_LIVE_REGION]: RESULT_CORRECT,
+    })).toMatchObject({
+      result: RESULT_CORRECT,
+      confidence: RESULT_CONFIDENCE_LOW,
+      signal: RESULT_SIGNAL_LIVE_REGION,
+    });
+  });
+
+  test('gives a high confidence when several signals agree', () => {
+    expect(resolveChallengeResult({
+      [RESULT_SIGNAL_SOUND_EFFECT]: RESULT_INCORRECT,
+      [RESULT_SIGNAL_SESSION_PROGRESS]: RESULT_INCORRECT,
+    })).toMatchObject({
+      result: RESULT_INCORRECT,
+      confidence: RESULT_CONFIDENCE_HIGH,
+      signal: RESULT_SIGNAL_SOUND_EFFECT,
+    });
+  });
+
+  test('gives a low confidence to weak signals on their own', () => {
+    expect(resolveChallengeResult({ [RESULT_SIGNAL_SESSION_PROGRESS]: RESULT_CORRECT }).confidence)
+      .toBe(RESULT_CONFIDENCE_LOW);
+
+    expect(resolveChallengeResult({ [RESULT_SIGNAL_SOUND_EFFECT]: RESULT_CORRECT }).confidence)
+      .toBe(RESULT_CONFIDENCE_MEDIUM);
+  });
+});
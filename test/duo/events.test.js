@@ -0,0 +1,334 @@
+import { sendXhr, setHttpResponseHandler } from '../helpers/browser';
+
+import { PRIORITY_AVERAGE, PRIORITY_HIGH, PRIORITY_LOW } from '../../src/utils/constants';
+import { setSharedGlobalVariable } from '../../src/utils/internal';
+
+import {
+  EVENT_TYPE_PRACTICE_SESSION_LOADED,
+  EVENT_TYPE_STORY_LOADED,
+  defineHttpRequestEvent,
+  onPracticeSessionCompleted,
+  onStoryLoaded,
+  registerHttpRequestMiddleware,
+} from '../../src/duo/events';
+
+/**
+ * @type {Function[]}
+ */
+let unregistrationCallbacks = [];
+
+/**
+ * @param {Function} unregister A function usable to unregister a listener or a middleware.
+ * @returns {void}
+ */
+const unregisterAfterTest = unregister => {
+  unregistrationCallbacks.push(unregister);
+};
+
+afterEach(() => {
+  unregistrationCallbacks.forEach(unregister => unregister());
+  unregistrationCallbacks = [];
+  setHttpResponseHandler(() => ({ status: 404, data: null }));
+});
+
+describe('defineHttpRequestEvent', () => {
+  test('requires a non-empty name', () => {
+    expect(() => defineHttpRequestEvent('', '/shop')).toThrow();
+    expect(() => defineHttpRequestEvent(null, '/shop')).toThrow();
+  });
+
+  test('rejects the names of built-in events', () => {
+    expect(() => defineHttpRequestEvent(EVENT_TYPE_PRACTICE_SESSION_LOADED, '/shop')).toThrow();
+  });
+
+  test('dispatches the parsed payload with the named groups matched on the URL', async () => {
+    const onItemLoaded = defineHttpRequestEvent('test_item_loaded', /\/shop\/items\/(?<itemId>[\d]+)/, {
+      methods: [ 'get' ],
+      parse: data => data.item,
+    });
+
+    const callback = jest.fn();
+    unregisterAfterTest(onItemLoaded(callback));
+    setHttpResponseHandler(() => ({ data: { item: { name: 'Streak freeze' } } }));
+
+    await fetch('https://www.duolingo.com/shop/items/42');
+    await fetch('https://www.duolingo.com/shop/items/42', { method: 'POST' });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    expect(callback).toHaveBeenCalledWith(
+      { name: 'Streak freeze' },
+      expect.objectContaining({ method: 'GET', url: 'https://www.duolingo.com/shop/items/42' }),
+      { itemId: '42' }
+    );
+  });
+
+  test('does not dispatch null payloads', async () => {
+    const onItemLoaded = defineHttpRequestEvent('test_optional_item_loaded', '/shop/optional', {
+      parse: data => data.item || null,
+    });
+
+    const callback = jest.fn();
+    unregisterAfterTest(onItemLoaded(callback));
+    setHttpResponseHandler((method, url) => ({ data: url.endsWith('/empty') ? {} : { item: 'Heart refill' } }));
+
+    await sendXhr('GET', 'https://www.duolingo.com/shop/optional/empty');
+    await sendXhr('GET', 'https://www.duolingo.com/shop/optional/full');
+
+    expect(callback).toHaveBeenCalledTimes(1);
+    expect(callback).toHaveBeenCalledWith('Heart refill', expect.anything(), {});
+  });
+
+  test('allows identical redefinitions, each with its own parse function', async () => {
+    const onGemsLoaded = defineHttpRequestEvent('test_gems_loaded', '/shop/gems', { methods: [ 'GET', 'POST' ] });
+
+    const onGemCountLoaded = defineHttpRequestEvent('test_gems_loaded', '/shop/gems', {
+      methods: [ 'post', 'get' ],
+      parse: data => data.gems,
+    });
+
+    const dataCallback = jest.fn();
+    const countCallback = jest.fn();
+    unregisterAfterTest(onGemsLoaded(dataCallback));
+    unregisterAfterTest(onGemCountLoaded(countCallback));
+    setHttpResponseHandler(() => ({ data: { gems: 500 } }));
+
+    await fetch('https://www.duolingo.com/shop/gems');
+
+    expect(dataCallback).toHaveBeenCalledWith({ gems: 500 }, expect.anything(), {});
+    expect(countCallback).toHaveBeenCalledWith(500, expect.anything(), {});
+  });
+
+  test('rejects conflicting redefinitions', () => {
+    defineHttpRequestEvent('test_hearts_loaded', '/shop/hearts', { methods: [ 'GET' ] });
+
+    expect(() => defineHttpRequestEvent('test_hearts_loaded', '/shop/other-hearts', { methods: [ 'GET' ] })).toThrow();
+    expect(() => defineHttpRequestEvent('test_hearts_loaded', '/shop/hearts', { methods: [ 'POST' ] })).toThrow();
+    expect(() => defineHttpRequestEvent('test_hearts_loaded', '/shop/hearts')).toThrow();
+    expect(() => defineHttpRequestEvent('test_hearts_loaded', /\/shop\/hearts/i, { methods: [ 'GET' ] })).toThrow();
+  });
+});
+
+describe('registerHttpRequestMiddleware', () => {
+  const EVENT_TYPE = 'test_middleware_data_loaded';
+  const URL = 'https://www.duolingo.com/middleware/data';
+
+  const onDataLoaded = defineHttpRequestEvent(EVENT_TYPE, '/middleware/');
+
+  /**
+   * @param {string} step The name of a middleware.
+   * @param {number} priority The priority of the middleware.
+   * @returns {void}
+   */
+  const registerStepMiddleware = (step, priority) => unregisterAfterTest(registerHttpRequestMiddleware(
+    EVENT_TYPE,
+    { onResponse: data => ({ ...data, steps: data.steps.concat([ step ]) }) },
+    priority
+  ));
+
+  beforeEach(() => {
+    setHttpResponseHandler((method, url, body) => ({ data: { steps: [], url, body } }));
+  });
+
+  test('applies response middlewares by decreasing priority, then in the order of registration', async () => {
+    const callback = jest.fn();
+    unregisterAfterTest(onDataLoaded(callback));
+
+    registerStepMiddleware('low', PRIORITY_LOW);
+    registerStepMiddleware('average1', PRIORITY_AVERAGE);
+    registerStepMiddleware('high', PRIORITY_HIGH);
+    registerStepMiddleware('average2', PRIORITY_AVERAGE);
+
+    const expectedSteps = [ 'high', 'average1', 'average2', 'low' ];
+    const response = await fetch(URL);
+
+    expect((await response.json()).steps).toEqual(expectedSteps);
+    expect(callback).toHaveBeenCalledWith(expect.objectContaining({ steps: expectedSteps }), expect.anything(), {});
+  });
+
+  test('leaves the responses unchanged when the middlewares return nothing', async () => {
+    const onResponse = jest.fn();
+    unregisterAfterTest(registerHttpRequestMiddleware(EVENT_TYPE, { onResponse }));
+
+    const response = await fetch(URL);
+
+    expect(onResponse).toHaveBeenCalledWith({ steps: [], url: URL, body: null }, expect.anything(), {});
+    expect(await response.json()).toEqual({ steps: [], url: URL, body: null });
+  });
+
+  test('stops applying middlewares once they are unregistered', async () => {
+    const unregister = registerHttpRequestMiddleware(EVENT_TYPE, { onResponse: () => ({ isChanged: true }) });
+
+    expect(await (await fetch(URL)).json()).toEqual({ isChanged: true });
+
+    unregister();
+
+    expect(await (await fetch(URL)).json()).toEqual({ steps: [], url: URL, body: null });
+  });
+
+  test('rewrites the bodies of fetch requests', async () => {
+    unregisterAfterTest(registerHttpRequestMiddleware(EVENT_TYPE, {
+      onBeforeRequest: request => ({ ...request.body, isRewritten: true }),
+    }));
+
+    const response = await fetch(URL, { method: 'POST', body: JSON.stringify({ answer: 'chat' }) });
+
+    expect(JSON.parse((await response.json()).body)).toEqual({ answer: 'chat', isRewritten: true });
+  });
+
+  test('rewrites the bodies and the responses of XHRs', async () => {
+    unregisterAfterTest(registerHttpRequestMiddleware(EVENT_TYPE, {
+      onBeforeRequest: request => ({ ...request.body, isRewritten: true }),
+    }));
+
+    registerStepMiddleware('xhr', PRIORITY_AVERAGE);
+
+    const xhr = await sendXhr('POST', URL, JSON.stringify({ answer: 'chat' }));
+    const data = JSON.parse(xhr.responseText);
+
+    expect(data.steps).toEqual([ 'xhr' ]);
+    expect(JSON.parse(data.body)).toEqual({ answer: 'chat', isRewritten: true });
+    expect(JSON.parse(xhr.response)).toEqual(data);
+
+    const jsonXhr = await sendXhr('GET', URL, null, 'json');
+
+    expect(jsonXhr.response.steps).toEqual([ 'xhr' ]);
+  });
+
+  test('does not reuse the response of a previous request when an XHR is reopened', async () => {
+    registerStepMiddleware('xhr', PRIORITY_AVERAGE);
+
+    const xhr = new XMLHttpRequest();
+
+    const load = (method, url) => new Promise(resolve => {
+      xhr.addEventListener('loadend', resolve, { once: true });
+      xhr.open(method, url);
+      xhr.send();
+    });
+
+    await load('GET', `${URL}/first`);
+    expect(JSON.parse(xhr.responseText)).toMatchObject({ steps: [ 'xhr' ], url: `${URL}/first` });
+
+    await load('GET', `${URL}/second`);
+    expect(JSON.parse(xhr.responseText)).toMatchObject({ steps: [ 'xhr' ], url: `${URL}/second` });
+
+    await load('GET', 'https://www.duolingo.com/unwatched');
+    expect(JSON.parse(xhr.responseText)).toEqual({ steps: [], url: 'https://www.duolingo.com/unwatched', body: null });
+  });
+});
+
+describe('onPracticeSessionCompleted', () => {
+  const SESSION_URL = 'https://www.duolingo.com/2017-06-30/sessions/abc';
+
+  const SESSION_BODY = {
+    id: 'abc',
+    type: 'LESSON',
+    startTime: 1700000000,
+    endTime: 1700000300,
+    challenges: [
+      { id: 'c1', correct: true },
+      { id: 'c2', correct: false },
+      { id: 'c3', correct: true },
+      { id: 'c2', correct: false },
+      { id: 'c4' },
+    ],
+  };
+
+  test('parses the finished sessions that are sent back', async () => {
+    const callback = jest.fn();
+    unregisterAfterTest(onPracticeSessionCompleted(callback));
+
+    setHttpResponseHandler(() => ({
+      data: {
+        id: 'abc',
+        xpGains: [ { eventType: 'LESSON', xp: 10 }, { eventType: 'BONUS', xp: 5 }, { xp: 'invalid' } ],
+        streak: 12,
+        streakExtended: true,
+      },
+    }));
+
+    await fetch(SESSION_URL, { method: 'PUT', body: JSON.stringify(SESSION_BODY) });
+
+    expect(callback).toHaveBeenCalledTimes(1);
+
+    expect(callback.mock.calls[0][0]).toEqual(expect.objectContaining({
+      sessionId: 'abc',
+      type: 'LESSON',
+      xp: 15,
+      xpGains: [ { type: 'LESSON', xp: 10 }, { type: 'BONUS', xp: 5 } ],
+      duration: 300000,
+      challengeCount: 4,
+      mistakeCount: 2,
+      incorrectChallengeIds: [ 'c2' ],
+      accuracy: 0.5,
+      isFailed: false,
+      heartsLeft: null,
+      streak: 12,
+      isStreakExtended: true,
+      leaguePoints: null,
+    }));
+  });
+
+  test('prefers the total amount of XP, and uses the ID from the URL as a fallback', async () => {
+    const callback = jest.fn();
+    unregisterAfterTest(onPracticeSessionCompleted(callback));
+    setHttpResponseHandler(() => ({ data: { session: { xpGain: 20, xpGains: [ { xp: 10 } ], failed: true } } }));
+
+    await sendXhr('PUT', SESSION_URL, JSON.stringify({ heartsLeft: 0 }));
+
+    expect(callback.mock.calls[0][0]).toEqual(expect.objectContaining({
+      sessionId: 'abc',
+      xp: 20,
+      challengeCount: 0,
+      accuracy: null,
+      isFailed: true,
+      heartsLeft: 0,
+    }));
+  });
+
+  test('ignores the requests made to load sessions', async () => {
+    const callback = jest.fn();
+    unregisterAfterTest(onPracticeSessionCompleted(callback));
+    setHttpResponseHandler(() => ({ data: SESSION_BODY }));
+
+    await fetch(SESSION_URL);
+    await fetch('https://www.duolingo.com/2017-06-30/sessions', { method: 'POST', body: '{}' });
+
+    expect(callback).not.toHaveBeenCalled();
+  });
+});
+
+describe('built-in URL events', () => {
+  test('are merged into the URL events shared by older versions', async () => {
+    const sessionUrlRegExp = /\/[\d]{4}-[\d]{2}-[\d]{2}\/sessions/g;
+
+    // Older versions did not know about finished sessions, and keyed the built-in URL events by regular expression.
+    setSharedGlobalVariable('http_request_url_event_map', new Map([
+      [
+        sessionUrlRegExp,
+        { eventType: EVENT_TYPE_PRACTICE_SESSION_LOADED, urlRegExp: sessionUrlRegExp, methods: null, requestData: {} },
+      ],
+      [
+        '/stories/extra',
+        {
+          eventType: EVENT_TYPE_STORY_LOADED,
+          urlRegExp: /\/stories\/extra/g,
+          methods: null,
+          requestData: { isExtra: true },
+        },
+      ],
+    ]));
+
+    const sessionCallback = jest.fn();
+    const storyCallback = jest.fn();
+    unregisterAfterTest(onPracticeSessionCompleted(sessionCallback));
+    unregisterAfterTest(onStoryLoaded(storyCallback));
+    setHttpResponseHandler(() => ({ data: { id: 'abc' } }));
+
+    await fetch('https://www.duolingo.com/2017-06-30/sessions/abc', { method: 'PUT', body: '{}' });
+    await fetch('https://www.duolingo.com/stories/extra');
+
+    expect(sessionCallback).toHaveBeenCalledWith(expect.objectContaining({ sessionId: 'abc' }));
+    expect(storyCallback).toHaveBeenCalledWith({ id: 'abc' }, { isExtra: true }, expect.anything());
+  });
+});
@@ -0,0 +1,160 @@
+import {
+  DIFF_TYPE_EQUAL,
+  DIFF_TYPE_EXTRA,
+  DIFF_TYPE_MISSING,
+  diffAnswer,
+  expandCompactTranslation,
+  gradeAnswer,
+  normalizeAnswer,
+} from '../../src/duo/grading';
+
+import { RESULT_CORRECT, RESULT_INCORRECT } from '../../src/duo/challenges';
+
+describe('expandCompactTranslation', () => {
+  test('expands every combination of alternatives', () => {
+    expect(expandCompactTranslation('[I am/I\'m] [a/one] boy.')).toEqual([
+      'I am a boy.',
+      'I am one boy.',
+      'I\'m a boy.',
+      'I\'m one boy.',
+    ]);
+  });
+
+  test('treats empty alternatives as optional parts', () => {
+    expect(expandCompactTranslation('The [/big ]cat.')).toEqual([ 'The cat.', 'The big cat.' ]);
+  });
+
+  test('collapses whitespace and removes duplicates', () => {
+    expect(expandCompactTranslation('[a / a ] cat')).toEqual([ 'a cat' ]);
+  });
+
+  test('returns translations without groups as is', () => {
+    expect(expandCompactTranslation('No groups.')).toEqual([ 'No groups.' ]);
+  });
+
+  test('bounds the number of combinations', () => {
+    const translation = Array(12).fill('[a/b]').join(' ');
+    expect(expandCompactTranslation(translation).length).toBeLessThanOrEqual(1000);
+  });
+});
+
+describe('normalizeAnswer', () => {
+  test('ignores case, punctuation, diacritics and extra whitespace by default', () => {
+    expect(normalizeAnswer('  Ça   va-t-il, Éric ? ', 'fr')).toBe('ca va t il eric');
+  });
+
+  test('keeps diacritics in Vietnamese', () => {
+    expect(normalizeAnswer('Việt Nam!', 'vi')).toBe('việt nam');
+  });
+
+  test('keeps voicing marks and ignores spaces in Japanese', () => {
+    expect(normalizeAnswer('私は 学生 です。', 'ja')).toBe('私は学生です');
+  });
+
+  test('ignores spaces in Chinese, including regional variants', () => {
+    expect(normalizeAnswer('我 是 学生。', 'zh')).toBe('我是学生');
+    expect(normalizeAnswer('我 係 學生。', 'zh-HK')).toBe('我係學生');
+  });
+
+  test('uses the rules of the language for case conversions', () => {
+    expect(normalizeAnswer('DİYARBAKIR', 'tr')).toBe('diyarbakır');
+  });
+
+  test('applies the given options over the language defaults', () => {
+    expect(normalizeAnswer('a b', 'en', { ignoreSpaces: true })).toBe('ab');
+    expect(normalizeAnswer('Café', 'fr', { ignoreDiacritics: false })).toBe('café');
+  });
+});
+
+describe('diffAnswer', () => {
+  test('reports missing characters', () => {
+    expect(diffAnswer('helo', 'hello')).toEqual([
+      { type: DIFF_TYPE_EQUAL, value: 'he' },
+      { type: DIFF_TYPE_MISSING, value: 'l' },
+      { type: DIFF_TYPE_EQUAL, value: 'lo' },
+    ]);
+  });
+
+  test('reports extra characters', () => {
+    expect(diffAnswer('cats', 'cat')).toEqual([
+      { type: DIFF_TYPE_EQUAL, value: 'cat' },
+      { type: DIFF_TYPE_EXTRA, value: 's' },
+    ]);
+  });
+
+  test('reports substitutions as extra and missing characters', () => {
+    expect(diffAnswer('cat', 'cut')).toEqual([
+      { type: DIFF_TYPE_EQUAL, value: 'c' },
+      { type: DIFF_TYPE_EXTRA, value: 'a' },
+      { type: DIFF_TYPE_MISSING, value: 'u' },
+      { type: DIFF_TYPE_EQUAL, value: 't' },
+    ]);
+  });
+
+  test('returns a single segment for equal values', () => {
+    expect(diffAnswer('same', 'same')).toEqual([ { type: DIFF_TYPE_EQUAL, value: 'same' } ]);
+  });
+});
+
+describe('gradeAnswer', () => {
+  const solutions = expandCompactTranslation('[I am/I\'m] [a/one] boy.');
+
+  test('accepts answers matching any expanded solution', () => {
+    const result = gradeAnswer('i\'m a boy', solutions, 'en');
+
+    expect(result.result).toBe(RESULT_CORRECT);
+    expect(result.isAccepted).toBe(true);
+    expect(result.hasTypos).toBe(false);
+    expect(result.nearestSolution).toBe('I\'m a boy.');
+  });
+
+  test('accepts a single typo (including transpositions) in long enough words', () => {
+    const result = gradeAnswer('the hosue', [ 'The house.' ], 'en');
+
+    expect(result.isAccepted).toBe(true);
+    expect(result.hasTypos).toBe(true);
+  });
+
+  test('rejects typos in short words', () => {
+    expect(gradeAnswer('I am a boi', solutions, 'en').result).toBe(RESULT_INCORRECT);
+  });
+
+  test('rejects more than one typo per word', () => {
+    const result = gradeAnswer('the hsoue', [ 'The house.' ], 'en');
+
+    expect(result.isAccepted).toBe(false);
+    expect(result.nearestSolution).toBe('The house.');
+    expect(result.distance).toBe(2);
+  });
+
+  test('accepts wrong diacritics as typos, and shows them in the diff', () => {
+    const result = gradeAnswer('cafe', [ 'Café' ], 'fr');
+
+    expect(result.isAccepted).toBe(true);
+    expect(result.hasTypos).toBe(true);
+    expect(result.diff).toEqual([
+      { type: DIFF_TYPE_EQUAL, value: 'caf' },
+      { type: DIFF_TYPE_EXTRA, value: 'e' },
+      { type: DIFF_TYPE_MISSING, value: 'é' },
+    ]);
+  });
+
+  test('accepts answers without spaces in languages that do not separate words', () => {
+    const result = gradeAnswer('私は学生です', [ '私は 学生 です。' ], 'ja');
+
+    expect(result.isAccepted).toBe(true);
+    expect(result.hasTypos).toBe(false);
+  });
+
+  test('tolerates no typos in languages that do not separate words', () => {
+    expect(gradeAnswer('私は学生てす', [ '私は 学生 です。' ], 'ja').isAccepted).toBe(false);
+  });
+
+  test('rejects answers when there is no solution', () => {
+    expect(gradeAnswer('anything', [], 'en')).toEqual(expect.objectContaining({
+      result: RESULT_INCORRECT,
+      nearestSolution: null,
+      diff: [],
+    }));
+  });
+});
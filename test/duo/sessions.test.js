@@ -0,0 +1,247 @@
+import '../helpers/browser';
+import { RESULT_CORRECT, RESULT_INCORRECT } from '../../src/duo/challenges';
+import { CONTEXT_LESSON_COMPLETE } from '../../src/duo/context';
+
+import {
+  onChallengeResult,
+  onChallengeShown,
+  onContextChanged,
+  onPracticeSessionCompleted,
+  onPracticeSessionLoaded,
+} from '../../src/duo/events';
+
+import {
+  CHALLENGE_POOL_ADAPTIVE,
+  CHALLENGE_POOL_MAIN,
+  CHALLENGE_POOL_MISTAKES_REPLACEMENT,
+  getCurrentPracticeSession,
+  getPracticeSession,
+  isTrackingPracticeSessions,
+  startPracticeSessionTracking,
+} from '../../src/duo/sessions';
+
+import { getStateValue } from '../../src/duo/state';
+
+jest.mock('../../src/duo/events', () => ({
+  onChallengeResult: jest.fn(() => jest.fn()),
+  onChallengeShown: jest.fn(() => jest.fn()),
+  onContextChanged: jest.fn(() => jest.fn()),
+  onPracticeSessionCompleted: jest.fn(() => jest.fn()),
+  onPracticeSessionLoaded: jest.fn(() => jest.fn()),
+}));
+
+jest.mock('../../src/duo/state', () => ({
+  getStateValue: jest.fn(),
+}));
+
+/**
+ * @param {Function} registerListener A mocked function usable to register an event listener.
+ * @returns {Function} The last listener that was registered using the given function.
+ */
+const getLastListener = registerListener => registerListener.mock.calls[registerListener.mock.calls.length - 1][0];
+
+/**
+ * @param {*} sessionData The raw data of a session that is loaded.
+ * @returns {void}
+ */
+const loadSession = sessionData => getLastListener(onPracticeSessionLoaded)(sessionData);
+
+/**
+ * @param {object} challenge The raw data of a challenge that is shown.
+ * @returns {void}
+ */
+const showChallenge = challenge => getLastListener(onChallengeShown)({ challenge });
+
+/**
+ * @param {string} result The result of the current challenge.
+ * @returns {void}
+ */
+const answerChallenge = result => getLastListener(onChallengeResult)({ result });
+
+/**
+ * @param {string} id The ID of a session.
+ * @returns {object} The raw data of a session.
+ */
+const getSessionData = id => ({
+  id,
+  type: 'LESSON',
+  metadata: { from_language: 'en', learning_language: 'fr' },
+  challenges: [ { id: `${id}-c1` }, { id: `${id}-c2` }, { id: `${id}-c3` } ],
+  adaptiveChallenges: [ { id: `${id}-a1` } ],
+  mistakesReplacementChallenges: [ { id: `${id}-m1` }, 'invalid' ],
+});
+
+/**
+ * @type {Function|null}
+ */
+let stopTracking = null;
+
+beforeEach(() => {
+  getStateValue.mockImplementation(path => (('user.health.hearts' === path) ? 5 : undefined));
+  stopTracking = startPracticeSessionTracking();
+});
+
+afterEach(() => {
+  stopTracking();
+});
+
+describe('startPracticeSessionTracking', () => {
+  test('shares the tracking, and only stops it once every user has stopped it', () => {
+    const registrationCount = onPracticeSessionLoaded.mock.calls.length;
+    const stopOtherTracking = startPracticeSessionTracking();
+
+    expect(onPracticeSessionLoaded).toHaveBeenCalledTimes(registrationCount);
+
+    stopOtherTracking();
+    stopOtherTracking();
+
+    expect(isTrackingPracticeSessions()).toBe(true);
+
+    loadSession(getSessionData('abc'));
+    stopTracking();
+
+    expect(isTrackingPracticeSessions()).toBe(false);
+    expect(getPracticeSession('abc')).toBeNull();
+
+    stopTracking = startPracticeSessionTracking();
+  });
+});
+
+describe('PracticeSession', () => {
+  test('is created with the challenges of all the pools', () => {
+    loadSession({ session: getSessionData('abc') });
+
+    const session = getCurrentPracticeSession();
+
+    expect(session).toMatchObject({
+      id: 'abc',
+      type: 'LESSON',
+      fromLanguage: 'en',
+      learningLanguage: 'fr',
+      presentedChallenges: [],
+      hearts: { initial: 5, remaining: 5 },
+      isCompleted: false,
+      startedAt: null,
+    });
+
+    expect(session.challenges.map(({ id, pool, poolIndex }) => [ id, pool, poolIndex ])).toEqual([
+      [ 'abc-c1', CHALLENGE_POOL_MAIN, 0 ],
+      [ 'abc-c2', CHALLENGE_POOL_MAIN, 1 ],
+      [ 'abc-c3', CHALLENGE_POOL_MAIN, 2 ],
+      [ 'abc-a1', CHALLENGE_POOL_ADAPTIVE, 0 ],
+      [ 'abc-m1', CHALLENGE_POOL_MISTAKES_REPLACEMENT, 0 ],
+    ]);
+  });
+
+  test('ignores invalid sessions', () => {
+    loadSession({ id: 'empty', challenges: [] });
+    loadSession({ challenges: [ { id: 'c1' } ] });
+
+    expect(getCurrentPracticeSession()).toBeNull();
+  });
+
+  test('does not track hearts when they are unlimited', () => {
+    getStateValue.mockImplementation(path => (('user.health.hearts' === path) ? 5 : true));
+    loadSession(getSessionData('abc'));
+
+    expect(getCurrentPracticeSession().hearts).toBeNull();
+  });
+
+  test('tracks the challenges in the order they are presented, with their results', () => {
+    const sessionData = getSessionData('abc');
+    loadSession(sessionData);
+
+    showChallenge(sessionData.challenges[0]);
+    answerChallenge(RESULT_CORRECT);
+    // Challenges may be copied, and are then matched by ID.
+    showChallenge({ ...sessionData.adaptiveChallenges[0] });
+    answerChallenge(RESULT_INCORRECT);
+    // Only the first result of a challenge counts.
+    answerChallenge(RESULT_CORRECT);
+    showChallenge(sessionData.challenges[1]);
+    answerChallenge(RESULT_INCORRECT);
+    showChallenge(sessionData.challenges[1]);
+
+    const session = getPracticeSession('abc');
+
+    expect(session.startedAt).not.toBeNull();
+
+    expect(session.presentedChallenges).toEqual([
+      {
+        position: 0,
+        id: 'abc-c1',
+        pool: CHALLENGE_POOL_MAIN,
+        poolIndex: 0,
+        result: RESULT_CORRECT,
+        isSubstitution: false,
+        replacedChallengeId: null,
+        isRequeuedMistake: false,
+      },
+      {
+        position: 1,
+        id: 'abc-a1',
+        pool: CHALLENGE_POOL_ADAPTIVE,
+        poolIndex: 0,
+        result: RESULT_INCORRECT,
+        isSubstitution: true,
+        replacedChallengeId: 'abc-c2',
+        isRequeuedMistake: false,
+      },
+      {
+        position: 2,
+        id: 'abc-c2',
+        pool: CHALLENGE_POOL_MAIN,
+        poolIndex: 1,
+        result: RESULT_INCORRECT,
+        isSubstitution: false,
+        replacedChallengeId: null,
+        isRequeuedMistake: false,
+      },
+      {
+        position: 3,
+        id: 'abc-c2',
+        pool: CHALLENGE_POOL_MAIN,
+        poolIndex: 1,
+        result: null,
+        isSubstitution: false,
+        replacedChallengeId: null,
+        isRequeuedMistake: true,
+      },
+    ]);
+
+    expect(session.mistakeChallengeIds).toEqual([ 'abc-a1', 'abc-c2' ]);
+    expect(session.hearts).toEqual({ initial: 5, remaining: 3 });
+  });
+
+  test('is not replaced by pre-fetched sessions once it is in progress', () => {
+    const sessionData = getSessionData('abc');
+
+    loadSession(sessionData);
+    loadSession(getSessionData('def'));
+
+    expect(getCurrentPracticeSession().id).toBe('def');
+
+    showChallenge(sessionData.challenges[0]);
+
+    expect(getCurrentPracticeSession().id).toBe('abc');
+
+    loadSession(getSessionData('ghi'));
+
+    expect(getCurrentPracticeSession().id).toBe('abc');
+    expect(getPracticeSession('ghi')).not.toBeNull();
+  });
+
+  test('is completed when it is sent back, or when the lesson is complete', () => {
+    loadSession(getSessionData('abc'));
+    loadSession(getSessionData('def'));
+
+    getLastListener(onPracticeSessionCompleted)({ sessionId: 'abc' });
+
+    expect(getPracticeSession('abc')).toMatchObject({ isCompleted: true, completedAt: expect.any(Number) });
+    expect(getPracticeSession('def').isCompleted).toBe(false);
+
+    getLastListener(onContextChanged)({ current: { type: CONTEXT_LESSON_COMPLETE } });
+
+    expect(getPracticeSession('def').isCompleted).toBe(true);
+  });
+});
@@ -0,0 +1,272 @@
+import '../helpers/browser';
+
+import {
+  SOUND_PLAYBACK_STRATEGY_AUDIO,
+  SOUND_PLAYBACK_STRATEGY_HOWLER,
+  SOUND_PLAYBACK_STRATEGY_WEB_AUDIO,
+  SOUND_SETTING_LOOP,
+  SOUND_SETTING_PAN,
+  SOUND_SETTING_PRESERVE_PITCH,
+  SOUND_SETTING_RATE,
+  SOUND_SETTING_VOLUME,
+  clampSoundSettingValue,
+  getSoundSettingDefaultValue,
+  getSoundSettingValue,
+  isSoundSettingSupported,
+  pauseSound,
+  resumeSound,
+  seekSound,
+  setSoundSettingValue,
+  stopSound,
+} from '../../src/duo/sounds';
+
+/**
+ * A fake "Howl" object, holding a pool of sounds, and whose setting functions behave like the ones of "howler.js".
+ */
+class Howl {
+  constructor(sounds = [], duration = 10) {
+    this._sounds = sounds.map((sound, index) => ({ _id: 1000 + index, _paused: true, _ended: false, ...sound }));
+    this._queue = [];
+    this._duration = duration;
+    this._values = { rate: 1, volume: 1, stereo: 0, loop: false };
+    this.seek = jest.fn();
+    this.pause = jest.fn();
+    this.play = jest.fn();
+    this.stop = jest.fn();
+  }
+
+  _getSoundIds() {
+    return this._sounds.map(sound => sound._id);
+  }
+
+  _soundById(soundId) {
+    return this._sounds.find(sound => (sound._id === soundId)) || null;
+  }
+
+  duration() {
+    return this._duration;
+  }
+}
+
+[ 'rate', 'volume', 'stereo', 'loop' ].forEach(functionName => {
+  Howl.prototype[functionName] = function (value) {
+    if (undefined === value) {
+      return this._values[functionName];
+    }
+
+    this._values[functionName] = value;
+
+    return this;
+  };
+});
+
+window.Howl = Howl;
+
+describe('clampSoundSettingValue', () => {
+  test('clamps numeric values', () => {
+    expect(clampSoundSettingValue(SOUND_SETTING_RATE, 10)).toBe(4);
+    expect(clampSoundSettingValue(SOUND_SETTING_RATE, 0.1)).toBe(0.5);
+    expect(clampSoundSettingValue(SOUND_SETTING_RATE, 1.5)).toBe(1.5);
+    expect(clampSoundSettingValue(SOUND_SETTING_PAN, -2)).toBe(-1);
+    expect(clampSoundSettingValue(SOUND_SETTING_VOLUME, 2)).toBe(1);
+  });
+
+  test('converts the values of flags to booleans', () => {
+    expect(clampSoundSettingValue(SOUND_SETTING_LOOP, 1)).toBe(true);
+    expect(clampSoundSettingValue(SOUND_SETTING_LOOP, 0)).toBe(false);
+    expect(clampSoundSettingValue(SOUND_SETTING_PRESERVE_PITCH, false)).toBe(false);
+  });
+
+  test('leaves the values of unknown settings untouched', () => {
+    expect(clampSoundSettingValue('unknown', 10)).toBe(10);
+  });
+});
+
+describe('setSoundSettingValue', () => {
+  test('applies absolute values, that take precedence over the values set afterwards', () => {
+    const howl = new Howl();
+
+    setSoundSettingValue(SOUND_SETTING_RATE, 2, howl, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    expect(getSoundSettingValue(SOUND_SETTING_RATE, howl, SOUND_PLAYBACK_STRATEGY_HOWLER)).toBe(2);
+
+    howl.rate(1.5);
+    expect(howl.rate()).toBe(2);
+  });
+
+  test('multiplies the original values by relative values, and clamps the results', () => {
+    const howl = new Howl();
+    howl.rate(1.5);
+
+    setSoundSettingValue(SOUND_SETTING_RATE, 2, howl, SOUND_PLAYBACK_STRATEGY_HOWLER, true);
+    expect(howl.rate()).toBe(3);
+
+    howl.rate(0.5);
+    expect(howl.rate()).toBe(1);
+
+    howl.rate(3);
+    expect(howl.rate()).toBe(4);
+  });
+
+  test('shifts the original pans by relative pans', () => {
+    const howl = new Howl();
+    howl.stereo(-0.5);
+
+    setSoundSettingValue(SOUND_SETTING_PAN, 0.25, howl, SOUND_PLAYBACK_STRATEGY_HOWLER, true);
+    expect(howl.stereo()).toBe(-0.25);
+
+    howl.stereo(0.5);
+    expect(howl.stereo()).toBe(0.75);
+
+    howl.stereo(1);
+    expect(howl.stereo()).toBe(1);
+  });
+
+  test('applies relative flags like absolute flags', () => {
+    const howl = new Howl();
+
+    setSoundSettingValue(SOUND_SETTING_LOOP, true, howl, SOUND_PLAYBACK_STRATEGY_HOWLER, true);
+    expect(howl.loop()).toBe(true);
+
+    howl.loop(false);
+    expect(howl.loop()).toBe(true);
+  });
+
+  test('only lets values with a high enough priority replace the current ones', () => {
+    const howl = new Howl();
+
+    setSoundSettingValue(SOUND_SETTING_VOLUME, 0.5, howl, SOUND_PLAYBACK_STRATEGY_HOWLER, false, 2);
+    setSoundSettingValue(SOUND_SETTING_VOLUME, 0.25, howl, SOUND_PLAYBACK_STRATEGY_HOWLER, false, 1);
+    expect(howl.volume()).toBe(0.5);
+
+    setSoundSettingValue(SOUND_SETTING_VOLUME, 0.75, howl, SOUND_PLAYBACK_STRATEGY_HOWLER, false, 2);
+    expect(howl.volume()).toBe(0.75);
+  });
+
+  test('ignores the settings that are not supported by the playback strategy', () => {
+    const source = {};
+
+    expect(isSoundSettingSupported(SOUND_SETTING_PAN, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO)).toBe(false);
+
+    setSoundSettingValue(SOUND_SETTING_PAN, 0.5, source, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO);
+
+    expect(source).toEqual({});
+
+    expect(getSoundSettingValue(SOUND_SETTING_PAN, source, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO))
+      .toBe(getSoundSettingDefaultValue(SOUND_SETTING_PAN));
+  });
+
+  test('rejects unknown settings and playback strategies', () => {
+    expect(() => setSoundSettingValue('unknown', 1, new Howl(), SOUND_PLAYBACK_STRATEGY_HOWLER)).toThrow();
+    expect(() => setSoundSettingValue(SOUND_SETTING_RATE, 1, new Howl(), 'unknown')).toThrow();
+  });
+});
+
+describe('seekSound', () => {
+  test('clamps the position to the duration of the sound, when it is known', () => {
+    const audio = { duration: 10, currentTime: 0 };
+
+    expect(seekSound(audio, 12, SOUND_PLAYBACK_STRATEGY_AUDIO)).toBe(true);
+    expect(audio.currentTime).toBe(10);
+
+    expect(seekSound(audio, -1, SOUND_PLAYBACK_STRATEGY_AUDIO)).toBe(true);
+    expect(audio.currentTime).toBe(0);
+
+    const loadingAudio = { duration: NaN, currentTime: 0 };
+
+    seekSound(loadingAudio, 12, SOUND_PLAYBACK_STRATEGY_AUDIO);
+    expect(loadingAudio.currentTime).toBe(12);
+
+    const loadingHowl = new Howl([ {} ], 0);
+
+    seekSound(loadingHowl, 12, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    expect(loadingHowl.seek).toHaveBeenCalledWith(12, 1000);
+  });
+
+  test('targets the playing sound of a pool, or else the paused one', () => {
+    const howl = new Howl([ { _ended: true }, { _paused: false } ]);
+
+    seekSound(howl, 5, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    expect(howl.seek).toHaveBeenLastCalledWith(5, 1001);
+
+    const pausedHowl = new Howl([ { _ended: true }, {} ]);
+
+    seekSound(pausedHowl, 5, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    expect(pausedHowl.seek).toHaveBeenLastCalledWith(5, 1001);
+  });
+
+  test('can not seek sounds played using the Web Audio API', () => {
+    expect(seekSound({ buffer: { duration: 10 } }, 5, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO)).toBe(false);
+  });
+});
+
+describe('pauseSound', () => {
+  test('targets the playing sound of a pool', () => {
+    const howl = new Howl([ {}, { _paused: false } ]);
+
+    expect(pauseSound(howl, SOUND_PLAYBACK_STRATEGY_HOWLER)).toBe(true);
+    expect(howl.pause).toHaveBeenCalledWith(1001);
+  });
+
+  test('can not pause sounds played using the Web Audio API', () => {
+    expect(pauseSound({}, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO)).toBe(false);
+  });
+});
+
+describe('resumeSound', () => {
+  test('targets the paused sound of a pool', () => {
+    const howl = new Howl([ { _ended: true }, {} ]);
+
+    expect(resumeSound(howl, SOUND_PLAYBACK_STRATEGY_HOWLER)).toBe(true);
+    expect(howl.play).toHaveBeenCalledWith(1001);
+  });
+
+  test('does not start new sounds when no sound is paused', () => {
+    const howl = new Howl([ { _ended: true }, { _paused: false } ]);
+
+    expect(resumeSound(howl, SOUND_PLAYBACK_STRATEGY_HOWLER)).toBe(false);
+    expect(howl.play).not.toHaveBeenCalled();
+  });
+
+  test('ignores the rejected playbacks of audio elements', async () => {
+    const audio = { play: jest.fn(() => Promise.reject(new Error('The playback was blocked.'))) };
+
+    expect(resumeSound(audio, SOUND_PLAYBACK_STRATEGY_AUDIO)).toBe(true);
+    expect(audio.play).toHaveBeenCalled();
+    await Promise.resolve();
+  });
+});
+
+describe('stopSound', () => {
+  test('rewinds audio elements', () => {
+    const audio = { currentTime: 5, pause: jest.fn() };
+
+    expect(stopSound(audio, SOUND_PLAYBACK_STRATEGY_AUDIO)).toBe(true);
+    expect(audio.pause).toHaveBeenCalled();
+    expect(audio.currentTime).toBe(0);
+  });
+
+  test('targets the playing sound of a pool, or else all the sounds', () => {
+    const howl = new Howl([ {}, { _paused: false } ]);
+
+    stopSound(howl, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    expect(howl.stop).toHaveBeenLastCalledWith(1001);
+
+    const pausedHowl = new Howl([ {}, {} ]);
+
+    stopSound(pausedHowl, SOUND_PLAYBACK_STRATEGY_HOWLER);
+    expect(pausedHowl.stop).toHaveBeenLastCalledWith(undefined);
+  });
+
+  test('reports the source nodes that have not been started yet', () => {
+    const startedSource = { stop: jest.fn() };
+
+    const pendingSource = {
+      stop: () => {
+        throw new Error('The source node has not been started.');
+      },
+    };
+
+    expect(stopSound(startedSource, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO)).toBe(true);
+    expect(stopSound(pendingSource, SOUND_PLAYBACK_STRATEGY_WEB_AUDIO)).toBe(false);
+  });
+});
@@ -0,0 +1,132 @@
+/* eslint-env node */
+
+/**
+ * A minimal browser environment for the modules that observe HTTP requests.
+ *
+ * This module must be imported before the tested modules, so that their overrides apply to the fake implementations.
+ * Responses are given by the handler set using setHttpResponseHandler(),
+ * which is called with the HTTP method, the URL and the body of each request,
+ * and must return the corresponding status and (JSON) response data.
+ */
+
+/**
+ * @typedef {object} FakeHttpResponse
+ * @property {number=} status The status of the response. Defaults to 200.
+ * @property {*} data The response data, serialized as JSON.
+ */
+
+global.window = global;
+
+/**
+ * @type {Function}
+ */
+let handleHttpRequest = () => ({ status: 404, data: null });
+
+/**
+ * @param {Function} handler
+ * The function to be called with the HTTP method, the URL and the body of each request,
+ * returning the corresponding response (FakeHttpResponse).
+ * @returns {void}
+ */
+export const setHttpResponseHandler = handler => {
+  handleHttpRequest = handler;
+};
+
+/**
+ * @param {string} method An HTTP method.
+ * @param {string} url A URL.
+ * @param {*} body A request body.
+ * @returns {{ status: number, text: string }} The response to the given request.
+ */
+const getHttpResponse = (method, url, body) => {
+  const { status = 200, data = null } = handleHttpRequest(
+    String(method).toUpperCase(),
+    String(url),
+    (undefined === body) ? null : body
+  ) || {};
+  return { status, text: JSON.stringify(data) };
+};
+
+global.fetch = (resource, init) => {
+  const isRequest = (resource instanceof Request);
+  const method = init?.method || (isRequest ? resource.method : 'GET');
+  const url = isRequest ? resource.url : String(resource);
+  const { status, text } = getHttpResponse(method, url, init?.body);
+
+  return Promise.resolve(new Response(text, { status, headers: { 'content-type': 'application/json' } }));
+};
+
+/**
+ * A fake XHR, that asynchronously loads its response when it is sent.
+ */
+class XMLHttpRequest extends EventTarget {
+  constructor() {
+    super();
+    this.readyState = 0;
+    this.status = 0;
+    this.responseType = '';
+    this.responseURL = '';
+    this.responseBody = '';
+  }
+
+  open(method, url) {
+    this.method = method;
+    this.responseURL = String(url);
+    this.readyState = 1;
+    this.status = 0;
+    this.responseBody = '';
+  }
+
+  setRequestHeader() {
+  }
+
+  getResponseHeader(name) {
+    return ('content-type' === String(name).toLowerCase()) ? 'application/json' : null;
+  }
+
+  send(body) {
+    this.dispatchEvent(new Event('loadstart'));
+
+    setTimeout(() => {
+      const { status, text } = getHttpResponse(this.method, this.responseURL, body);
+      this.readyState = 4;
+      this.status = status;
+      this.responseBody = text;
+      this.dispatchEvent(new Event('load'));
+      this.dispatchEvent(new Event('loadend'));
+    });
+  }
+
+  get response() {
+    if (4 !== this.readyState) {
+      return ('json' === this.responseType) ? null : '';
+    }
+
+    return ('json' === this.responseType) ? JSON.parse(this.responseBody) : this.responseBody;
+  }
+
+  get responseText() {
+    if (![ '', 'text' ].includes(this.responseType)) {
+      throw new Error('The response text is only available for text responses.');
+    }
+
+    return (4 === this.readyState) ? this.responseBody : '';
+  }
+}
+
+global.XMLHttpRequest = XMLHttpRequest;
+
+/**
+ * @param {string} method An HTTP method.
+ * @param {string} url A URL.
+ * @param {*=} body A request body.
+ * @param {string=} responseType The type of the response.
+ * @returns {Promise<XMLHttpRequest>} A promise for the given XHR, once it has loaded.
+ */
+export const sendXhr = (method, url, body = null, responseType = '') => new Promise(resolve => {
+  const xhr = new XMLHttpRequest();
+  xhr.open(method, url);
+  xhr.responseType = responseType;
+  xhr.addEventListener('loadend', () => resolve(xhr));
+  xhr.send(body);
+});